@@ -0,0 +1,131 @@
+/**
+ * Formula Checker
+ * Verifies function arity and argument types of a parsed formula before evaluation,
+ * and that column sub-fields ({col#field}) exist for the column type.
+ */
+
+import { NodeType, walkAST } from './parser.js';
+import { getSignature, getParamType, getElementType, ValueType } from './functions/index.js';
+import { inferTypes, lookupColumnType } from './type-inference.js';
+import { getColumnTypeFields, getColumnFieldType } from './column-value-extractor.js';
+import { Severity, createDiagnostic } from './diagnostics.js';
+
+/**
+ * Checks whether a node can be used where the expected type is required.
+ * Text literals are accepted when they convert cleanly (e.g. "5" as a number).
+ * Any value can be a list of one item, and a list can be used as a single value.
+ */
+function isCompatible(expected, node, actual) {
+  if (expected === ValueType.ANY || expected === ValueType.TEXT || expected === ValueType.BOOLEAN || expected === ValueType.LIST) {
+    return true;
+  }
+  if (actual === ValueType.ANY || actual === ValueType.LIST || actual === expected) {
+    return true;
+  }
+
+  const isTextLiteral = node.type === NodeType.LITERAL && actual === ValueType.TEXT;
+
+  if (expected === ValueType.NUMBER) {
+    if (actual === ValueType.BOOLEAN) return true;
+    if (isTextLiteral) return node.value.trim() !== '' && !isNaN(Number(node.value));
+    return actual === ValueType.TEXT;
+  }
+
+  if (expected === ValueType.DATE) {
+    if (isTextLiteral) return !isNaN(new Date(node.value).getTime());
+    return actual === ValueType.TEXT;
+  }
+
+  return true;
+}
+
+/**
+ * Checks arity and argument types of every function call in an AST.
+ * Functions without a signature are skipped (unknown functions are reported by the validator).
+ *
+ * @param {object} ast - The AST root node (from parse).
+ * @param {Map<string, string>|Object} [columnTypes] - columnId -> column type, for column reference types.
+ * @returns {Array<{severity: string, message: string, start: number, end: number, token: string|null}>}
+ *   Diagnostics found, in tree order.
+ */
+export function checkAST(ast, columnTypes = null) {
+  const diagnostics = [];
+  const types = inferTypes(ast, columnTypes);
+
+  // Calls are checked after their arguments
+  walkAST(ast, {
+    leave: (node) => {
+      if (node.type === NodeType.COLUMN_REF && node.field) checkColumnField(node, columnTypes, diagnostics);
+      if (node.type === NodeType.FUNCTION_CALL) checkFunctionCall(node, types, diagnostics);
+    },
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Checks that the column type of a {col#field} reference has the field.
+ * Columns of unknown type are skipped, and subitems columns take any subitem column as a field.
+ */
+function checkColumnField(node, columnTypes, diagnostics) {
+  const columnType = lookupColumnType(columnTypes, node.columnId);
+  if (!columnType || columnType === ValueType.ANY || columnType === 'subtasks') return;
+  if (getColumnFieldType(columnType, node.field)) return;
+
+  const fields = getColumnTypeFields(columnType);
+  diagnostics.push(createDiagnostic(
+    Severity.ERROR,
+    fields.length > 0
+      ? `Column ${node.columnId} has no field ${node.field} (fields: ${fields.join(', ')})`
+      : `Column ${node.columnId} has no fields`,
+    node.start ?? 0,
+    node.end ?? 0,
+    null
+  ));
+}
+
+/**
+ * Checks a single function call against its signature.
+ */
+function checkFunctionCall(node, types, diagnostics) {
+  const { name, args } = node;
+  const signature = getSignature(name);
+
+  if (!signature) return;
+
+  const { minArgs, maxArgs } = signature;
+
+  if (args.length < minArgs || args.length > maxArgs) {
+    const count = args.length < minArgs ? minArgs : maxArgs;
+    const qualifier = minArgs === maxArgs ? '' : args.length < minArgs ? 'at least ' : 'at most ';
+    diagnostics.push(createDiagnostic(
+      Severity.ERROR,
+      `${name} expects ${qualifier}${count} argument${count === 1 ? '' : 's'}, got ${args.length}`,
+      node.start ?? 0,
+      node.end ?? 0,
+      name
+    ));
+  }
+
+  args.forEach((arg, index) => {
+    const actual = types.get(arg) ?? ValueType.ANY;
+    let expected = getParamType(signature, index);
+    // A single value given for a LIST parameter is checked as one of its items
+    if (expected === ValueType.LIST && actual !== ValueType.LIST && actual !== ValueType.ANY) {
+      expected = getElementType(signature, index);
+    }
+    if (!expected || isCompatible(expected, arg, actual)) return;
+
+    diagnostics.push(createDiagnostic(
+      Severity.ERROR,
+      `Argument ${index + 1} of ${name} must be a ${expected}, got ${actual}`,
+      arg.start ?? 0,
+      arg.end ?? 0,
+      null
+    ));
+  });
+}
+
+export default {
+  checkAST,
+};
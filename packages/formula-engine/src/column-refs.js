@@ -0,0 +1,86 @@
+/**
+ * Column Reference Rewriting
+ * Rewrites {column_id} references in formula text, e.g. after a board is
+ * duplicated and its columns get new IDs.
+ *
+ * Works on COLUMN_REF tokens and splices only the column ID in the source
+ * text, so whitespace, quoting and formatting are preserved exactly.
+ */
+
+import logger from './logger.js';
+import { TokenType, tokenize } from './tokenizer.js';
+
+const TAG = 'formula_column_refs';
+
+/**
+ * Looks up the new ID for a column in a Map or plain object mapping.
+ * @returns {string|null} The new column ID, or null if unmapped.
+ */
+function lookup(mapping, columnId) {
+  const newId = mapping instanceof Map
+    ? mapping.get(columnId)
+    : Object.prototype.hasOwnProperty.call(mapping, columnId) ? mapping[columnId] : undefined;
+
+  return newId === undefined || newId === null ? null : String(newId);
+}
+
+/**
+ * Rewrites the column IDs referenced in a formula.
+ * Field suffixes are kept: with { date1: 'date9' }, {date1#from} becomes {date9#from}.
+ *
+ * Example:
+ *   remapColumnRefs('SUM({a}, {b#text})', { a: 'x' });
+ *   // { formula: 'SUM({x}, {b#text})', remapped: 1, unmapped: ['b'] }
+ *
+ * @param {string} formula - The formula string.
+ * @param {Map<string, string>|Object<string, string>} mapping - Old column ID -> new column ID.
+ * @returns {{formula: string, remapped: number, unmapped: string[]}}
+ *   The rewritten formula, the number of references rewritten, and the unique
+ *   IDs of referenced columns that have no mapping (left unchanged).
+ */
+export function remapColumnRefs(formula, mapping = {}) {
+  const source = formula ?? '';
+  const tokens = tokenize(source);
+  const unmapped = new Set();
+
+  let result = '';
+  let lastEnd = 0;
+  let remapped = 0;
+
+  for (const token of tokens) {
+    if (token.type !== TokenType.COLUMN_REF) continue;
+
+    const { columnId } = token.value;
+    const newId = lookup(mapping, columnId);
+
+    if (newId === null) {
+      unmapped.add(columnId);
+      continue;
+    }
+
+    // Replace only the ID inside the braces, keeping any surrounding spaces and #field
+    const raw = source.slice(token.position, token.end);
+    const idStart = raw.indexOf(columnId, 1);
+
+    result += source.slice(lastEnd, token.position)
+      + raw.slice(0, idStart)
+      + newId
+      + raw.slice(idStart + columnId.length);
+    lastEnd = token.end;
+    remapped++;
+  }
+
+  result += source.slice(lastEnd);
+
+  logger.debug('Remapped column references', TAG, { remapped, unmapped: unmapped.size });
+
+  return {
+    formula: result,
+    remapped,
+    unmapped: Array.from(unmapped),
+  };
+}
+
+export default {
+  remapColumnRefs,
+};
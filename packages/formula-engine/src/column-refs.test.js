@@ -0,0 +1,84 @@
+/**
+ * Tests for Column Reference Rewriting
+ *
+ * Run with: node src/column-refs.test.js
+ *
+ * These tests check that remapColumnRefs rewrites only column IDs, keeps the
+ * rest of the formula text untouched, and reports unmapped references.
+ */
+
+import { remapColumnRefs } from './column-refs.js';
+import { extractColumnIds } from './parser.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+function testRemap() {
+  const mapping = {
+    numbers1: 'numbers_9x',
+    date1: 'date_2b',
+    status: 'status_7',
+  };
+
+  const cases = [
+    ['Simple reference', '{numbers1} * 2', '{numbers_9x} * 2', []],
+    ['Field reference', 'DAYS({date1#to}, {date1#from})', 'DAYS({date_2b#to}, {date_2b#from})', []],
+    ['Whitespace preserved', 'IF(  {status}="Done" ,\n   {numbers1},0 )', 'IF(  {status_7}="Done" ,\n   {numbers_9x},0 )', []],
+    ['Spaces inside braces', '{ numbers1 } + 1', '{ numbers_9x } + 1', []],
+    ['Strings untouched', 'CONCATENATE("{numbers1}", {numbers1})', 'CONCATENATE("{numbers1}", {numbers_9x})', []],
+    ['Unmapped reported', '{numbers1} + {other} + {other#text}', '{numbers_9x} + {other} + {other#text}', ['other']],
+    ['No references', '5 + 3', '5 + 3', []],
+  ];
+
+  for (const [name, formula, expected, expectedUnmapped] of cases) {
+    console.log(`\n=== Test: Remap - ${name} ===`);
+    const result = remapColumnRefs(formula, mapping);
+    console.log('Result:', JSON.stringify(result.formula), 'Unmapped:', result.unmapped);
+    console.log('Expected:', JSON.stringify(expected), 'Unmapped:', expectedUnmapped);
+    console.log('Pass:', result.formula === expected && result.unmapped.join(',') === expectedUnmapped.join(','));
+  }
+}
+
+function testMapAndCounts() {
+  console.log('\n=== Test: Map mapping and remapped count ===');
+  const mapping = new Map([['a', 'x'], ['b', 'y']]);
+  const result = remapColumnRefs('{a} + {b} * {a}', mapping);
+  console.log('Result:', result);
+  console.log('Pass:', result.formula === '{x} + {y} * {x}' && result.remapped === 3 && result.unmapped.length === 0);
+
+  console.log('\n=== Test: Swapped IDs are not rewritten twice ===');
+  const swapped = remapColumnRefs('{a} - {b}', { a: 'b', b: 'a' });
+  console.log('Result:', swapped.formula);
+  console.log('Pass:', swapped.formula === '{b} - {a}');
+
+  console.log('\n=== Test: Remapped formula references the new IDs ===');
+  const remapped = remapColumnRefs('IF({a} > {b}, {a}, {c#text})', { a: 'x', b: 'y', c: 'z' });
+  const ids = extractColumnIds(remapped.formula);
+  console.log('Result:', ids);
+  console.log('Pass:', ids.join(',') === 'x,y,z');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Column Reference Rewriting Tests');
+  console.log('========================================');
+
+  try {
+    testRemap();
+    testMapAndCounts();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -6,6 +6,8 @@
  */
 
 import logger from './logger.js';
+import { ValueType } from './functions/signatures.js';
+import { getZonedParts } from './timezone.js';
 
 const TAG = 'column_value_extractor';
 
@@ -315,39 +317,191 @@ export function extractMultipleColumnValues(columnValues) {
 }
 
 /**
- * Gets the GraphQL fragment fields needed for a specific column type.
- * This helps build efficient queries that request only needed fields.
+ * Parses the raw JSON value of a column value (null when empty or invalid).
+ */
+function parseRawValue(columnValue) {
+  if (!columnValue?.value) return null;
+  if (typeof columnValue.value === 'object') return columnValue.value;
+  try {
+    return JSON.parse(columnValue.value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses a number stored as text in a raw value ('' when missing).
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const number = Number(value);
+  return isNaN(number) ? '' : number;
+}
+
+/**
+ * Reads the clock and calendar fields of a date column value.
+ * Dates with a time are stored in UTC and read in the time zone of the
+ * evaluation; dates without a time have no hour or minute.
+ */
+function readDateParts(raw, timeZone) {
+  if (!raw?.date) return null;
+  if (!raw.time) {
+    const [year, month, day] = raw.date.split('-').map(Number);
+    return { date: raw.date, year, month, day, hour: '', minute: '', time: '' };
+  }
+
+  const parts = getZonedParts(new Date(`${raw.date}T${raw.time}Z`), timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    ...parts,
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+  };
+}
+
+/**
+ * Reads the IDs of the people (not teams) in a people column value.
+ */
+function readPersonIds(raw) {
+  return (raw?.personsAndTeams || [])
+    .filter(entry => entry.kind !== 'team')
+    .map(entry => Number(entry.id));
+}
+
+/**
+ * Sub-fields of each column type, referenced as {column#field}.
+ * Each field has its value type and reads the field from the parsed raw column
+ * value (the `value` JSON of the API). read(raw, options) gets options.timeZone
+ * (for date times) and options.users (user ID -> { name, email }, for people).
+ * Fields holding several values (people, linked items) are lists.
+ */
+const COLUMN_TYPE_FIELDS = {
+  date: {
+    date: { type: ValueType.DATE, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.date ?? '' },
+    time: { type: ValueType.TEXT, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.time ?? '' },
+    year: { type: ValueType.NUMBER, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.year ?? '' },
+    month: { type: ValueType.NUMBER, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.month ?? '' },
+    day: { type: ValueType.NUMBER, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.day ?? '' },
+    hour: { type: ValueType.NUMBER, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.hour ?? '' },
+    minute: { type: ValueType.NUMBER, read: (raw, { timeZone }) => readDateParts(raw, timeZone)?.minute ?? '' },
+  },
+  hour: {
+    hour: { type: ValueType.NUMBER, read: raw => toNumber(raw?.hour) },
+    minute: { type: ValueType.NUMBER, read: raw => (raw ? toNumber(raw.minute ?? 0) : '') },
+  },
+  timeline: {
+    from: { type: ValueType.DATE, read: raw => raw?.from ?? '' },
+    to: { type: ValueType.DATE, read: raw => raw?.to ?? '' },
+  },
+  week: {
+    start: { type: ValueType.DATE, read: raw => raw?.week?.startDate ?? '' },
+    end: { type: ValueType.DATE, read: raw => raw?.week?.endDate ?? '' },
+  },
+  people: {
+    ids: { type: ValueType.LIST, read: raw => readPersonIds(raw) },
+    names: { type: ValueType.LIST, read: (raw, { users }) => readPersonIds(raw).map(id => users?.get(id)?.name ?? '') },
+    emails: { type: ValueType.LIST, read: (raw, { users }) => readPersonIds(raw).map(id => users?.get(id)?.email ?? '') },
+  },
+  location: {
+    lat: { type: ValueType.NUMBER, read: raw => toNumber(raw?.lat) },
+    lng: { type: ValueType.NUMBER, read: raw => toNumber(raw?.lng) },
+    address: { type: ValueType.TEXT, read: raw => raw?.address ?? '' },
+    city: { type: ValueType.TEXT, read: raw => raw?.city?.long_name ?? '' },
+    country: { type: ValueType.TEXT, read: raw => raw?.country?.long_name ?? '' },
+    country_code: { type: ValueType.TEXT, read: raw => raw?.country?.short_name ?? '' },
+  },
+  email: {
+    email: { type: ValueType.TEXT, read: raw => raw?.email ?? '' },
+    text: { type: ValueType.TEXT, read: raw => raw?.text ?? '' },
+  },
+  link: {
+    url: { type: ValueType.TEXT, read: raw => raw?.url ?? '' },
+    text: { type: ValueType.TEXT, read: raw => raw?.text ?? '' },
+  },
+  phone: {
+    phone: { type: ValueType.TEXT, read: raw => raw?.phone ?? '' },
+    country_code: { type: ValueType.TEXT, read: raw => raw?.countryShortName ?? '' },
+  },
+  country: {
+    code: { type: ValueType.TEXT, read: raw => raw?.countryCode ?? '' },
+    name: { type: ValueType.TEXT, read: raw => raw?.countryName ?? '' },
+  },
+  world_clock: {
+    timezone: { type: ValueType.TEXT, read: raw => raw?.timezone ?? '' },
+  },
+  status: {
+    index: { type: ValueType.NUMBER, read: raw => toNumber(raw?.index) },
+  },
+  dropdown: {
+    ids: { type: ValueType.LIST, read: raw => (raw?.ids || []).map(Number) },
+  },
+  time_tracking: {
+    duration: { type: ValueType.NUMBER, read: raw => (raw ? toNumber(raw.duration ?? 0) : '') },
+    running: { type: ValueType.BOOLEAN, read: raw => String(raw?.running) === 'true' },
+  },
+  board_relation: {
+    ids: { type: ValueType.LIST, read: raw => (raw?.linkedPulseIds || []).map(link => Number(link.linkedPulseId)) },
+  },
+  dependency: {
+    ids: { type: ValueType.LIST, read: raw => (raw?.linkedPulseIds || []).map(link => Number(link.linkedPulseId)) },
+  },
+};
+
+/**
+ * Gets the sub-fields a column type supports in {column#field} references.
+ * Example: getColumnTypeFields('timeline') => ['from', 'to']
  * @param {string} columnType - The column type.
- * @returns {string} - GraphQL fragment fields.
+ * @returns {string[]} - Field names (empty for column types without fields).
  */
 export function getColumnTypeFields(columnType) {
-  const COLUMN_TYPE_FIELDS = {
-    text: 'text',
-    long_text: 'text',
-    numbers: 'number text',
-    date: 'date time text',
-    hour: 'hour minute text',
-    status: 'label text',
-    dropdown: 'values { id label } text',
-    people: 'persons_and_teams { id name } text',
-    checkbox: 'checked text',
-    rating: 'rating text',
-    timeline: 'from to text',
-    formula: 'display_value text',
-    board_relation: 'linked_items { id name } text',
-    mirror: 'mirrored_items { linked_item { id name } } display_value text',
-    vote: 'vote_count text',
-    time_tracking: 'duration text',
-    dependency: 'linked_items { id name } text',
-  };
+  return Object.keys(COLUMN_TYPE_FIELDS[columnType?.toLowerCase()] ?? {});
+}
+
+/**
+ * Gets the value type of a column sub-field.
+ * @param {string} columnType - The column type.
+ * @param {string} field - The field name (case-insensitive).
+ * @returns {string|null} - A ValueType, or null if the column type has no such field.
+ */
+export function getColumnFieldType(columnType, field) {
+  return COLUMN_TYPE_FIELDS[columnType?.toLowerCase()]?.[field?.toLowerCase()]?.type ?? null;
+}
+
+/**
+ * Extracts sub-fields from a raw column value object.
+ * @param {object} columnValue - Column value with the raw `value` JSON (string or parsed).
+ * @param {string} columnType - The column type.
+ * @param {string[]} fields - Field names (case-insensitive).
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for date column times.
+ * @param {Map<number, {name: string, email: string}>} [options.users] - Users, for people names and emails.
+ * @returns {object} - Field -> value, for the fields the column type supports ('' or [] when the column is empty).
+ */
+export function extractColumnFields(columnValue, columnType, fields, options = {}) {
+  const definitions = COLUMN_TYPE_FIELDS[columnType?.toLowerCase()] ?? {};
+  const raw = parseRawValue(columnValue);
+  const result = {};
+
+  for (const field of fields) {
+    const definition = definitions[field.toLowerCase()];
+    if (!definition) continue;
+    try {
+      result[field] = definition.read(raw, options);
+    } catch (err) {
+      logger.warn('Error extracting column field', TAG, { type: columnType, field, error: err.message });
+      result[field] = '';
+    }
+  }
 
-  return COLUMN_TYPE_FIELDS[columnType?.toLowerCase()] ?? 'text';
+  return result;
 }
 
 export default {
   extractColumnValue,
   extractMultipleColumnValues,
   getColumnTypeFields,
+  getColumnFieldType,
+  extractColumnFields,
   parseNumericValues,
   applyAggregationFunction,
 };
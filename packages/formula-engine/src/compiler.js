@@ -0,0 +1,225 @@
+/**
+ * Formula Compiler
+ * Compiles a formula AST into a tree of closures that can be evaluated many times
+ * (e.g. once per item) without re-tokenizing or re-parsing the formula.
+ */
+
+import logger from './logger.js';
+import { NodeType, parse, walkAST } from './parser.js';
+import { readColumnValue, callFunction, applyBinaryOp, applyUnaryOp } from './evaluator.js';
+import { createEvaluationContext } from './context.js';
+import { isSpecialForm, runSpecialForm } from './special-forms.js';
+import { EMPTY_SCOPE } from './scope.js';
+
+const TAG = 'formula_compiler';
+
+// Default number of compiled formulas kept in the cache
+const DEFAULT_CACHE_SIZE = 500;
+
+/**
+ * Creates a least-recently-used cache.
+ * @param {number} maxSize - Maximum number of entries.
+ * @returns {Object} Cache instance { get, set, has, clear, size }
+ */
+export function createLRUCache(maxSize = DEFAULT_CACHE_SIZE) {
+  const entries = new Map();
+
+  function get(key) {
+    if (!entries.has(key)) return undefined;
+
+    // Re-insert to mark as most recently used
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, value);
+
+    // Evict least recently used (first inserted) entries
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => entries.has(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+  };
+}
+
+/**
+ * Compiles an AST node into a closure: (columnValues, context, scope) => value.
+ * context is the EvaluationContext passed to function calls and scope holds
+ * the names bound by the enclosing LETs (see scope.js).
+ * Semantics match the Evaluator class.
+ * @param {object} node - The AST node.
+ * @returns {Function} The compiled closure.
+ */
+export function compileNode(node) {
+  if (!node) {
+    return () => '';
+  }
+
+  switch (node.type) {
+    case NodeType.LITERAL: {
+      const { value } = node;
+      return () => value;
+    }
+
+    case NodeType.COLUMN_REF: {
+      const { columnId, field } = node;
+      return (columnValues) => readColumnValue(columnValues, columnId, field);
+    }
+
+    case NodeType.FUNCTION_CALL: {
+      const { name } = node;
+      const args = node.args.map(compileNode);
+      if (isSpecialForm(name)) {
+        return (columnValues, context, scope) => runSpecialForm(name, args.length, (index) => args[index](columnValues, context, scope));
+      }
+      // Unknown functions give '' without evaluating their arguments, like the evaluator
+      return (columnValues, context, scope) => {
+        if (!context.getFunction(name)) {
+          logger.warn('Unknown function', TAG, { name });
+          return '';
+        }
+        return callFunction(name, args.map(arg => arg(columnValues, context, scope)), context);
+      };
+    }
+
+    case NodeType.BINARY_OP: {
+      const { operator } = node;
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (columnValues, context, scope) => applyBinaryOp(operator, left(columnValues, context, scope), right(columnValues, context, scope));
+    }
+
+    case NodeType.UNARY_OP: {
+      const { operator } = node;
+      const operand = compileNode(node.operand);
+      return (columnValues, context, scope) => applyUnaryOp(operator, operand(columnValues, context, scope));
+    }
+
+    case NodeType.LET: {
+      const bindings = node.bindings.map(({ name, value }) => ({ name, value: compileNode(value) }));
+      const body = compileNode(node.body);
+      return (columnValues, context, scope = EMPTY_SCOPE) => {
+        let inner = scope;
+        for (const { name, value } of bindings) {
+          const outer = inner;
+          inner = inner.bind(name, () => value(columnValues, context, outer));
+        }
+        return body(columnValues, context, inner);
+      };
+    }
+
+    case NodeType.NAME: {
+      const { name } = node;
+      return (columnValues, context, scope = EMPTY_SCOPE) => scope.read(name);
+    }
+
+    default:
+      logger.warn('Unknown node type', TAG, { nodeType: node.type });
+      return () => '';
+  }
+}
+
+/**
+ * Collects the unique column IDs referenced in an AST, in order of appearance.
+ * @param {object} ast - The AST root node.
+ * @returns {string[]} Column IDs.
+ */
+export function collectDependencies(ast) {
+  const columnIds = new Set();
+
+  walkAST(ast, (node) => {
+    if (node.type === NodeType.COLUMN_REF) columnIds.add(node.columnId);
+  });
+
+  return Array.from(columnIds);
+}
+
+/**
+ * Collects the fields referenced per column ({column#field}), in order of appearance.
+ * Example: collectFieldReferences(parse('SUM({subitems#hours}) + {date1}'))
+ *   => Map { 'subitems' => ['hours'] }
+ * @param {object} ast - The AST root node.
+ * @returns {Map<string, string[]>} Column ID -> unique field names (columns without fields are left out).
+ */
+export function collectFieldReferences(ast) {
+  const fields = new Map();
+
+  walkAST(ast, (node) => {
+    if (node.type !== NodeType.COLUMN_REF || !node.field) return;
+    if (!fields.has(node.columnId)) fields.set(node.columnId, []);
+    const columnFields = fields.get(node.columnId);
+    if (!columnFields.includes(node.field)) columnFields.push(node.field);
+  });
+
+  return fields;
+}
+
+const compiledCache = createLRUCache(DEFAULT_CACHE_SIZE);
+
+/**
+ * Compiles a formula string into a reusable evaluator.
+ * Results are cached by formula text, so the same formula is parsed only once.
+ *
+ * Example:
+ *   const compiled = compileFormula('{numbers1} * 2');
+ *   compiled.dependencies;                           // ['numbers1']
+ *   compiled.evaluate(new Map([['numbers1', 21]])); // 42
+ *
+ * @param {string} formula - The formula string.
+ * @returns {{formula: string, ast: object, dependencies: string[], fields: Map<string, string[]>, evaluate: Function}}
+ *   The compiled formula. fields lists the {column#field} fields per column (see
+ *   collectFieldReferences). evaluate(columnValues, context) returns the raw (unformatted) result;
+ *   context is an EvaluationContext or its options (see createEvaluationContext).
+ * @throws {Error} If the formula cannot be parsed.
+ */
+export function compileFormula(formula) {
+  const source = formula ?? '';
+
+  const cached = compiledCache.get(source);
+  if (cached) {
+    return cached;
+  }
+
+  const ast = parse(source);
+  const root = compileNode(ast);
+
+  const compiled = {
+    formula: source,
+    ast,
+    dependencies: collectDependencies(ast),
+    fields: collectFieldReferences(ast),
+    evaluate: (columnValues = new Map(), context = null) => root(columnValues, createEvaluationContext(context).forEvaluation()),
+  };
+
+  compiledCache.set(source, compiled);
+  logger.debug('Compiled formula', TAG, { formula: source, cacheSize: compiledCache.size() });
+
+  return compiled;
+}
+
+/**
+ * Clears the compiled formula cache.
+ */
+export function clearCompiledFormulas() {
+  compiledCache.clear();
+}
+
+export default {
+  createLRUCache,
+  compileNode,
+  collectDependencies,
+  collectFieldReferences,
+  compileFormula,
+  clearCompiledFormulas,
+};
@@ -0,0 +1,139 @@
+/**
+ * Tests for the Formula Compiler
+ *
+ * Run with: node src/compiler.test.js
+ *
+ * These tests check that compiled formulas produce the same results as the
+ * AST evaluator, and that the compiled formula cache behaves as an LRU.
+ */
+
+import { compileFormula, clearCompiledFormulas, createLRUCache } from './compiler.js';
+import { parse } from './parser.js';
+import { evaluate } from './evaluator.js';
+import { createEvaluationContext } from './context.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+function testMatchesEvaluator() {
+  const columnValues = new Map([
+    ['numbers1', 25],
+    ['text1', 'monday'],
+    ['date1', '2024-01-31'],
+    ['obj1', { from: '2024-01-01', to: '2024-02-01' }],
+  ]);
+
+  const formulas = [
+    '5 + 3',
+    '{numbers1} * 2 - 1',
+    '-{numbers1} / 4',
+    'IF({numbers1} > 10, "big", "small")',
+    'CONCATENATE(UPPER({text1}), "-", LEN({text1}))',
+    '{text1} & " " & {numbers1}',
+    'ADD_DAYS({date1}, 1)',
+    '{obj1#to}',
+    '{missing} + 1',
+    'UNKNOWN_FN(1)',
+    'SWITCH({text1}, "monday", 1, "sunday", 2, 0)',
+  ];
+
+  for (const formula of formulas) {
+    console.log(`\n=== Test: Compiled matches evaluator - ${formula} ===`);
+    const expected = evaluate(parse(formula), columnValues);
+    const result = compileFormula(formula).evaluate(columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testUnknownFunctionArguments() {
+  console.log('\n=== Test: Unknown functions read no columns, compiled or not ===');
+  // Records the columns read
+  class RecordingMap extends Map {
+    constructor(entries) {
+      super(entries);
+      this.reads = [];
+    }
+    get(key) {
+      this.reads.push(key);
+      return super.get(key);
+    }
+  }
+  const formula = 'UNKNOWN_FN({numbers1}, {text1} & "x")';
+  const interpreted = new RecordingMap([['numbers1', 25], ['text1', 'monday']]);
+  const compiled = new RecordingMap([['numbers1', 25], ['text1', 'monday']]);
+  const expected = evaluate(parse(formula), interpreted);
+  const result = compileFormula(formula).evaluate(compiled);
+  const context = createEvaluationContext({ functions: { UNKNOWN_FN: (n, text) => `${n}:${text}` } });
+  const known = compileFormula(formula).evaluate(new Map([['numbers1', 25], ['text1', 'monday']]), context);
+  console.log('Result:', JSON.stringify(result), compiled.reads, known);
+  console.log('Expected:', JSON.stringify(expected), interpreted.reads, '25:mondayx');
+  console.log('Pass:', result === expected && result === '' && compiled.reads.length === 0
+    && interpreted.reads.length === 0 && known === '25:mondayx');
+}
+
+function testDependencies() {
+  console.log('\n=== Test: Dependencies ===');
+  const compiled = compileFormula('IF({a} > {b}, {a}, {c#text})');
+  console.log('Result:', compiled.dependencies);
+  console.log('Expected: [ a, b, c ]');
+  console.log('Pass:', compiled.dependencies.join(',') === 'a,b,c');
+}
+
+function testCacheReuse() {
+  console.log('\n=== Test: Cache returns the same compiled formula ===');
+  clearCompiledFormulas();
+  const first = compileFormula('{numbers1} + 1');
+  const second = compileFormula('{numbers1} + 1');
+  console.log('Pass:', first === second);
+
+  console.log('\n=== Test: Evaluate many items with one compilation ===');
+  let total = 0;
+  for (let i = 0; i < 1000; i++) {
+    total += compileFormula('{numbers1} + 1').evaluate(new Map([['numbers1', i]]));
+  }
+  console.log('Result:', total);
+  console.log('Expected: 500500');
+  console.log('Pass:', total === 500500);
+}
+
+function testLRUEviction() {
+  console.log('\n=== Test: LRU eviction ===');
+  const cache = createLRUCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');     // 'a' is now most recently used
+  cache.set('c', 3);  // evicts 'b'
+  console.log('Keys present:', ['a', 'b', 'c'].filter(k => cache.has(k)));
+  console.log('Expected: [ a, c ]');
+  console.log('Pass:', cache.has('a') && !cache.has('b') && cache.has('c') && cache.size() === 2);
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Formula Compiler Tests');
+  console.log('========================================');
+
+  try {
+    testMatchesEvaluator();
+    testUnknownFunctionArguments();
+    testDependencies();
+    testCacheReuse();
+    testLRUEviction();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -0,0 +1,96 @@
+/**
+ * Operator Conformance Tests
+ *
+ * Run with: node src/conformance.test.js
+ *
+ * Table of formulas and the results monday displays for them, covering
+ * operator precedence, associativity and prefix operators. Each formula is
+ * checked with the evaluator, compiled formulas and the async evaluator.
+ */
+
+import { evaluateFormula, evaluateFormulaAsync, printFormula, parse } from './index.js';
+
+// ============================================================================
+// Conformance Table
+// ============================================================================
+
+const CONFORMANCE_TABLE = [
+  // [formula, displayed result]
+
+  // Arithmetic precedence
+  ['2 + 3 * 4', '14'],
+  ['(2 + 3) * 4', '20'],
+  ['5-3', '2'],
+  ['10 - 2 - 3', '5'],
+  ['12 / 3 / 2', '2'],
+  ['7 % 3 * 2', '2'],
+
+  // Exponent: binds tighter than * and is right-associative
+  ['2 * 3 ^ 2', '18'],
+  ['2 ^ 3 ^ 2', '512'],
+  ['(2 ^ 3) ^ 2', '64'],
+  ['2 ^ -1', '0.5'],
+
+  // Prefix operators bind tighter than any binary operator
+  ['-2 ^ 2', '4'],
+  ['-(2 ^ 2)', '-4'],
+  ['2 * -3', '-6'],
+  ['--3', '3'],
+  ['+"5" + 1', '6'],
+  ['!TRUE', 'false'],
+  ['!(1 > 2)', 'true'],
+  ['!0', 'true'],
+
+  // & concatenates after arithmetic; + is always numeric
+  ['1 + 2 & 3', '33'],
+  ['"Total: " & 2 * 3', 'Total: 6'],
+  ['"a" & 1 + 1', 'a2'],
+  ['"a" + 1', '#VALUE!'],
+  ['"2" + 3', '5'],
+
+  // Comparisons have the lowest precedence and chain left to right
+  ['1 + 1 = 2', 'true'],
+  ['"a" & "b" = "ab"', 'true'],
+  ['1 < 2 < 3', 'true'],
+  ['3 > 2 > 1', 'false'],
+  ['2 = 2 = TRUE', 'true'],
+];
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+async function testConformance() {
+  for (const [formula, expected] of CONFORMANCE_TABLE) {
+    console.log(`\n=== Test: Conformance - ${formula} ===`);
+    const result = evaluateFormula(formula, new Map());
+    const asyncResult = await evaluateFormulaAsync(formula, async () => '');
+    const reprinted = evaluateFormula(printFormula(parse(formula)), new Map());
+    console.log('Result:', result, 'Async:', asyncResult, 'Reprinted:', reprinted);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected && asyncResult === expected && reprinted === expected);
+  }
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Operator Conformance Tests');
+  console.log('========================================');
+
+  try {
+    await testConformance();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
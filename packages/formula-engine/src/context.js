@@ -0,0 +1,251 @@
+/**
+ * Evaluation Context
+ * Everything a formula result depends on besides its column values: the
+ * current time, time zone, locale, first day of the week, weekend, holidays,
+ * random numbers and function overrides.
+ *
+ * Pinning the clock makes TODAY()/NOW() and everything derived from them
+ * reproducible, e.g. in tests or when re-running a block:
+ *   const context = createEvaluationContext({
+ *     clock: () => new Date('2024-01-15T12:00:00Z'),
+ *     timeZone: 'Europe/London',
+ *   });
+ *   evaluateFormula('TODAY()', columnValues, { context });   // "2024-01-15"
+ *
+ * Formula functions receive the context as `this` (see callFunction).
+ *
+ * Function overrides replace or add formula functions for evaluations with the
+ * context only, e.g. a fixed FX_RATE in tests:
+ *   createEvaluationContext({ functions: { FX_RATE: () => 1.1 } });
+ */
+
+import logger from './logger.js';
+import { checkFunction, getFunction, getSignature } from './functions/index.js';
+import { resolveTimeZone, parseZonedDate, toCalendarDay } from './timezone.js';
+import { DEFAULT_WEEKEND, parseWeekend } from './work-calendar.js';
+
+const TAG = 'formula_context';
+
+/**
+ * Days of the week, for weekStart
+ */
+export const Weekday = {
+  SUNDAY: 0,
+  MONDAY: 1,
+  TUESDAY: 2,
+  WEDNESDAY: 3,
+  THURSDAY: 4,
+  FRIDAY: 5,
+  SATURDAY: 6,
+};
+
+/**
+ * Evaluation context. Immutable; create a new one to change a setting.
+ */
+export class EvaluationContext {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - () => Date|number, the current time (defaults to the system clock)
+   * @param {string|Object} [options.timeZone] - IANA time zone or World Clock value (defaults to UTC)
+   * @param {string} [options.locale] - Locale for formatting, e.g. 'de-DE' (defaults to none)
+   * @param {number} [options.weekStart=0] - First day of the week (see Weekday), used by WEEKNUM
+   * @param {number[]|number|string} [options.weekend] - Weekend days (see work-calendar.js),
+   *   e.g. [Weekday.FRIDAY, Weekday.SATURDAY]; defaults to Saturday and Sunday
+   * @param {Array<string|Date>} [options.holidays] - Non-working days, e.g. ['2024-12-25'] or
+   *   the result of loadHolidayCalendar; skipped by WORKDAYS and WORKDAY
+   * @param {number|string} [options.seed] - Seed for RAND and RANDBETWEEN; each evaluation
+   *   restarts from it, so the same seed gives the same numbers (defaults to unseeded Math.random)
+   * @param {Object<string, Function>|Map<string, Function>} [options.functions] - Function
+   *   overrides by name, e.g. { FX_RATE: (from, to) => 1.1 }; they replace built-in and
+   *   registered functions (see registerFunction) and keep their signatures
+   */
+  constructor({ clock = null, timeZone = null, locale = null, weekStart = Weekday.SUNDAY, weekend = DEFAULT_WEEKEND, holidays = [], seed = null, functions = null } = {}) {
+    this.clock = clock;
+    this.timeZone = resolveTimeZone(timeZone);
+    this.locale = locale || null;
+    this.weekStart = normalizeWeekStart(weekStart);
+    this.weekend = normalizeWeekend(weekend);
+    this.holidays = normalizeHolidays(holidays, this.timeZone);
+    this.seed = seed ?? null;
+    this.random = createRandom(this.seed); // () => number in [0, 1)
+    this.functions = normalizeFunctions(functions);
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates a copy of this context with some settings changed.
+   * Example: context.with({ timeZone: 'Asia/Tokyo' })
+   * @param {Object} options - Settings to change (see the constructor).
+   * @returns {EvaluationContext} The new context.
+   */
+  with(options) {
+    return new EvaluationContext({
+      clock: this.clock,
+      timeZone: this.timeZone,
+      locale: this.locale,
+      weekStart: this.weekStart,
+      weekend: this.weekend,
+      holidays: [...this.holidays],
+      seed: this.seed,
+      functions: this.functions,
+      ...options,
+    });
+  }
+
+  /**
+   * Starts an evaluation: with a seed, RAND and RANDBETWEEN restart from it, so every
+   * evaluation with this context gives the same numbers.
+   * @returns {EvaluationContext} The context to evaluate with.
+   */
+  forEvaluation() {
+    return this.seed === null ? this : this.with({});
+  }
+
+  /**
+   * Gets the context for one item: with a seed, the item ID is added to it, so each item
+   * gets its own numbers whichever items are evaluated with it.
+   * @param {number|string} itemId - Item ID.
+   * @returns {EvaluationContext} The context for the item.
+   */
+  forItem(itemId) {
+    return this.seed === null ? this : this.with({ seed: `${this.seed}:${itemId}` });
+  }
+
+  /**
+   * Gets a formula function: this context's override, or the registered function.
+   * @param {string} name - Function name (case-insensitive).
+   * @returns {Function|null} The implementation, or null if there is none.
+   */
+  getFunction(name) {
+    return this.functions.get(String(name).toUpperCase()) ?? getFunction(name);
+  }
+
+  /**
+   * Gets the current time from the clock.
+   * @returns {Date} The current time.
+   */
+  now() {
+    return this.clock ? new Date(this.clock()) : new Date();
+  }
+
+  /**
+   * Checks if a calendar day is a weekend day.
+   * @param {Date} day - Midnight UTC of the day (see toCalendarDay).
+   * @returns {boolean} True if the day's weekday is in the weekend.
+   */
+  isWeekend(day) {
+    return this.weekend.includes(day.getUTCDay());
+  }
+
+  /**
+   * Checks if a calendar day is a holiday.
+   * @param {Date} day - Midnight UTC of the day (see toCalendarDay).
+   * @returns {boolean} True if the day is in the holiday list.
+   */
+  isHoliday(day) {
+    return this.holidays.has(day.toISOString().slice(0, 10));
+  }
+}
+
+/**
+ * Validates weekStart, falling back to Sunday.
+ */
+function normalizeWeekStart(weekStart) {
+  const day = Number(weekStart);
+  if (Number.isInteger(day) && day >= 0 && day <= 6) {
+    return day;
+  }
+  logger.warn('Invalid week start, using Sunday', TAG, { weekStart });
+  return Weekday.SUNDAY;
+}
+
+/**
+ * Validates the weekend, falling back to Saturday and Sunday.
+ */
+function normalizeWeekend(weekend) {
+  const days = parseWeekend(weekend);
+  if (days) {
+    return Object.freeze(days);
+  }
+  logger.warn('Invalid weekend, using Saturday and Sunday', TAG, { weekend });
+  return DEFAULT_WEEKEND;
+}
+
+/**
+ * Converts holidays to a set of calendar days (YYYY-MM-DD) in the time zone.
+ * Values that are not dates are skipped.
+ */
+function normalizeHolidays(holidays, timeZone) {
+  const days = new Set();
+
+  for (const holiday of holidays || []) {
+    const date = parseZonedDate(holiday, timeZone);
+    if (!date) {
+      logger.warn('Invalid holiday, skipping', TAG, { holiday });
+      continue;
+    }
+    days.add(toCalendarDay(date, timeZone).toISOString().slice(0, 10));
+  }
+
+  return days;
+}
+
+/**
+ * Checks function overrides (see checkFunction) against the signatures of the
+ * functions they replace. Invalid overrides are skipped.
+ */
+function normalizeFunctions(functions) {
+  const overrides = new Map();
+  const entries = functions instanceof Map ? functions.entries() : Object.entries(functions || {});
+
+  for (const [name, impl] of entries) {
+    try {
+      overrides.set(checkFunction(name, impl, getSignature(name)), impl);
+    } catch (err) {
+      logger.warn('Invalid function override, skipping', TAG, { name, error: err.message });
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Creates a random number generator: Math.random, or a seeded generator
+ * (mulberry32) if a seed is given. The seed is hashed, so text seeds work too.
+ */
+function createRandom(seed) {
+  if (seed === null) return Math.random;
+
+  const text = String(seed);
+  let state = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DEFAULT_CONTEXT = new EvaluationContext();
+
+/**
+ * Creates an evaluation context.
+ * @param {EvaluationContext|Object} [options] - A context (returned as-is) or
+ *   its options (see EvaluationContext).
+ * @returns {EvaluationContext} The context.
+ */
+export function createEvaluationContext(options) {
+  if (options instanceof EvaluationContext) return options;
+  if (!options) return DEFAULT_CONTEXT;
+  return new EvaluationContext(options);
+}
+
+export default {
+  Weekday,
+  EvaluationContext,
+  createEvaluationContext,
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for the Evaluation Context
+ *
+ * Run with: node src/context.test.js
+ *
+ * These tests check that the clock, week start and holidays of a context reach
+ * every evaluation path (evaluate, compiled formulas, evaluateFormula and the
+ * async evaluator), so results can be reproduced exactly.
+ */
+
+import { parse, evaluate, evaluateAsync, evaluateFormula, evaluateFormulaAsync, compileFormula, formatResult } from './index.js';
+import { Weekday, EvaluationContext, createEvaluationContext } from './context.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const clock = () => new Date('2024-01-15T12:00:00Z');
+
+function testCreateContext() {
+  console.log('\n=== Test: createEvaluationContext returns contexts as-is ===');
+  const context = createEvaluationContext({ clock });
+  console.log('Pass:', createEvaluationContext(context) === context && context instanceof EvaluationContext);
+
+  console.log('\n=== Test: Default context is shared and uses UTC, Sunday and no holidays ===');
+  const defaults = createEvaluationContext();
+  console.log('Pass:', defaults === createEvaluationContext(null)
+    && defaults.timeZone === 'UTC'
+    && defaults.locale === null
+    && defaults.weekStart === Weekday.SUNDAY
+    && defaults.holidays.size === 0);
+
+  console.log('\n=== Test: Context is immutable ===');
+  let threw = false;
+  try {
+    context.timeZone = 'Asia/Tokyo';
+  } catch (err) {
+    threw = true;
+  }
+  console.log('Pass:', Object.isFrozen(context) && context.timeZone === 'UTC' && threw);
+
+  console.log('\n=== Test: Invalid week start and holidays fall back ===');
+  const invalid = createEvaluationContext({ weekStart: 9, holidays: ['2024-12-25', 'someday'] });
+  console.log('Week start:', invalid.weekStart, 'Holidays:', [...invalid.holidays]);
+  console.log('Pass:', invalid.weekStart === Weekday.SUNDAY && [...invalid.holidays].join(',') === '2024-12-25');
+}
+
+async function testPinnedClock() {
+  const context = { clock };
+
+  console.log('\n=== Test: Pinned clock in evaluate ===');
+  const ast = parse('DAYS("2024-02-01", TODAY())');
+  const direct = evaluate(ast, new Map(), { context });
+  console.log('Result:', direct);
+  console.log('Pass:', direct === 17);
+
+  console.log('\n=== Test: Pinned clock in a compiled formula ===');
+  const compiled = compileFormula('FORMAT_DATE(NOW(), "YYYY-MM-DD HH:mm")');
+  const first = compiled.evaluate(new Map(), context);
+  const second = compiled.evaluate(new Map(), createEvaluationContext({ clock: () => new Date('2030-06-01T08:15:00Z') }));
+  console.log('Results:', first, second);
+  console.log('Pass:', first === '2024-01-15 12:00' && second === '2030-06-01 08:15');
+
+  console.log('\n=== Test: Pinned clock in evaluateAsync ===');
+  const result = await evaluateAsync(parse('YEAR(TODAY()) + {numbers1}'), async () => 1, { context });
+  console.log('Result:', result);
+  console.log('Pass:', result === 2025);
+
+  console.log('\n=== Test: Same context, same result ===');
+  const runs = Array.from({ length: 3 }, () => evaluateFormula('NOW()', new Map(), { context }));
+  console.log('Results:', runs);
+  console.log('Pass:', runs.every(run => run === '2024-01-15'));
+}
+
+async function testLegacyOptions() {
+  console.log('\n=== Test: Top-level locale, timeZone and clock options still apply ===');
+  const german = evaluateFormula('TEXT(1234.5, "#,##0.0")', new Map(), { locale: 'de-DE' });
+  const today = evaluateFormula('TODAY()', new Map(), { clock });
+  const tokyo = await evaluateFormulaAsync('FORMAT_DATE(NOW(), "YYYY-MM-DD HH:mm")', async () => 0, { timeZone: 'Asia/Tokyo', clock });
+  console.log('Results:', german, today, tokyo);
+  console.log('Pass:', german === '1.234,5' && today === '2024-01-15' && tokyo === '2024-01-15 21:00');
+
+  console.log('\n=== Test: Top-level options replace the same context settings ===');
+  const context = createEvaluationContext({ clock, timeZone: 'Asia/Tokyo', weekStart: Weekday.MONDAY });
+  const result = evaluateFormula('FORMAT_DATE(NOW(), "HH:mm") & " " & WEEKNUM("2024-01-07")', new Map(), { context, timeZone: 'America/New_York' });
+  console.log('Result:', result);
+  console.log('Pass:', result === '07:00 1' && context.timeZone === 'Asia/Tokyo');
+}
+
+function testWeekStart() {
+  const cases = [
+    // [formula, weekStart, expected]
+    ['WEEKNUM("2024-01-07")', Weekday.SUNDAY, '2'],
+    ['WEEKNUM("2024-01-07")', Weekday.MONDAY, '1'],
+    ['WEEKNUM("2024-01-08")', Weekday.MONDAY, '2'],
+    ['WEEKNUM("2024-01-05")', Weekday.SATURDAY, '1'],
+    ['WEEKNUM("2024-01-06")', Weekday.SATURDAY, '2'],
+    ['WEEKNUM("2024-12-31")', Weekday.SUNDAY, '53'],
+  ];
+
+  for (const [formula, weekStart, expected] of cases) {
+    console.log(`\n=== Test: ${formula} with week start ${weekStart} ===`);
+    const result = evaluateFormula(formula, new Map(), { context: { weekStart } });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testHolidays() {
+  const holidays = ['2024-12-25', '2024-12-26', new Date('2025-01-01T00:00:00Z')];
+  const cases = [
+    // [formula, expected without holidays, expected with holidays]
+    ['WORKDAYS("2024-12-27", "2024-12-23")', '5', '3'],
+    ['WORKDAY("2024-12-24", 1)', '2024-12-25', '2024-12-27'],
+    ['WORKDAY("2024-12-30", 2)', '2025-01-01', '2025-01-02'],
+    ['WORKDAY("2024-12-27", -1)', '2024-12-26', '2024-12-24'],
+  ];
+
+  for (const [formula, withoutHolidays, withHolidays] of cases) {
+    console.log(`\n=== Test: ${formula} with holidays ===`);
+    const plain = evaluateFormula(formula, new Map());
+    const result = evaluateFormula(formula, new Map(), { context: { holidays } });
+    console.log('Without holidays:', plain, 'With holidays:', result);
+    console.log('Pass:', plain === withoutHolidays && result === withHolidays);
+  }
+
+  console.log('\n=== Test: Holidays are calendar days in the time zone ===');
+  const context = createEvaluationContext({ holidays: ['2024-12-25'], timeZone: 'Asia/Tokyo' });
+  const result = formatResult(evaluate(parse('WORKDAYS("2024-12-25 16:00:00", "2024-12-24 16:00:00")'), new Map(), { context }), context);
+  console.log('Result:', result);
+  console.log('Pass:', result === '1');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Evaluation Context Tests');
+  console.log('========================================');
+
+  try {
+    testCreateContext();
+    await testPinnedClock();
+    await testLegacyOptions();
+    testWeekStart();
+    testHolidays();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
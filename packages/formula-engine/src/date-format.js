@@ -0,0 +1,177 @@
+/**
+ * Date Formatting
+ * monday/Excel-style date format patterns, shared by TEXT and FORMAT_DATE.
+ *
+ * Tokens:
+ *   YYYY 2024      YY 24
+ *   MMMM January   MMM Jan     MM 01     M 1
+ *   DD 05          D 5         Do 5th
+ *   dddd Monday    ddd Mon
+ *   HH 13          H 13        hh 01     h 1      (hh/h are 12-hour)
+ *   mm 07          m 7         ss 09     s 9
+ *   A PM           a pm
+ *
+ * Text in square brackets is copied as-is ("[Week of] MMM D"), as is a
+ * character after a backslash ("HH\hmm"). Any other character is copied too.
+ * Month, weekday and AM/PM names follow the locale; fields are read in the
+ * given time zone.
+ */
+
+import { getDateFormat, resolveLocale } from './locale.js';
+import { DEFAULT_TIME_ZONE, getZonedParts } from './timezone.js';
+
+/**
+ * Tokens, longest first so "MMMM" is not read as "MM" + "MM"
+ */
+const TOKENS = [
+  'YYYY', 'YY',
+  'MMMM', 'MMM', 'MM', 'M',
+  'Do', 'DD', 'D',
+  'dddd', 'ddd',
+  'HH', 'H', 'hh', 'h',
+  'mm', 'm', 'ss', 's',
+  'A', 'a',
+];
+
+const names = new Map(); // locale -> { months, monthsShort, days, daysShort, am, pm }
+
+/**
+ * Gets the month, weekday and AM/PM names of a locale.
+ */
+function getNames(locale) {
+  const resolved = resolveLocale(locale);
+
+  if (!names.has(resolved)) {
+    const format = (options, date) => getDateFormat(resolved, { ...options, timeZone: 'UTC' }).format(date);
+    const dayPeriod = (hour) => getDateFormat(resolved, { hour: 'numeric', hour12: true, timeZone: 'UTC' })
+      .formatToParts(new Date(Date.UTC(2024, 0, 1, hour)))
+      .find(part => part.type === 'dayPeriod')?.value ?? (hour < 12 ? 'AM' : 'PM');
+
+    const months = Array.from({ length: 12 }, (_, month) => new Date(Date.UTC(2024, month, 1)));
+    const days = Array.from({ length: 7 }, (_, day) => new Date(Date.UTC(2024, 0, 7 + day))); // 2024-01-07 is a Sunday
+
+    names.set(resolved, {
+      months: months.map(date => format({ month: 'long' }, date)),
+      monthsShort: months.map(date => format({ month: 'short' }, date)),
+      days: days.map(date => format({ weekday: 'long' }, date)),
+      daysShort: days.map(date => format({ weekday: 'short' }, date)),
+      am: dayPeriod(9),
+      pm: dayPeriod(21),
+    });
+  }
+  return names.get(resolved);
+}
+
+/**
+ * Formats a day of the month as an ordinal: English suffixes (1st, 2nd, 3rd,
+ * 4th) for English locales, otherwise the number followed by a period (1.).
+ */
+function ordinal(day, locale) {
+  if (!resolveLocale(locale).startsWith('en')) {
+    return `${day}.`;
+  }
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = day % 100;
+  return day + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Splits a date format pattern into tokens and literal text.
+ * Example: tokenizeDateFormat('[Due] MMM Do') =>
+ *   [{ literal: 'Due' }, { literal: ' ' }, { token: 'MMM' }, { literal: ' ' }, { token: 'Do' }]
+ * @param {string} pattern - The format pattern.
+ * @returns {Array<{token: string}|{literal: string}>} The pattern parts.
+ */
+export function tokenizeDateFormat(pattern) {
+  const parts = [];
+  let pos = 0;
+
+  while (pos < pattern.length) {
+    const char = pattern[pos];
+
+    if (char === '[') {
+      const end = pattern.indexOf(']', pos + 1);
+      if (end !== -1) {
+        parts.push({ literal: pattern.slice(pos + 1, end) });
+        pos = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '\\' && pos + 1 < pattern.length) {
+      parts.push({ literal: pattern[pos + 1] });
+      pos += 2;
+      continue;
+    }
+
+    const token = TOKENS.find(t => pattern.startsWith(t, pos));
+    if (token) {
+      parts.push({ token });
+      pos += token.length;
+      continue;
+    }
+
+    parts.push({ literal: char });
+    pos++;
+  }
+
+  return parts;
+}
+
+/**
+ * Formats a date with a date format pattern.
+ * Example: formatDatePattern(new Date('2024-01-15T00:00:00Z'), 'dddd, MMMM Do YYYY') => 'Monday, January 15th 2024'
+ * @param {Date} date - The date.
+ * @param {string} pattern - The format pattern (see tokens above).
+ * @param {string|null} [locale] - Locale for month, weekday and AM/PM names.
+ * @param {string} [timeZone='UTC'] - IANA time zone to read the date in.
+ * @returns {string} The formatted date.
+ */
+export function formatDatePattern(date, pattern, locale = null, timeZone = DEFAULT_TIME_ZONE) {
+  const { months, monthsShort, days, daysShort, am, pm } = getNames(locale);
+
+  const parts = getZonedParts(date, timeZone);
+  const year = parts.year;
+  const month = parts.month - 1; // 0-indexed
+  const day = parts.day;
+  const dayOfWeek = parts.weekday;
+  const hours = parts.hour;
+  const hours12 = hours % 12 || 12;
+  const minutes = parts.minute;
+  const seconds = parts.second;
+
+  const values = {
+    YYYY: () => String(year),
+    YY: () => String(year).slice(-2),
+    MMMM: () => months[month],
+    MMM: () => monthsShort[month],
+    MM: () => pad(month + 1),
+    M: () => String(month + 1),
+    Do: () => ordinal(day, locale),
+    DD: () => pad(day),
+    D: () => String(day),
+    dddd: () => days[dayOfWeek],
+    ddd: () => daysShort[dayOfWeek],
+    HH: () => pad(hours),
+    H: () => String(hours),
+    hh: () => pad(hours12),
+    h: () => String(hours12),
+    mm: () => pad(minutes),
+    m: () => String(minutes),
+    ss: () => pad(seconds),
+    s: () => String(seconds),
+    A: () => (hours < 12 ? am : pm),
+    a: () => (hours < 12 ? am : pm).toLowerCase(),
+  };
+
+  return tokenizeDateFormat(String(pattern ?? ''))
+    .map(part => (part.token ? values[part.token]() : part.literal))
+    .join('');
+}
+
+export default {
+  tokenizeDateFormat,
+  formatDatePattern,
+};
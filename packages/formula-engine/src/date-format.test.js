@@ -0,0 +1,156 @@
+/**
+ * Tests for Date Formatting
+ *
+ * Run with: node src/date-format.test.js
+ *
+ * These tests check every date format token across month, year and weekday
+ * boundaries, literal escaping, locale names, and that TEXT and FORMAT_DATE
+ * share the same grammar.
+ */
+
+import { evaluateFormula } from './index.js';
+import { formatDatePattern, tokenizeDateFormat } from './date-format.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+// Dates are built in UTC, the default time zone
+const utc = (...fields) => new Date(Date.UTC(...fields));
+
+const PATTERN_CASES = [
+  // [date, pattern, expected]
+  [utc(2024, 0, 15, 13, 5, 9), 'YYYY YY', '2024 24'],
+  [utc(2024, 0, 15, 13, 5, 9), 'MMMM MMM MM M', 'January Jan 01 1'],
+  [utc(2024, 0, 15, 13, 5, 9), 'DD D Do', '15 15 15th'],
+  [utc(2024, 0, 15, 13, 5, 9), 'dddd ddd', 'Monday Mon'],
+  [utc(2024, 0, 15, 13, 5, 9), 'HH:mm:ss H:m:s', '13:05:09 13:5:9'],
+  [utc(2024, 0, 15, 13, 5, 9), 'hh:mm A h a', '01:05 PM 1 pm'],
+
+  // Year and month boundaries
+  [utc(2023, 11, 31, 23, 59, 59), 'dddd, MMMM Do YYYY HH:mm:ss', 'Sunday, December 31st 2023 23:59:59'],
+  [utc(2024, 0, 1, 0, 0, 0), 'dddd, MMMM Do YYYY HH:mm:ss', 'Monday, January 1st 2024 00:00:00'],
+  [utc(2024, 1, 29), 'ddd MMM D YY', 'Thu Feb 29 24'],
+  [utc(2024, 2, 1), 'ddd MMM D YY', 'Fri Mar 1 24'],
+  [utc(2000, 8, 30), 'MMMM M/D/YY', 'September 9/30/00'],
+  [utc(2024, 9, 5), 'MMMM MM/DD', 'October 10/05'],
+
+  // Weekday boundaries
+  [utc(2024, 5, 1), 'dddd ddd', 'Saturday Sat'],
+  [utc(2024, 5, 2), 'dddd ddd', 'Sunday Sun'],
+  [utc(2024, 5, 3), 'dddd ddd', 'Monday Mon'],
+
+  // 12-hour clock around midnight and noon
+  [utc(2024, 0, 1, 0, 30), 'h:mm A', '12:30 AM'],
+  [utc(2024, 0, 1, 11, 59), 'h:mm A', '11:59 AM'],
+  [utc(2024, 0, 1, 12, 0), 'h:mm a', '12:00 pm'],
+
+  // Ordinals
+  [utc(2024, 0, 2), 'Do', '2nd'],
+  [utc(2024, 0, 3), 'Do', '3rd'],
+  [utc(2024, 0, 11), 'Do', '11th'],
+  [utc(2024, 0, 12), 'Do', '12th'],
+  [utc(2024, 0, 13), 'Do', '13th'],
+  [utc(2024, 0, 21), 'Do', '21st'],
+  [utc(2024, 0, 22), 'Do', '22nd'],
+  [utc(2024, 0, 23), 'Do', '23rd'],
+
+  // Names are not re-read as tokens (the "M" and "a" in "March")
+  [utc(2024, 2, 1), 'MMMM', 'March'],
+  [utc(2024, 2, 1), 'dddd', 'Friday'],
+
+  // Literal escaping
+  [utc(2024, 0, 15, 9, 30), '[Week of] MMM D', 'Week of Jan 15'],
+  [utc(2024, 0, 15, 9, 30), 'HH\\hmm', '09h30'],
+  [utc(2024, 0, 15, 9, 30), '[[YYYY]] YYYY', '[YYYY] 2024'],
+  [utc(2024, 0, 15, 9, 30), 'YYYY/MM/DD - Q', '2024/01/15 - Q'],
+  [utc(2024, 0, 15, 9, 30), '[open YYYY', '[open 2024'],
+];
+
+function testPatterns() {
+  for (const [date, pattern, expected] of PATTERN_CASES) {
+    console.log(`\n=== Test: ${pattern} ===`);
+    const result = formatDatePattern(date, pattern);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testTokenize() {
+  console.log('\n=== Test: Tokenize pattern ===');
+  const parts = tokenizeDateFormat('[Due] MMM Do');
+  const expected = [{ literal: 'Due' }, { literal: ' ' }, { token: 'MMM' }, { literal: ' ' }, { token: 'Do' }];
+  console.log('Parts:', JSON.stringify(parts));
+  console.log('Pass:', JSON.stringify(parts) === JSON.stringify(expected));
+}
+
+function testLocaleNames() {
+  const date = utc(2024, 2, 4, 15, 0);
+  const cases = [
+    ['de-DE', 'dddd, Do MMMM YYYY', 'Montag, 4. März 2024'],
+    ['fr-FR', 'dddd D MMMM', 'lundi 4 mars'],
+    ['en-GB', 'dddd Do MMMM', 'Monday 4th March'],
+  ];
+
+  for (const [locale, pattern, expected] of cases) {
+    console.log(`\n=== Test: Locale names - ${locale} ===`);
+    const result = formatDatePattern(date, pattern, locale);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testFormulaFunctions() {
+  const cases = [
+    // [formula, expected, locale]
+    ['FORMAT_DATE("2024-01-15T13:05:09", "dddd, MMMM Do YYYY h:mm A")', 'Monday, January 15th 2024 1:05 PM'],
+    ['TEXT("2024-01-15T13:05:09", "dddd, MMMM Do YYYY h:mm A")', 'Monday, January 15th 2024 1:05 PM'],
+    ['FORMAT_DATE("2024-12-31T00:00:00")', 'Dec 31, 2024'],
+    ['FORMAT_DATE("2024-03-01T08:00:00", "[Due] MMMM D")', 'Due March 1'],
+    ['TEXT("2024-03-01T08:00:00", "HH\\hmm")', '08h00'],
+    ['FORMAT_DATE("2024-03-04T00:00:00", "dddd D. MMMM")', 'Montag 4. März', 'de-DE'],
+    ['TEXT("not a date", "YYYY")', 'not a date'],
+    ['TEXT("Sprint 3", "YYYY")', 'Sprint 3'],
+    ['TEXT("Sprint 3", "0.00")', 'Sprint 3'],
+    ['TEXT("Room 12", "#,##0")', 'Room 12'],
+    ['TEXT("2024-01-15T13:05:09Z", "YYYY-MM-DD HH:mm")', '2024-01-15 13:05'],
+    ['TEXT(1234.5, "#,##0")', '1,235'],
+    ['FORMAT_DATE("", "YYYY")', ''],
+  ];
+
+  for (const [formula, expected, locale = null] of cases) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, new Map(), { context: { locale } });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Date Formatting Tests');
+  console.log('========================================');
+
+  try {
+    testPatterns();
+    testTokenize();
+    testLocaleNames();
+    testFormulaFunctions();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
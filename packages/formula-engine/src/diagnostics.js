@@ -0,0 +1,57 @@
+/**
+ * Formula Diagnostics
+ * Shared diagnostic structures reported by the tokenizer, parser and validator.
+ */
+
+/**
+ * Diagnostic severities
+ */
+export const Severity = {
+  ERROR: 'error',     // Formula cannot be evaluated reliably
+  WARNING: 'warning', // Formula evaluates, but probably not as intended
+};
+
+/**
+ * Creates a diagnostic object.
+ * @param {string} severity - One of Severity.
+ * @param {string} message - Human readable description.
+ * @param {number} start - Start offset in the formula string (inclusive).
+ * @param {number} end - End offset in the formula string (exclusive).
+ * @param {string|null} [token] - The offending source text.
+ * @returns {{severity: string, message: string, start: number, end: number, token: string|null}}
+ */
+export function createDiagnostic(severity, message, start, end, token = null) {
+  return { severity, message, start, end: Math.max(start, end), token };
+}
+
+/**
+ * Error thrown by the parser, carrying the source range of the failure.
+ */
+export class FormulaSyntaxError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {number} start - Start offset of the offending token.
+   * @param {number} end - End offset of the offending token.
+   * @param {string|null} [token] - The offending source text.
+   */
+  constructor(message, start, end, token = null) {
+    super(message);
+    this.name = 'FormulaSyntaxError';
+    this.start = start;
+    this.end = end;
+    this.token = token;
+  }
+
+  /**
+   * Converts the error to an error diagnostic.
+   */
+  toDiagnostic() {
+    return createDiagnostic(Severity.ERROR, this.message, this.start, this.end, this.token);
+  }
+}
+
+export default {
+  Severity,
+  createDiagnostic,
+  FormulaSyntaxError,
+};
@@ -5,34 +5,47 @@
 
 import logger from './logger.js';
 import { NodeType } from './parser.js';
-import { getFunction } from './functions/index.js';
+import { getSignature, getParamType, ValueType } from './functions/index.js';
+import { isSpecialForm, runSpecialForm, runSpecialFormAsync } from './special-forms.js';
+import { ErrorCode, createError, isError, findError, toNumber, isList, toScalar, isFieldValue } from './values.js';
+import { SpanKind, ValueSource } from './trace.js';
+import { printFormula } from './printer.js';
+import { formatNumber, formatDate } from './locale.js';
+import { resolveTimeZone } from './timezone.js';
+import { createEvaluationContext } from './context.js';
+import { EMPTY_SCOPE } from './scope.js';
 
 const TAG = 'formula_evaluator';
 
 /**
- * Binary operator implementations
+ * Applies an arithmetic operation to two operands converted to numbers.
+ * Text that is not a number makes the result #VALUE!.
+ */
+function arithmetic(a, b, compute) {
+  const numA = toNumber(a);
+  if (isError(numA)) return numA;
+  const numB = toNumber(b);
+  if (isError(numB)) return numB;
+  return compute(numA, numB);
+}
+
+/**
+ * Binary operator implementations.
+ * Error operands are handled in applyBinaryOp before these are called.
  */
 const BINARY_OPS = {
-  '+': (a, b) => {
-    // If both are numbers, do addition
-    const numA = Number(a);
-    const numB = Number(b);
-    if (!isNaN(numA) && !isNaN(numB)) return numA + numB;
-    // Otherwise concatenate as strings
-    return String(a ?? '') + String(b ?? '');
-  },
-  '-': (a, b) => (Number(a) || 0) - (Number(b) || 0),
-  '*': (a, b) => (Number(a) || 0) * (Number(b) || 0),
-  '/': (a, b) => {
-    const divisor = Number(b);
-    if (divisor === 0) return 0;
-    return (Number(a) || 0) / divisor;
-  },
-  '%': (a, b) => {
-    const divisor = Number(b);
-    if (divisor === 0) return 0;
-    return (Number(a) || 0) % divisor;
-  },
+  '+': (a, b) => arithmetic(a, b, (x, y) => x + y), // Use & to concatenate text
+  '-': (a, b) => arithmetic(a, b, (x, y) => x - y),
+  '*': (a, b) => arithmetic(a, b, (x, y) => x * y),
+  '/': (a, b) => arithmetic(a, b, (x, y) => {
+    if (y === 0) return createError(ErrorCode.DIV0, 'Division by zero');
+    return x / y;
+  }),
+  '%': (a, b) => arithmetic(a, b, (x, y) => {
+    if (y === 0) return createError(ErrorCode.DIV0, 'Division by zero');
+    return x % y;
+  }),
+  '^': (a, b) => arithmetic(a, b, (x, y) => Math.pow(x, y)),
   '&': (a, b) => String(a ?? '') + String(b ?? ''), // String concatenation
   '>': (a, b) => Number(a) > Number(b),
   '<': (a, b) => Number(a) < Number(b),
@@ -59,19 +72,155 @@ const BINARY_OPS = {
  * Unary operator implementations
  */
 const UNARY_OPS = {
-  '-': (a) => -(Number(a) || 0),
+  '-': (a) => {
+    const num = toNumber(a);
+    return isError(num) ? num : -num;
+  },
+  '+': (a) => toNumber(a),
   '!': (a) => !Boolean(a),
 };
 
+/**
+ * Reads a column value from the map, extracting a sub-field for {column#field} refs.
+ * Missing values evaluate to an empty string.
+ * @param {Map<string, any>} columnValues - Map of columnId -> value.
+ * @param {string} columnId - Column ID.
+ * @param {string|null} field - Optional sub-field.
+ * @returns {any} The column value.
+ */
+export function readColumnValue(columnValues, columnId, field) {
+  let value = columnValues.get(columnId);
+
+  if (value === undefined || value === null) {
+    logger.debug('Column value not found', TAG, { columnId, field });
+    return '';
+  }
+
+  // Errors (e.g. #CYCLE from the resolver) pass through as-is
+  if (isError(value)) {
+    return value;
+  }
+
+  // Field values (e.g. subitems): {column} is the value, {column#field} one of its fields
+  if (isFieldValue(value)) {
+    return field ? value.fields[field] ?? '' : value.value;
+  }
+
+  // If field is specified and value is an object, extract the field
+  if (field && typeof value === 'object' && value !== null) {
+    value = value[field] ?? value;
+  }
+
+  return value;
+}
+
+/**
+ * Calls a formula function with already evaluated arguments.
+ * Lists are passed as lists only to LIST parameters; other parameters receive
+ * them as single values (see toScalar).
+ * If an argument is an error (or a list with an error) the function is not
+ * called and the first error is returned, unless its signature accepts errors
+ * (ISERROR, IFERROR).
+ * Unknown functions evaluate to an empty string and thrown errors to #VALUE!.
+ * Functions are looked up in the context first (function overrides), then in the
+ * registry, and called with the evaluation context as `this`, so they can read
+ * settings such as this.locale and this.timeZone.
+ * @param {string} name - Function name.
+ * @param {any[]} args - Evaluated arguments.
+ * @param {EvaluationContext} [context] - Evaluation context (see context.js).
+ * @returns {any} The function result.
+ */
+export function callFunction(name, args, context = createEvaluationContext()) {
+  const func = context.getFunction(name);
+
+  if (!func) {
+    logger.warn('Unknown function', TAG, { name });
+    return '';
+  }
+
+  const signature = getSignature(name);
+  const values = args.map((arg, index) => (
+    signature && getParamType(signature, index) === ValueType.LIST ? arg : toScalar(arg)
+  ));
+
+  if (!signature?.acceptsErrors) {
+    const error = findError(values.flat(Infinity));
+    if (error) return error;
+  }
+
+  try {
+    return func.apply(context, values);
+  } catch (err) {
+    logger.error('Error evaluating function', TAG, {
+      name,
+      error: err.message
+    });
+    return createError(ErrorCode.VALUE, err.message);
+  }
+}
+
+/**
+ * Applies a binary operator to two evaluated operands.
+ * Lists are used as single values (see toScalar), e.g. {mirror} * 2 doubles the
+ * mirror's aggregated value. If either operand is an error, that error is the result.
+ * @param {string} operator - The operator.
+ * @param {any} left - Left operand value.
+ * @param {any} right - Right operand value.
+ * @returns {any} The result.
+ */
+export function applyBinaryOp(operator, left, right) {
+  const op = BINARY_OPS[operator];
+
+  if (!op) {
+    logger.warn('Unknown binary operator', TAG, { operator });
+    return '';
+  }
+
+  const a = toScalar(left);
+  const b = toScalar(right);
+  if (isError(a)) return a;
+  if (isError(b)) return b;
+
+  return op(a, b);
+}
+
+/**
+ * Applies a unary operator to an evaluated operand.
+ * Lists are used as single values; error operands are returned unchanged.
+ * @param {string} operator - The operator.
+ * @param {any} value - Operand value.
+ * @returns {any} The result.
+ */
+export function applyUnaryOp(operator, value) {
+  const op = UNARY_OPS[operator];
+
+  if (!op) {
+    logger.warn('Unknown unary operator', TAG, { operator });
+    return value;
+  }
+
+  const operand = toScalar(value);
+  if (isError(operand)) return operand;
+
+  return op(operand);
+}
+
 /**
  * Evaluator class
  */
 export class Evaluator {
   /**
    * @param {Map<string, any>} columnValues - Map of columnId -> value
+   * @param {Object} [options]
+   * @param {TraceSpan} [options.trace] - Span (see createTrace) to record each node evaluation under
+   * @param {EvaluationContext|Object} [options.context] - Clock, time zone, locale, week start
+   *   and holidays functions are evaluated with (see createEvaluationContext)
    */
-  constructor(columnValues = new Map()) {
+  constructor(columnValues = new Map(), { trace = null, context = null } = {}) {
     this.columnValues = columnValues;
+    this.trace = trace;
+    this.context = createEvaluationContext(context).forEvaluation();
+    this.scope = EMPTY_SCOPE; // Names bound by the enclosing LETs (see scope.js)
   }
 
   /**
@@ -80,6 +229,28 @@ export class Evaluator {
    * @returns {any} The evaluated result.
    */
   evaluate(node) {
+    if (!this.trace || !node) {
+      return this.evaluateNode(node);
+    }
+
+    const parent = this.trace;
+    const span = parent.child(SpanKind.NODE, printFormula(node), { nodeType: node.type });
+    if (node.type === NodeType.COLUMN_REF) {
+      span.annotate({ source: ValueSource.COLUMN_VALUES });
+    }
+
+    this.trace = span;
+    try {
+      return span.finish(this.evaluateNode(node));
+    } finally {
+      this.trace = parent;
+    }
+  }
+
+  /**
+   * Evaluates an AST node without tracing it.
+   */
+  evaluateNode(node) {
     if (!node) {
       return '';
     }
@@ -100,6 +271,12 @@ export class Evaluator {
       case NodeType.UNARY_OP:
         return this.evaluateUnaryOp(node);
 
+      case NodeType.LET:
+        return this.evaluateLet(node);
+
+      case NodeType.NAME:
+        return this.scope.read(node.name);
+
       default:
         logger.warn('Unknown node type', TAG, { nodeType: node.type });
         return '';
@@ -112,17 +289,7 @@ export class Evaluator {
   evaluateColumnRef(node) {
     const { columnId, field } = node;
 
-    let value = this.columnValues.get(columnId);
-
-    if (value === undefined || value === null) {
-      logger.debug('Column value not found', TAG, { columnId, field });
-      return '';
-    }
-
-    // If field is specified and value is an object, extract the field
-    if (field && typeof value === 'object' && value !== null) {
-      value = value[field] ?? value;
-    }
+    const value = readColumnValue(this.columnValues, columnId, field);
 
     logger.debug('Evaluated column reference', TAG, { columnId, field, value });
     return value;
@@ -130,14 +297,16 @@ export class Evaluator {
 
   /**
    * Evaluates a function call.
+   * IF, AND, OR and SWITCH evaluate only the arguments they reach.
    */
   evaluateFunctionCall(node) {
     const { name, args } = node;
 
-    // Get the function
-    const func = getFunction(name);
+    if (isSpecialForm(name)) {
+      return runSpecialForm(name, args.length, (index) => this.evaluate(args[index]));
+    }
 
-    if (!func) {
+    if (!this.context.getFunction(name)) {
       logger.warn('Unknown function', TAG, { name });
       return '';
     }
@@ -145,21 +314,13 @@ export class Evaluator {
     // Evaluate all arguments
     const evaluatedArgs = args.map(arg => this.evaluate(arg));
 
-    try {
-      const result = func(...evaluatedArgs);
-      logger.debug('Evaluated function', TAG, {
-        name,
-        argsCount: args.length,
-        result: typeof result === 'object' ? '[object]' : result
-      });
-      return result;
-    } catch (err) {
-      logger.error('Error evaluating function', TAG, {
-        name,
-        error: err.message
-      });
-      return '';
-    }
+    const result = callFunction(name, evaluatedArgs, this.context);
+    logger.debug('Evaluated function', TAG, {
+      name,
+      argsCount: args.length,
+      result: typeof result === 'object' ? '[object]' : result
+    });
+    return result;
   }
 
   /**
@@ -171,14 +332,7 @@ export class Evaluator {
     const leftValue = this.evaluate(left);
     const rightValue = this.evaluate(right);
 
-    const op = BINARY_OPS[operator];
-
-    if (!op) {
-      logger.warn('Unknown binary operator', TAG, { operator });
-      return '';
-    }
-
-    const result = op(leftValue, rightValue);
+    const result = applyBinaryOp(operator, leftValue, rightValue);
     logger.debug('Evaluated binary op', TAG, {
       operator,
       left: leftValue,
@@ -196,41 +350,229 @@ export class Evaluator {
 
     const value = this.evaluate(operand);
 
-    const op = UNARY_OPS[operator];
+    return applyUnaryOp(operator, value);
+  }
 
-    if (!op) {
-      logger.warn('Unknown unary operator', TAG, { operator });
-      return value;
+  /**
+   * Evaluates LET(name, value, ..., calculation).
+   * Values are computed the first time their name is read, in the scope they
+   * were bound in.
+   */
+  evaluateLet(node) {
+    let scope = this.scope;
+    for (const { name, value } of node.bindings) {
+      const outer = scope;
+      scope = scope.bind(name, () => this.evaluateInScope(value, outer));
     }
+    return this.evaluateInScope(node.body, scope);
+  }
 
-    return op(value);
+  /**
+   * Evaluates a node with the given names in scope.
+   */
+  evaluateInScope(node, scope) {
+    const enclosing = this.scope;
+    this.scope = scope;
+    try {
+      return this.evaluate(node);
+    } finally {
+      this.scope = enclosing;
+    }
   }
 }
 
+/**
+ * Async evaluator class.
+ * Resolves column references on demand through a callback, so column values
+ * in branches that are never reached are never requested.
+ */
+export class AsyncEvaluator {
+  /**
+   * @param {Function} resolveColumn - async (columnId, span) => value. span is the
+   *   trace span of the column reference (null when not tracing).
+   * @param {Object} [options]
+   * @param {TraceSpan} [options.trace] - Span (see createTrace) to record each node evaluation under
+   * @param {EvaluationContext|Object} [options.context] - Clock, time zone, locale, week start
+   *   and holidays functions are evaluated with (see createEvaluationContext)
+   */
+  constructor(resolveColumn, { trace = null, context = null } = {}) {
+    this.resolveColumn = resolveColumn;
+    this.trace = trace;
+    this.context = createEvaluationContext(context).forEvaluation();
+    this.columnValues = new Map(); // columnId -> resolved value
+    this.pending = new Map();      // columnId -> in-flight resolution promise
+  }
+
+  /**
+   * Evaluates an AST node.
+   * Spans are passed down explicitly because sibling nodes run concurrently.
+   * Scopes are passed down explicitly for the same reason.
+   * @param {object} node - The AST node to evaluate.
+   * @param {TraceSpan} [parent] - Span to record this node under.
+   * @param {Scope} [scope] - Names bound by the enclosing LETs (see scope.js).
+   * @returns {Promise<any>} The evaluated result.
+   */
+  async evaluate(node, parent = this.trace, scope = EMPTY_SCOPE) {
+    if (!parent || !node) {
+      return this.evaluateNode(node, null, scope);
+    }
+
+    const span = parent.child(SpanKind.NODE, printFormula(node), { nodeType: node.type });
+    return span.finish(await this.evaluateNode(node, span, scope));
+  }
+
+  /**
+   * Evaluates an AST node; span (if any) is the node's own trace span.
+   */
+  async evaluateNode(node, span, scope) {
+    if (!node) {
+      return '';
+    }
+
+    switch (node.type) {
+      case NodeType.LITERAL:
+        return node.value;
+
+      case NodeType.COLUMN_REF:
+        return this.evaluateColumnRef(node, span);
+
+      case NodeType.FUNCTION_CALL:
+        return this.evaluateFunctionCall(node, span, scope);
+
+      case NodeType.BINARY_OP: {
+        const [left, right] = await Promise.all([
+          this.evaluate(node.left, span, scope),
+          this.evaluate(node.right, span, scope),
+        ]);
+        return applyBinaryOp(node.operator, left, right);
+      }
+
+      case NodeType.UNARY_OP:
+        return applyUnaryOp(node.operator, await this.evaluate(node.operand, span, scope));
+
+      case NodeType.LET: {
+        // The first read of a name starts its value; later reads share the promise
+        let inner = scope;
+        for (const { name, value } of node.bindings) {
+          const outer = inner;
+          inner = inner.bind(name, () => this.evaluate(value, span, outer));
+        }
+        return this.evaluate(node.body, span, inner);
+      }
+
+      case NodeType.NAME:
+        return scope.read(node.name);
+
+      default:
+        logger.warn('Unknown node type', TAG, { nodeType: node.type });
+        return '';
+    }
+  }
+
+  /**
+   * Evaluates a column reference, resolving each column at most once.
+   */
+  async evaluateColumnRef(node, span = null) {
+    const { columnId, field } = node;
+
+    if (!this.columnValues.has(columnId)) {
+      if (!this.pending.has(columnId)) {
+        this.pending.set(columnId, Promise.resolve(this.resolveColumn(columnId, span)).then((value) => {
+          this.columnValues.set(columnId, value);
+          return value;
+        }));
+      }
+      await this.pending.get(columnId);
+    }
+
+    return readColumnValue(this.columnValues, columnId, field);
+  }
+
+  /**
+   * Evaluates a function call.
+   * IF, AND, OR and SWITCH evaluate only the arguments they reach.
+   */
+  async evaluateFunctionCall(node, span = null, scope = EMPTY_SCOPE) {
+    const { name, args } = node;
+
+    if (isSpecialForm(name)) {
+      return runSpecialFormAsync(name, args.length, (index) => this.evaluate(args[index], span, scope));
+    }
+
+    if (!this.context.getFunction(name)) {
+      logger.warn('Unknown function', TAG, { name });
+      return '';
+    }
+
+    const evaluatedArgs = await Promise.all(args.map(arg => this.evaluate(arg, span, scope)));
+    return callFunction(name, evaluatedArgs, this.context);
+  }
+}
+
+/**
+ * Convenience function to evaluate an AST, resolving column values on demand.
+ * @param {object} ast - The AST to evaluate.
+ * @param {Function} resolveColumn - async (columnId, span) => value
+ * @param {Object} [options] - AsyncEvaluator options ({ trace, context }).
+ * @returns {Promise<any>} The evaluated result.
+ */
+export function evaluateAsync(ast, resolveColumn, options = {}) {
+  const evaluator = new AsyncEvaluator(resolveColumn, options);
+  return evaluator.evaluate(ast);
+}
+
 /**
  * Convenience function to evaluate an AST with column values.
  * @param {object} ast - The AST to evaluate.
  * @param {Map<string, any>} columnValues - Map of columnId -> value.
+ * @param {Object} [options] - Evaluator options ({ trace, context }).
  * @returns {any} The evaluated result.
  */
-export function evaluate(ast, columnValues) {
-  const evaluator = new Evaluator(columnValues);
+export function evaluate(ast, columnValues, options = {}) {
+  const evaluator = new Evaluator(columnValues, options);
   return evaluator.evaluate(ast);
 }
 
 /**
  * Formats the result as a display string.
+ * Without a locale numbers use '.' decimals and dates are ISO (YYYY-MM-DD);
+ * with a locale both use the locale's conventions (e.g. "1234,5", "31.01.2024").
+ * Dates show their calendar day in the time zone.
+ * Lists show like mirror columns: their items separated by ", ", or the
+ * aggregated number for a list of numbers with an aggregate (e.g. "sum").
  * @param {any} value - The value to format.
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale tag, e.g. 'de-DE'.
+ * @param {string|Object} [options.timeZone] - IANA time zone (UTC by default).
  * @returns {string} The formatted display value.
  */
-export function formatResult(value) {
+export function formatResult(value, { locale = null, timeZone = null } = {}) {
   if (value === null || value === undefined) {
     return '';
   }
 
+  if (isFieldValue(value)) {
+    return formatResult(value.value, { locale, timeZone });
+  }
+
+  if (isList(value)) {
+    const items = value.flat(Infinity);
+    const error = findError(items);
+    if (error) return error.code;
+    if (value.aggregate && items.every(item => typeof item === 'number')) {
+      return formatResult(toScalar(value), { locale, timeZone });
+    }
+    return items.map(item => formatResult(item, { locale, timeZone })).join(', ');
+  }
+
+  if (isError(value)) {
+    // Errors display as their code, e.g. "#DIV/0!"
+    return value.code;
+  }
+
   if (value instanceof Date) {
-    // Format dates as ISO string
-    return value.toISOString().split('T')[0];
+    // ISO (YYYY-MM-DD) unless a locale is given
+    return formatDate(value, locale, resolveTimeZone(timeZone));
   }
 
   if (typeof value === 'boolean') {
@@ -238,6 +580,9 @@ export function formatResult(value) {
   }
 
   if (typeof value === 'number') {
+    if (locale) {
+      return formatNumber(value, locale);
+    }
     // Round to reasonable precision
     if (Number.isInteger(value)) {
       return String(value);
@@ -250,6 +595,12 @@ export function formatResult(value) {
 
 export default {
   Evaluator,
+  AsyncEvaluator,
   evaluate,
+  evaluateAsync,
   formatResult,
+  readColumnValue,
+  callFunction,
+  applyBinaryOp,
+  applyUnaryOp,
 };
@@ -0,0 +1,223 @@
+/**
+ * Tests for the Formula Evaluator
+ *
+ * Run with: node src/evaluator.test.js
+ *
+ * These tests verify lazy evaluation of IF/AND/OR/SWITCH in the sync
+ * evaluator, compiled formulas and the async evaluator, and how error
+ * values propagate.
+ */
+
+import { parse } from './parser.js';
+import { evaluate, evaluateAsync, formatResult } from './evaluator.js';
+import { compileFormula } from './compiler.js';
+import { ErrorCode, createError, isError } from './values.js';
+import { createTrace, formatTrace } from './trace.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Column values map that records which columns were read.
+ */
+function createTrackingValues(values) {
+  const map = new Map(Object.entries(values));
+  const reads = new Set();
+  return {
+    reads,
+    get(columnId) {
+      reads.add(columnId);
+      return map.get(columnId);
+    },
+  };
+}
+
+/**
+ * Async column resolver that records which columns were requested.
+ */
+function createTrackingResolver(values) {
+  const requests = [];
+  const resolve = async (columnId) => {
+    requests.push(columnId);
+    return values[columnId];
+  };
+  return { requests, resolve };
+}
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const LAZY_CASES = [
+  // [formula, values, expected result, columns that must NOT be read]
+  ['IF({a} = 0, 0, {b} / {a})', { a: 0, b: 10 }, 0, ['b']],
+  ['IF({a} > 0, {b}, {c})', { a: 1, b: 'yes', c: 'no' }, 'yes', ['c']],
+  ['IF({a} > 0, {b})', { a: 0, b: 'yes' }, '', ['b']],
+  ['AND({a} > 5, {b} > 5)', { a: 1, b: 10 }, false, ['b']],
+  ['OR({a} > 0, {b} > 0)', { a: 1, b: 0 }, true, ['b']],
+  ['SWITCH({s}, "x", {a}, "y", {b}, {c})', { s: 'y', a: 1, b: 2, c: 3 }, 2, ['a', 'c']],
+  ['SWITCH({s}, "x", {a}, {c})', { s: 'z', a: 1, c: 3 }, 3, ['a']],
+  ['SWITCH({s}, "x", {a})', { s: 'z', a: 1 }, '', ['a']],
+];
+
+function testSyncLazy() {
+  for (const [formula, values, expected, unread] of LAZY_CASES) {
+    console.log(`\n=== Test: Sync lazy - ${formula} ===`);
+    const columnValues = createTrackingValues(values);
+    const result = evaluate(parse(formula), columnValues);
+    const skipped = unread.every(id => !columnValues.reads.has(id));
+    console.log('Result:', result, 'Read:', Array.from(columnValues.reads));
+    console.log('Expected:', expected, 'Not read:', unread);
+    console.log('Pass:', result === expected && skipped);
+  }
+}
+
+function testCompiledLazy() {
+  for (const [formula, values, expected, unread] of LAZY_CASES) {
+    console.log(`\n=== Test: Compiled lazy - ${formula} ===`);
+    const columnValues = createTrackingValues(values);
+    const result = compileFormula(formula).evaluate(columnValues);
+    const skipped = unread.every(id => !columnValues.reads.has(id));
+    console.log('Result:', result, 'Read:', Array.from(columnValues.reads));
+    console.log('Pass:', result === expected && skipped);
+  }
+}
+
+async function testAsyncLazy() {
+  for (const [formula, values, expected, unread] of LAZY_CASES) {
+    console.log(`\n=== Test: Async lazy - ${formula} ===`);
+    const resolver = createTrackingResolver(values);
+    const result = await evaluateAsync(parse(formula), resolver.resolve);
+    const skipped = unread.every(id => !resolver.requests.includes(id));
+    console.log('Result:', result, 'Requested:', resolver.requests);
+    console.log('Pass:', result === expected && skipped);
+  }
+}
+
+async function testAsyncResolvesOnce() {
+  console.log('\n=== Test: Async resolves each column once ===');
+  const resolver = createTrackingResolver({ a: 4 });
+  const result = await evaluateAsync(parse('{a} * {a} + SUM({a}, {a})'), resolver.resolve);
+  console.log('Result:', result, 'Requested:', resolver.requests);
+  console.log('Expected: 24, requested once');
+  console.log('Pass:', result === 24 && resolver.requests.length === 1);
+}
+
+const ERROR_CASES = [
+  // [formula, displayed result]
+  ['{b} / {zero}', '#DIV/0!'],
+  ['MOD({b}, {zero})', '#DIV/0!'],
+  ['{text} * 2', '#VALUE!'],
+  ['-{text}', '#VALUE!'],
+  ['({b} / {zero}) + 1', '#DIV/0!'],
+  ['ROUND({b} / {zero}, 2)', '#DIV/0!'],
+  ['IF({b} / {zero} > 1, "a", "b")', '#DIV/0!'],
+  ['{cycle} + 1', '#CYCLE'],
+  ['{missing_ref} * 2', '#REF!'],
+  ['ISERROR({b} / {zero})', 'true'],
+  ['ISERROR({b})', 'false'],
+  ['IFERROR({b} / {zero}, 0)', '0'],
+  ['IFERROR({b} / 2, 0)', '5'],
+  ['IFERROR({cycle})', ''],
+  ['{empty} * 2', '0'],
+];
+
+const ERROR_VALUES = {
+  b: 10,
+  zero: 0,
+  text: 'abc',
+  empty: '',
+  cycle: createError(ErrorCode.CYCLE),
+  missing_ref: createError(ErrorCode.REF),
+};
+
+function testErrorValues() {
+  for (const [formula, expected] of ERROR_CASES) {
+    console.log(`\n=== Test: Error values - ${formula} ===`);
+    const result = formatResult(evaluate(parse(formula), new Map(Object.entries(ERROR_VALUES))));
+    const compiled = formatResult(compileFormula(formula).evaluate(new Map(Object.entries(ERROR_VALUES))));
+    console.log('Result:', result, 'Compiled:', compiled);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected && compiled === expected);
+  }
+}
+
+async function testIfErrorLazy() {
+  console.log('\n=== Test: IFERROR evaluates fallback only on error ===');
+  const resolver = createTrackingResolver({ a: 4, b: 2, c: 0 });
+  const result = await evaluateAsync(parse('IFERROR({a} / {b}, {c})'), resolver.resolve);
+  console.log('Result:', result, 'Requested:', resolver.requests);
+  console.log('Expected: 2, c not requested');
+  console.log('Pass:', result === 2 && !resolver.requests.includes('c'));
+
+  console.log('\n=== Test: Error value is not a thrown exception ===');
+  const error = evaluate(parse('1 / 0'), new Map());
+  console.log('Result:', error);
+  console.log('Pass:', isError(error) && error.code === ErrorCode.DIV0);
+}
+
+function testTrace() {
+  console.log('\n=== Test: Trace records evaluated nodes only ===');
+  const trace = createTrace('formula1');
+  const result = evaluate(parse('IF({a} > 0, {b} * 2, {c})'), new Map([['a', 1], ['b', 21], ['c', 0]]), { trace });
+  const text = formatTrace(trace);
+  console.log(text);
+  const [ifSpan] = trace.children;
+  console.log('Pass:', result === 42
+    && ifSpan.label === 'IF({a} > 0, {b} * 2, {c})'
+    && ifSpan.value === 42
+    && ifSpan.children.map(c => c.label).join('|') === '{a} > 0|{b} * 2'
+    && !text.includes('\n      {c}'));
+}
+
+async function testAsyncTrace() {
+  console.log('\n=== Test: Async trace keeps concurrent branches apart ===');
+  const trace = createTrace('formula1');
+  const resolve = async (columnId, span) => {
+    await new Promise(r => setTimeout(r, columnId === 'a' ? 5 : 0));
+    span?.child('column', columnId, { source: 'test' }).finish(columnId === 'a' ? 2 : 3);
+    return columnId === 'a' ? 2 : 3;
+  };
+  const result = await evaluateAsync(parse('({a} + 1) * ({b} + 1)'), resolve, { trace });
+  const [root] = trace.children;
+  const [left, right] = root.children;
+  console.log(formatTrace(trace));
+  console.log('Pass:', result === 12
+    && left.label === '{a} + 1' && left.children[0].children[0].label === 'a'
+    && right.label === '{b} + 1' && right.children[0].children[0].label === 'b');
+
+  console.log('\n=== Test: Trace serializes to JSON ===');
+  const json = JSON.parse(JSON.stringify(trace));
+  console.log('Pass:', json.children[0].value === 12 && json.children[0].nodeType === 'BINARY_OP');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Formula Evaluator Tests');
+  console.log('========================================');
+
+  try {
+    testSyncLazy();
+    testCompiledLazy();
+    await testAsyncLazy();
+    await testAsyncResolvesOnce();
+    testErrorValues();
+    await testIfErrorLazy();
+    testTrace();
+    await testAsyncTrace();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -0,0 +1,51 @@
+/**
+ * Criteria
+ * Excel-style criteria used by COUNTIF, SUMIF, AVERAGEIF and FILTER: a value to
+ * equal, or an operator (=, <>, <, <=, >, >=) followed by a value, e.g. ">100"
+ * or "<>Done".
+ *
+ * Numbers compare numerically; text compares case-insensitively and may use
+ * the wildcards * (any characters) and ? (one character).
+ */
+
+/**
+ * Builds a test for a criterion.
+ * Example: criterionTest(">50")(100) => true
+ * Example: criterionTest("Work*")("working on it") => true
+ * @param {any} criterion - The criterion.
+ * @returns {Function} (item) => boolean
+ */
+export function criterionTest(criterion) {
+  const [, operator = '=', operand] = String(criterion ?? '').match(/^\s*(<=|>=|<>|<|>|=)?([\s\S]*)$/);
+  const text = operand.trim();
+  const target = text === '' ? NaN : Number(text);
+
+  const pattern = new RegExp(
+    '^' + text.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$',
+    'i'
+  );
+
+  return (item) => {
+    const value = String(item ?? '').trim();
+    const number = value === '' ? NaN : Number(value);
+
+    if (!isNaN(target) && !isNaN(number)) {
+      switch (operator) {
+        case '=': return number === target;
+        case '<>': return number !== target;
+        case '<': return number < target;
+        case '<=': return number <= target;
+        case '>': return number > target;
+        case '>=': return number >= target;
+      }
+    }
+
+    if (operator === '=') return pattern.test(value);
+    if (operator === '<>') return !pattern.test(value);
+    return false;
+  };
+}
+
+export default {
+  criterionTest,
+};
@@ -1,46 +1,153 @@
 /**
  * Date and Time Functions
  * monday.com formula date/time manipulation functions.
+ *
+ * Functions are called with the evaluation context (see context.js) as `this`:
+ * dates are read in its time zone (UTC by default) and "now" comes from its
+ * clock, so results do not depend on where the server runs. WEEKNUM follows
+ * its week start; WORKDAYS and WORKDAY skip its weekend and holidays.
  */
 
+import { ValueType, defineSignature } from './signatures.js';
+import { formatDatePattern } from '../date-format.js';
+import { DEFAULT_TIME_ZONE, parseZonedDate, getZonedParts, toCalendarDay, daysBetween } from '../timezone.js';
+import { DEFAULT_WEEKEND, parseWeekend } from '../work-calendar.js';
+import { ErrorCode, createError } from '../values.js';
+
+const N = ValueType.NUMBER;
+const T = ValueType.TEXT;
+const D = ValueType.DATE;
+const A = ValueType.ANY;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: Get the time zone of the evaluation context (this.timeZone)
+ */
+function zoneOf(context) {
+  return context?.timeZone ?? DEFAULT_TIME_ZONE;
+}
+
 /**
- * Helper: Parse a date from various formats
+ * Helper: Get the current time from the evaluation context clock
  */
-function parseDate(value) {
-  if (value instanceof Date) return value;
-  if (!value) return null;
+function currentTime(context) {
+  return context?.now ? context.now() : new Date();
+}
 
-  const date = new Date(value);
-  return isNaN(date.getTime()) ? null : date;
+/**
+ * Helper: Parse a date from various formats (see timezone.js)
+ */
+function parseDate(value, timeZone) {
+  return parseZonedDate(value, timeZone);
 }
 
 /**
- * Helper: Check if a date is a weekend (Saturday or Sunday)
+ * Helper: Parse a date and get its calendar day in the time zone
  */
-function isWeekend(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6;
+function parseDay(value, timeZone) {
+  const d = parseDate(value, timeZone);
+  return d ? toCalendarDay(d, timeZone) : null;
 }
 
 /**
- * Helper: Format date as ISO string (YYYY-MM-DD)
+ * Helper: Build the working day check of the evaluation context: not a weekend
+ * day (the given weekend, else the context's) and not a holiday (the
+ * context's, or one of the given calendar days)
  */
-function formatDateISO(date) {
-  const d = parseDate(date);
-  if (!d) return '';
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function workdayCheck(context, weekend = null, holidays = new Set()) {
+  const weekendDays = weekend ?? context?.weekend ?? DEFAULT_WEEKEND;
+  return (day) => !weekendDays.includes(day.getUTCDay())
+    && !context?.isHoliday?.(day)
+    && !holidays.has(formatDateISO(day));
+}
+
+/**
+ * Helper: Count working days from one calendar day to another, both included
+ */
+function countWorkdays(start, end, isWorkday) {
+  let count = 0;
+  const current = new Date(start);
+  const direction = end >= start ? 1 : -1;
+
+  while (direction === 1 ? current <= end : current >= end) {
+    if (isWorkday(current)) {
+      count++;
+    }
+    current.setUTCDate(current.getUTCDate() + direction);
+  }
+
+  return count;
+}
+
+/**
+ * Helper: Move a calendar day by a number of working days (backwards if negative)
+ */
+function addWorkdays(day, workdays, isWorkday) {
+  const result = new Date(day);
+  let numDays = Number(workdays) || 0;
+  const direction = numDays >= 0 ? 1 : -1;
+  numDays = Math.abs(Math.trunc(numDays));
+
+  let count = 0;
+  while (count < numDays) {
+    result.setUTCDate(result.getUTCDate() + direction);
+    if (isWorkday(result)) {
+      count++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Parse the holidays argument of the INTL functions: a date, or dates
+ * separated by commas (e.g. a mirrored date column)
+ */
+function parseHolidayList(value, timeZone) {
+  const holidays = new Set();
+  const items = value instanceof Date ? [value] : String(value ?? '').split(',');
+
+  for (const item of items) {
+    if (typeof item === 'string' && !item.trim()) continue;
+    const day = parseDay(item, timeZone);
+    if (!day) return null;
+    holidays.add(formatDateISO(day));
+  }
+
+  return holidays;
 }
 
 /**
- * TODAY - Gets the current date.
+ * Helper: Build the working day check for the weekend and holidays arguments of
+ * the INTL functions. Returns null if either is invalid.
+ */
+function intlWorkdayCheck(context, weekend, holidays, timeZone) {
+  const contextWeekend = weekend === '' || weekend === null || weekend === undefined;
+  const weekendDays = contextWeekend ? null : parseWeekend(weekend);
+  const holidayDays = parseHolidayList(holidays, timeZone);
+
+  if ((!contextWeekend && !weekendDays) || !holidayDays) return null;
+  return workdayCheck(context, weekendDays, holidayDays);
+}
+
+/**
+ * Helper: Format a calendar day as ISO string (YYYY-MM-DD)
+ */
+function formatDateISO(day) {
+  const year = day.getUTCFullYear();
+  const month = String(day.getUTCMonth() + 1).padStart(2, '0');
+  const date = String(day.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${date}`;
+}
+
+/**
+ * TODAY - Gets the current date in the account time zone.
  * Example: TODAY() => "2024-01-15"
  */
 export function TODAY() {
-  const now = new Date();
-  return formatDateISO(now);
+  const timeZone = zoneOf(this);
+  return formatDateISO(toCalendarDay(currentTime(this), timeZone));
 }
 
 /**
@@ -48,7 +155,7 @@ export function TODAY() {
  * Example: NOW() => Date object
  */
 export function NOW() {
-  return new Date();
+  return currentTime(this);
 }
 
 /**
@@ -56,12 +163,12 @@ export function NOW() {
  * Example: ADD_DAYS("2019-01-20", 5) => "2019-01-25"
  */
 export function ADD_DAYS(date, days) {
-  const d = parseDate(date);
-  if (!d) return '';
+  const day = parseDay(date, zoneOf(this));
+  if (!day) return '';
 
   const numDays = Number(days) || 0;
-  d.setDate(d.getDate() + numDays);
-  return formatDateISO(d);
+  day.setUTCDate(day.getUTCDate() + numDays);
+  return formatDateISO(day);
 }
 
 /**
@@ -69,7 +176,7 @@ export function ADD_DAYS(date, days) {
  * Example: SUBTRACT_DAYS("2019-01-20", 5) => "2019-01-15"
  */
 export function SUBTRACT_DAYS(date, days) {
-  return ADD_DAYS(date, -(Number(days) || 0));
+  return ADD_DAYS.call(this, date, -(Number(days) || 0));
 }
 
 /**
@@ -77,11 +184,11 @@ export function SUBTRACT_DAYS(date, days) {
  * Example: DATE(2018, 5, 30) => "2018-05-30"
  */
 export function DATE(year, month, day) {
-  const y = Number(year) || new Date().getFullYear();
+  const y = Number(year) || toCalendarDay(currentTime(this), zoneOf(this)).getUTCFullYear();
   const m = Number(month) || 1;
   const d = Number(day) || 1;
 
-  const date = new Date(y, m - 1, d); // Month is 0-indexed
+  const date = new Date(Date.UTC(y, m - 1, d)); // Month is 0-indexed
   return formatDateISO(date);
 }
 
@@ -90,9 +197,10 @@ export function DATE(year, month, day) {
  * Example: DAY("2024-01-31") => 31
  */
 export function DAY(date) {
-  const d = parseDate(date);
+  const timeZone = zoneOf(this);
+  const d = parseDate(date, timeZone);
   if (!d) return 0;
-  return d.getDate();
+  return getZonedParts(d, timeZone).day;
 }
 
 /**
@@ -100,9 +208,10 @@ export function DAY(date) {
  * Example: MONTH("2024-07-15") => 7
  */
 export function MONTH(date) {
-  const d = parseDate(date);
+  const timeZone = zoneOf(this);
+  const d = parseDate(date, timeZone);
   if (!d) return 0;
-  return d.getMonth() + 1;
+  return getZonedParts(d, timeZone).month;
 }
 
 /**
@@ -110,23 +219,24 @@ export function MONTH(date) {
  * Example: YEAR("2024-01-15") => 2024
  */
 export function YEAR(date) {
-  const d = parseDate(date);
+  const timeZone = zoneOf(this);
+  const d = parseDate(date, timeZone);
   if (!d) return 0;
-  return d.getFullYear();
+  return getZonedParts(d, timeZone).year;
 }
 
 /**
- * DAYS - Returns the number of days between two dates.
+ * DAYS - Returns the number of calendar days between two dates.
  * Example: DAYS({end date}, {start date}) => difference in days
  */
 export function DAYS(endDate, startDate) {
-  const end = parseDate(endDate);
-  const start = parseDate(startDate);
+  const timeZone = zoneOf(this);
+  const end = parseDay(endDate, timeZone);
+  const start = parseDay(startDate, timeZone);
 
   if (!end || !start) return 0;
 
-  const diffTime = end.getTime() - start.getTime();
-  return Math.floor(diffTime / (1000 * 60 * 60 * 24));
+  return daysBetween(start, end);
 }
 
 /**
@@ -134,9 +244,10 @@ export function DAYS(endDate, startDate) {
  * Example: HOUR(NOW()) => 14
  */
 export function HOUR(datetime) {
-  const d = parseDate(datetime);
+  const timeZone = zoneOf(this);
+  const d = parseDate(datetime, timeZone);
   if (!d) return 0;
-  return d.getHours();
+  return getZonedParts(d, timeZone).hour;
 }
 
 /**
@@ -144,9 +255,10 @@ export function HOUR(datetime) {
  * Example: MINUTE(NOW()) => 30
  */
 export function MINUTE(datetime) {
-  const d = parseDate(datetime);
+  const timeZone = zoneOf(this);
+  const d = parseDate(datetime, timeZone);
   if (!d) return 0;
-  return d.getMinutes();
+  return getZonedParts(d, timeZone).minute;
 }
 
 /**
@@ -154,9 +266,10 @@ export function MINUTE(datetime) {
  * Example: SECOND(NOW()) => 45
  */
 export function SECOND(datetime) {
-  const d = parseDate(datetime);
+  const timeZone = zoneOf(this);
+  const d = parseDate(datetime, timeZone);
   if (!d) return 0;
-  return d.getSeconds();
+  return getZonedParts(d, timeZone).second;
 }
 
 /**
@@ -190,18 +303,19 @@ export function HOURS_DIFF(time1, time2) {
 
 /**
  * WEEKNUM - Returns the yearly week number of a given date.
+ * Week 1 contains January 1st; weeks start on the context's week start (Sunday by default).
  * Example: WEEKNUM("2024-10-15") => 42
  */
 export function WEEKNUM(date) {
-  const d = parseDate(date);
-  if (!d) return 0;
+  const day = parseDay(date, zoneOf(this));
+  if (!day) return 0;
 
-  // Get first day of the year
-  const yearStart = new Date(d.getFullYear(), 0, 1);
-  const diff = d.getTime() - yearStart.getTime();
-  const oneWeek = 7 * 24 * 60 * 60 * 1000;
+  // Days of week 1 that fall in the previous year
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const weekStart = this?.weekStart ?? 0;
+  const offset = (yearStart.getUTCDay() - weekStart + 7) % 7;
 
-  return Math.ceil((diff / oneWeek) + 1);
+  return Math.floor((daysBetween(yearStart, day) + offset) / 7) + 1;
 }
 
 /**
@@ -209,71 +323,86 @@ export function WEEKNUM(date) {
  * Example: ISOWEEKNUM("2024-10-15") => 42
  */
 export function ISOWEEKNUM(date) {
-  const d = parseDate(date);
-  if (!d) return 0;
-
-  // Copy date so don't modify original
-  const target = new Date(d.valueOf());
+  const target = parseDay(date, zoneOf(this));
+  if (!target) return 0;
 
   // ISO week starts on Monday - set to nearest Thursday
-  const dayNum = (d.getDay() + 6) % 7;
-  target.setDate(target.getDate() - dayNum + 3);
+  const dayNum = (target.getUTCDay() + 6) % 7;
+  target.setUTCDate(target.getUTCDate() - dayNum + 3);
 
   // Get first Thursday of year
-  const firstThursday = new Date(target.getFullYear(), 0, 4);
+  const firstThursday = Date.UTC(target.getUTCFullYear(), 0, 4);
 
   // Calculate week number
-  const diff = target.getTime() - firstThursday.getTime();
-  return 1 + Math.round(diff / (7 * 24 * 60 * 60 * 1000));
+  const diff = target.getTime() - firstThursday;
+  return 1 + Math.round(diff / (7 * DAY_MS));
 }
 
 /**
  * WORKDAYS - Returns the number of working days between two dates.
+ * The context's weekend days and holidays are not counted.
  * Example: WORKDAYS({end date}, {start date}) => working days
  */
 export function WORKDAYS(endDate, startDate) {
-  const end = parseDate(endDate);
-  const start = parseDate(startDate);
+  const timeZone = zoneOf(this);
+  const end = parseDay(endDate, timeZone);
+  const start = parseDay(startDate, timeZone);
 
   if (!end || !start) return 0;
 
-  let count = 0;
-  const current = new Date(start);
-  const direction = end >= start ? 1 : -1;
-
-  while (direction === 1 ? current <= end : current >= end) {
-    if (!isWeekend(current)) {
-      count++;
-    }
-    current.setDate(current.getDate() + direction);
-  }
-
-  return count;
+  return countWorkdays(start, end, workdayCheck(this));
 }
 
 /**
  * WORKDAY - Adds working days to the given date. Returns the new date.
+ * The context's weekend days and holidays are skipped.
  * Example: WORKDAY({Date column}, 20) => new date after 20 working days
  */
 export function WORKDAY(date, workdays) {
-  const d = parseDate(date);
-  if (!d) return '';
+  const day = parseDay(date, zoneOf(this));
+  if (!day) return '';
 
-  let numDays = Number(workdays) || 0;
-  const direction = numDays >= 0 ? 1 : -1;
-  numDays = Math.abs(numDays);
+  return formatDateISO(addWorkdays(day, workdays, workdayCheck(this)));
+}
 
-  const result = new Date(d);
-  let count = 0;
+/**
+ * NETWORKDAYS_INTL - Returns the number of working days between two dates, with
+ * a custom weekend and extra holidays (like Excel's NETWORKDAYS.INTL).
+ * The weekend is an Excel weekend number or mask (see work-calendar.js) and
+ * defaults to the context's; holidays are dates separated by commas and are
+ * skipped as well as the context's. Negative if the end is before the start.
+ * Example: NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 7) => 23 (Friday/Saturday weekend)
+ * Example: NETWORKDAYS_INTL({start}, {end}, "0000011", "2024-01-01, 2024-01-15")
+ */
+export function NETWORKDAYS_INTL(startDate, endDate, weekend = '', holidays = '') {
+  const timeZone = zoneOf(this);
+  const start = parseDay(startDate, timeZone);
+  const end = parseDay(endDate, timeZone);
 
-  while (count < numDays) {
-    result.setDate(result.getDate() + direction);
-    if (!isWeekend(result)) {
-      count++;
-    }
-  }
+  if (!start || !end) return 0;
+
+  const isWorkday = intlWorkdayCheck(this, weekend, holidays, timeZone);
+  if (!isWorkday) return createError(ErrorCode.VALUE, 'Invalid weekend or holidays');
 
-  return formatDateISO(result);
+  const count = countWorkdays(start, end, isWorkday);
+  return end < start ? -count : count;
+}
+
+/**
+ * WORKDAY_INTL - Adds working days to the given date, with a custom weekend and
+ * extra holidays (like Excel's WORKDAY.INTL). Returns the new date.
+ * Weekend and holidays are given as in NETWORKDAYS_INTL.
+ * Example: WORKDAY_INTL("2024-01-04", 1, 7) => "2024-01-07" (Friday/Saturday weekend)
+ */
+export function WORKDAY_INTL(date, workdays, weekend = '', holidays = '') {
+  const timeZone = zoneOf(this);
+  const day = parseDay(date, timeZone);
+  if (!day) return '';
+
+  const isWorkday = intlWorkdayCheck(this, weekend, holidays, timeZone);
+  if (!isWorkday) return createError(ErrorCode.VALUE, 'Invalid weekend or holidays');
+
+  return formatDateISO(addWorkdays(day, workdays, isWorkday));
 }
 
 /**
@@ -281,12 +410,11 @@ export function WORKDAY(date, workdays) {
  * Example: SUBTRACT_MINUTES({Date}, 30) => time 30 minutes earlier
  */
 export function SUBTRACT_MINUTES(datetime, minutes) {
-  const d = parseDate(datetime);
+  const d = parseDate(datetime, zoneOf(this));
   if (!d) return '';
 
   const mins = Number(minutes) || 0;
-  d.setMinutes(d.getMinutes() - mins);
-  return d;
+  return new Date(d.getTime() - mins * 60 * 1000);
 }
 
 /**
@@ -294,89 +422,53 @@ export function SUBTRACT_MINUTES(datetime, minutes) {
  * Example: DATEVALUE("2025-11-12") => Date for Nov 12, 2025
  */
 export function DATEVALUE(dateString) {
-  const d = parseDate(dateString);
-  if (!d) return '';
-  return formatDateISO(d);
+  const day = parseDay(dateString, zoneOf(this));
+  if (!day) return '';
+  return formatDateISO(day);
 }
 
 /**
  * FORMAT_DATE - Returns a formatted date string.
  * Example: FORMAT_DATE(TODAY(), "YYYY-MM-DD") => "2024-01-15"
  * Example: FORMAT_DATE(TODAY(), "dddd, MMMM Do YYYY") => "Monday, January 15th 2024"
+ * See date-format.js for the supported tokens. Names follow this.locale.
  */
 export function FORMAT_DATE(date, format = 'MMM DD, YYYY') {
-  const d = parseDate(date);
+  const timeZone = zoneOf(this);
+  const d = parseDate(date, timeZone);
   if (!d) return '';
 
-  const year = d.getFullYear();
-  const month = d.getMonth(); // 0-indexed
-  const day = d.getDate();
-  const dayOfWeek = d.getDay();
-  const hours = d.getHours();
-  const minutes = d.getMinutes();
-  const seconds = d.getSeconds();
-
-  const monthNames = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-
-  const monthNamesShort = [
-    'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-    'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-  ];
-
-  const dayNames = [
-    'Sunday', 'Monday', 'Tuesday', 'Wednesday',
-    'Thursday', 'Friday', 'Saturday'
-  ];
-
-  const dayNamesShort = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-
-  // Ordinal suffix
-  const getOrdinal = (n) => {
-    const s = ['th', 'st', 'nd', 'rd'];
-    const v = n % 100;
-    return n + (s[(v - 20) % 10] || s[v] || s[0]);
-  };
-
-  // Replace patterns (order matters - longer patterns first)
-  let result = format
-    // Year
-    .replace('YYYY', String(year))
-    .replace('YY', String(year).slice(-2))
-    // Month
-    .replace('MMMM', monthNames[month])
-    .replace('MMM', monthNamesShort[month])
-    .replace('MM', String(month + 1).padStart(2, '0'))
-    .replace('M', String(month + 1))
-    // Day of week
-    .replace('dddd', dayNames[dayOfWeek])
-    .replace('ddd', dayNamesShort[dayOfWeek])
-    // Day with ordinal
-    .replace('Do', getOrdinal(day))
-    // Day
-    .replace('DD', String(day).padStart(2, '0'))
-    .replace('D', String(day))
-    // Hours (24h)
-    .replace('HH', String(hours).padStart(2, '0'))
-    .replace('H', String(hours))
-    // Hours (12h)
-    .replace('hh', String(hours % 12 || 12).padStart(2, '0'))
-    .replace('h', String(hours % 12 || 12))
-    // Minutes
-    .replace('mm', String(minutes).padStart(2, '0'))
-    .replace('m', String(minutes))
-    // Seconds
-    .replace('ss', String(seconds).padStart(2, '0'))
-    .replace('s', String(seconds))
-    // AM/PM
-    .replace('A', hours >= 12 ? 'PM' : 'AM')
-    .replace('a', hours >= 12 ? 'pm' : 'am');
-
-  return result;
+  return formatDatePattern(d, format, this?.locale ?? null, timeZone);
 }
 
+/**
+ * Signatures for the date functions
+ */
+export const signatures = {
+  TODAY: defineSignature([], D),
+  NOW: defineSignature([], D),
+  ADD_DAYS: defineSignature([D, N], D),
+  SUBTRACT_DAYS: defineSignature([D, N], D),
+  DATE: defineSignature([N, N, N], D),
+  DAY: defineSignature([D], N),
+  MONTH: defineSignature([D], N),
+  YEAR: defineSignature([D], N),
+  DAYS: defineSignature([D, D], N),
+  HOUR: defineSignature([D], N),
+  MINUTE: defineSignature([D], N),
+  SECOND: defineSignature([D], N),
+  HOURS_DIFF: defineSignature([T, T], T),
+  WEEKNUM: defineSignature([D], N),
+  ISOWEEKNUM: defineSignature([D], N),
+  WORKDAYS: defineSignature([D, D], N),
+  WORKDAY: defineSignature([D, N], D),
+  NETWORKDAYS_INTL: defineSignature([D, D, A, T], N, { optional: 2 }),
+  WORKDAY_INTL: defineSignature([D, N, A, T], D, { optional: 2 }),
+  SUBTRACT_MINUTES: defineSignature([D, N], D),
+  DATEVALUE: defineSignature([T], D),
+  FORMAT_DATE: defineSignature([D, T], T, { optional: 1 }),
+};
+
 export default {
   TODAY,
   NOW,
@@ -395,6 +487,8 @@ export default {
   ISOWEEKNUM,
   WORKDAYS,
   WORKDAY,
+  NETWORKDAYS_INTL,
+  WORKDAY_INTL,
   SUBTRACT_MINUTES,
   DATEVALUE,
   FORMAT_DATE,
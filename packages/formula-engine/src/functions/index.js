@@ -1,12 +1,24 @@
 /**
  * Formula Functions Registry
  * Combines all function modules into a single registry.
+ *
+ * Tools can add their own functions without changing this module:
+ *   registerFunction('FX_RATE', (from, to) => rates[`${from}/${to}`] ?? 0,
+ *     defineSignature([ValueType.TEXT, ValueType.TEXT], ValueType.NUMBER));
+ * or override functions for one evaluation with the evaluation context's
+ * functions option (see context.js).
  */
 
-import textFunctions from './text.js';
-import numericFunctions from './numeric.js';
-import logicalFunctions from './logical.js';
-import dateFunctions from './date.js';
+import textFunctions, { signatures as textSignatures } from './text.js';
+import numericFunctions, { signatures as numericSignatures } from './numeric.js';
+import logicalFunctions, { signatures as logicalSignatures } from './logical.js';
+import dateFunctions, { signatures as dateSignatures } from './date.js';
+import listFunctions, { signatures as listSignatures } from './list.js';
+import { ValueType, defineSignature, getParamType, getElementType } from './signatures.js';
+import { isSpecialForm } from '../special-forms.js';
+import { KEYWORDS } from '../parser.js';
+
+export { ValueType, defineSignature, getParamType, getElementType };
 
 /**
  * All available formula functions
@@ -23,14 +35,103 @@ export const FUNCTIONS = {
 
   // Date functions
   ...dateFunctions,
+
+  // List functions
+  ...listFunctions,
+};
+
+/**
+ * Signatures (arity, parameter and return types) of all formula functions
+ */
+export const SIGNATURES = {
+  ...textSignatures,
+  ...numericSignatures,
+  ...logicalSignatures,
+  ...dateSignatures,
+  ...listSignatures,
 };
 
+/**
+ * Functions added with registerFunction: upper-case name -> { impl, signature }
+ */
+const customFunctions = new Map();
+
+/**
+ * Checks a function definition and returns its upper-case name.
+ * The name must be a formula identifier (letters, digits and underscores) and
+ * not a lazily evaluated form (IF, AND, OR, SWITCH, IFERROR); the signature,
+ * if given, must allow at least as many arguments as impl declares.
+ * @param {string} name - Function name.
+ * @param {Function} impl - Implementation; called with the evaluation context as `this`.
+ * @param {Object|null} [signature] - A signature created by defineSignature.
+ * @returns {string} The upper-case name.
+ * @throws {TypeError} If the definition is invalid.
+ */
+export function checkFunction(name, impl, signature = null) {
+  const upperName = String(name ?? '').toUpperCase();
+
+  if (!/^[A-Z_][A-Z0-9_]*$/.test(upperName)) {
+    throw new TypeError(`Invalid function name "${name}"`);
+  }
+  if (isSpecialForm(upperName) || KEYWORDS.has(upperName)) {
+    throw new TypeError(`${upperName} cannot be replaced`);
+  }
+  if (typeof impl !== 'function') {
+    throw new TypeError(`Implementation of ${upperName} must be a function`);
+  }
+  if (signature !== null) {
+    if (!Array.isArray(signature?.params) || !(signature.minArgs >= 0) || !(signature.maxArgs >= signature.minArgs)) {
+      throw new TypeError(`Invalid signature for ${upperName}, use defineSignature`);
+    }
+    if (impl.length > signature.maxArgs) {
+      throw new TypeError(`${upperName} takes ${impl.length} arguments but its signature allows at most ${signature.maxArgs}`);
+    }
+  }
+
+  return upperName;
+}
+
+/**
+ * Registers a custom formula function.
+ * Example: registerFunction('SLA_DUE', function (created) { ... }, defineSignature([ValueType.DATE], ValueType.DATE))
+ * @param {string} name - Function name (case-insensitive).
+ * @param {Function} impl - Implementation; receives evaluated arguments and the
+ *   evaluation context as `this`.
+ * @param {Object|null} [signature] - Arity and types (see defineSignature); without one,
+ *   calls are not checked by validateFormula and lists are passed as single values.
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace a function registered before.
+ * @throws {TypeError} If the definition is invalid (see checkFunction).
+ * @throws {Error} If the name is a built-in function, or already registered without replace.
+ */
+export function registerFunction(name, impl, signature = null, { replace = false } = {}) {
+  const upperName = checkFunction(name, impl, signature);
+
+  if (upperName in FUNCTIONS) {
+    throw new Error(`${upperName} is a built-in function`);
+  }
+  if (customFunctions.has(upperName) && !replace) {
+    throw new Error(`${upperName} is already registered`);
+  }
+
+  customFunctions.set(upperName, { impl, signature });
+}
+
+/**
+ * Removes a custom formula function.
+ * @param {string} name - Function name (case-insensitive).
+ * @returns {boolean} True if the function was registered.
+ */
+export function unregisterFunction(name) {
+  return customFunctions.delete(String(name).toUpperCase());
+}
+
 /**
  * Get a function by name (case-insensitive)
  */
 export function getFunction(name) {
   const upperName = String(name).toUpperCase();
-  return FUNCTIONS[upperName] || null;
+  return FUNCTIONS[upperName] || customFunctions.get(upperName)?.impl || null;
 }
 
 /**
@@ -38,19 +139,32 @@ export function getFunction(name) {
  */
 export function hasFunction(name) {
   const upperName = String(name).toUpperCase();
-  return upperName in FUNCTIONS;
+  return upperName in FUNCTIONS || customFunctions.has(upperName);
+}
+
+/**
+ * Get a function signature by name (case-insensitive)
+ */
+export function getSignature(name) {
+  const upperName = String(name).toUpperCase();
+  return SIGNATURES[upperName] || customFunctions.get(upperName)?.signature || null;
 }
 
 /**
  * Get list of all available function names
  */
 export function getFunctionNames() {
-  return Object.keys(FUNCTIONS);
+  return [...Object.keys(FUNCTIONS), ...customFunctions.keys()];
 }
 
 export default {
   FUNCTIONS,
+  SIGNATURES,
   getFunction,
+  getSignature,
   hasFunction,
   getFunctionNames,
+  checkFunction,
+  registerFunction,
+  unregisterFunction,
 };
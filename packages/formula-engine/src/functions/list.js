@@ -0,0 +1,109 @@
+/**
+ * List Functions
+ * Functions over lists, such as the linked values of a mirror column.
+ *
+ * List arguments can also be comma-separated text ("Done, Stuck") or a single
+ * value (see toList in values.js). Results are lists, shown by formatResult as
+ * their items separated by ", ".
+ */
+
+import { ValueType, defineSignature } from './signatures.js';
+import { criterionTest } from './criteria.js';
+import { ErrorCode, createError, toList } from '../values.js';
+
+const N = ValueType.NUMBER;
+const B = ValueType.BOOLEAN;
+const L = ValueType.LIST;
+const A = ValueType.ANY;
+
+/**
+ * Helper: Sort rank of an item: numbers and dates before text
+ */
+function sortRank(item) {
+  return typeof item === 'number' || item instanceof Date ? 0 : 1;
+}
+
+/**
+ * FILTER - Returns the items of a list that match a criterion.
+ * Example: FILTER("100, 250, 40", ">50") => 100, 250
+ * Example: FILTER({amount mirror}, "Done", {status mirror}) => amounts of done items
+ * @param {any} list - Items to return
+ * @param {any} criterion - Criterion (see criteria.js)
+ * @param {any} criteriaList - Items to test, by position (optional, defaults to list)
+ */
+export function FILTER(list, criterion, criteriaList) {
+  const items = toList(list);
+  const tested = criteriaList === undefined ? items : toList(criteriaList);
+  const matches = criterionTest(criterion);
+
+  return items.filter((item, index) => matches(tested[index]));
+}
+
+/**
+ * INDEX - Returns the item at a position of a list (1 is the first item).
+ * Example: INDEX("Jane, John, Jim", 2) => "John"
+ * Returns #REF! if the position is outside the list.
+ */
+export function INDEX(list, position) {
+  const items = toList(list);
+  const index = Math.trunc(Number(position));
+
+  if (!(index >= 1 && index <= items.length)) {
+    return createError(ErrorCode.REF, `Position ${position} is outside the list`);
+  }
+  return items[index - 1];
+}
+
+/**
+ * SORT - Sorts the items of a list: numbers and dates first, then text in the
+ * order of the locale.
+ * Example: SORT("b, 10, a, 2") => 2, 10, a, b
+ * Example: SORT({amount mirror}, TRUE) => amounts from largest to smallest
+ * @param {any} list - Items to sort
+ * @param {boolean} descending - Reverse the order (optional)
+ */
+export function SORT(list, descending = false) {
+  const collator = new Intl.Collator(this?.locale ?? undefined, { numeric: true, sensitivity: 'base' });
+
+  const sorted = [...toList(list)].sort((a, b) => {
+    const rank = sortRank(a) - sortRank(b);
+    if (rank !== 0) return rank;
+    if (sortRank(a) === 0) return Number(a) - Number(b);
+    return collator.compare(String(a ?? ''), String(b ?? ''));
+  });
+
+  return descending ? sorted.reverse() : sorted;
+}
+
+/**
+ * UNIQUE - Returns the items of a list without repeats, keeping the first of
+ * each. Text compares case-insensitively.
+ * Example: UNIQUE("Done, Stuck, done") => Done, Stuck
+ */
+export function UNIQUE(list) {
+  const seen = new Set();
+
+  return toList(list).filter(item => {
+    const key = item instanceof Date ? item.getTime() : String(item ?? '').toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Signatures for the list functions
+ */
+export const signatures = {
+  FILTER: defineSignature([L, A, L], L, { optional: 1 }),
+  INDEX: defineSignature([L, N], A),
+  SORT: defineSignature([L, B], L, { optional: 1 }),
+  UNIQUE: defineSignature([L], L),
+};
+
+export default {
+  FILTER,
+  INDEX,
+  SORT,
+  UNIQUE,
+};
@@ -0,0 +1,200 @@
+/**
+ * Tests for List Values and the List Functions
+ *
+ * Run with: node src/functions/list.test.js
+ *
+ * Table of formulas and their displayed results, evaluated with
+ * evaluateFormula. Mirror columns are given as lists, as the resolver returns
+ * them to formulas.
+ */
+
+import { evaluateFormula, compileFormula, evaluateAsync, parse, formatResult, createList, createFieldValue, toScalar, ErrorCode, createError, validateFormula, hasErrors } from '../index.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const columnValues = new Map([
+  ['amounts', createList([100, 250.5, 40, 9.5], { aggregate: 'sum' })],
+  ['statuses', createList(['Done', 'Working on it', 'Done', 'Stuck'], { aggregate: 'sum' })],
+  ['owners', createList(['jane', 'John', 'Jane', 'jim'])],
+  ['maxed', createList([3, 8, 5], { aggregate: 'max' })],
+  ['none', createList([], { aggregate: 'sum' })],
+  ['noText', createList([], { aggregate: 'min' })],
+  ['broken', createList([1, createError(ErrorCode.DIV0)], { aggregate: 'sum' })],
+  ['price', 20],
+  ['subitems', createFieldValue(createList(['Design', 'Build']), {
+    hours: createList([3, 5], { aggregate: 'sum' }),
+    status: createList(['Done', 'Stuck'], { aggregate: 'sum' }),
+  })],
+]);
+
+const LIST_CASES = [
+  // [formula, displayed result]
+
+  // Lists as single values use the mirror's aggregate
+  ['{amounts}', '400'],
+  ['{amounts} * 2', '800'],
+  ['{maxed} + 1', '9'],
+  ['{statuses}', 'Done, Working on it, Done, Stuck'],
+  ['{owners} & "!"', 'jane, John, Jane, jim!'],
+  ['{none}', '0'],
+  ['{noText}', ''],
+  ['LEN({statuses})', '32'],
+  ['IF({none}, "some", "none")', 'none'],
+  ['IF({amounts} > 300, "over", "under")', 'over'],
+
+  // Aggregates read the individual values
+  ['SUM({amounts})', '400'],
+  ['SUM({maxed})', '16'],
+  ['SUM({amounts}, {price}, 1)', '421'],
+  ['AVERAGE({maxed})', '5.333333'],
+  ['MAX({amounts})', '250.5'],
+  ['MIN({maxed}, 4)', '3'],
+  ['COUNT({amounts})', '4'],
+  ['COUNT({statuses})', '0'],
+  ['MEDIAN({maxed})', '5'],
+  ['COUNTIF({statuses}, "Done")', '2'],
+  ['SUMIF({statuses}, "Done", {amounts})', '140'],
+  ['AVERAGEIF({amounts}, ">50")', '175.25'],
+  ['TEXTJOIN(" / ", TRUE, {owners})', 'jane / John / Jane / jim'],
+  ['TEXTJOIN("-", TRUE, {maxed}, "x")', '3-8-5-x'],
+
+  // FILTER
+  ['FILTER({amounts}, ">50")', '100, 250.5'],
+  ['FILTER({amounts}, "Done", {statuses})', '100, 40'],
+  ['FILTER({statuses}, "<>Done")', 'Working on it, Stuck'],
+  ['FILTER("a, b, c", "b")', 'b'],
+  ['SUM(FILTER({amounts}, "Done", {statuses}))', '140'],
+  ['COUNT(FILTER({amounts}, ">1000"))', '0'],
+  ['FILTER({amounts}, ">1000")', ''],
+
+  // UNIQUE
+  ['UNIQUE({owners})', 'jane, John, jim'],
+  ['UNIQUE({statuses})', 'Done, Working on it, Stuck'],
+  ['COUNTIF(UNIQUE({statuses}), "*")', '3'],
+
+  // SORT
+  ['SORT({amounts})', '9.5, 40, 100, 250.5'],
+  ['SORT({amounts}, TRUE)', '250.5, 100, 40, 9.5'],
+  ['SORT({owners})', 'jane, Jane, jim, John'],
+  ['SORT("b, 10, a, 2")', '2, 10, a, b'],
+  ['TEXTJOIN(", ", TRUE, SORT(UNIQUE({owners})))', 'jane, jim, John'],
+
+  // INDEX
+  ['INDEX({owners}, 2)', 'John'],
+  ['INDEX({amounts}, 4) * 2', '19'],
+  ['INDEX(SORT({amounts}, TRUE), 1)', '250.5'],
+  ['INDEX("Jane, John", 3)', '#REF!'],
+  ['INDEX({owners}, 0)', '#REF!'],
+  ['IFERROR(INDEX({none}, 1), "no items")', 'no items'],
+
+  // Errors in lists
+  ['{broken}', '#DIV/0!'],
+  ['SUM({broken})', '#DIV/0!'],
+  ['{broken} + 1', '#DIV/0!'],
+  ['IFERROR({broken}, "bad")', 'bad'],
+  ['ISERROR({broken})', 'true'],
+
+  // Field values (subitem columns)
+  ['{subitems}', 'Design, Build'],
+  ['{subitems#hours}', '8'],
+  ['MAX({subitems#hours})', '5'],
+  ['SUMIF({subitems#status}, "Done", {subitems#hours})', '3'],
+  ['{subitems#missing}', ''],
+];
+
+function testListFunctions() {
+  for (const [formula, expected] of LIST_CASES) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testToScalar() {
+  const cases = [
+    // [description, value, expected]
+    ['Sum of numbers', createList([1, 2, 3], { aggregate: 'sum' }), 6],
+    ['Count of numbers', createList([7, 7], { aggregate: 'count' }), 2],
+    ['Text joined', createList(['a', 'b'], { aggregate: 'sum' }), 'a, b'],
+    ['Single item', ['only'], 'only'],
+    ['Numbers without aggregate', [1, 2], '1, 2'],
+    ['Empty without aggregate', [], ''],
+    ['Not a list', 5, 5],
+    ['Field value', createFieldValue(createList(['a', 'b']), { n: 1 }), 'a, b'],
+  ];
+
+  for (const [description, value, expected] of cases) {
+    console.log(`\n=== Test: toScalar - ${description} ===`);
+    const result = toScalar(value);
+    console.log('Result:', result);
+    console.log('Pass:', result === expected);
+  }
+}
+
+async function testEvaluationPaths() {
+  console.log('\n=== Test: Compiled formula over a list ===');
+  const compiled = compileFormula('TEXTJOIN(", ", TRUE, FILTER({owners}, "J*"))');
+  const result = compiled.evaluate(columnValues);
+  console.log('Result:', result);
+  console.log('Pass:', result === 'jane, John, Jane, jim');
+
+  console.log('\n=== Test: evaluateAsync over a list ===');
+  const value = await evaluateAsync(parse('SUM(FILTER({amounts}, "<100"))'), async (columnId) => columnValues.get(columnId));
+  console.log('Result:', value);
+  console.log('Pass:', value === 49.5);
+
+  console.log('\n=== Test: formatResult formats each item ===');
+  const formatted = formatResult([1234.5, new Date('2024-03-01T00:00:00Z')], { locale: 'de-DE' });
+  console.log('Result:', formatted);
+  console.log('Pass:', formatted === '1234,5, 01.03.2024');
+}
+
+function testSignatures() {
+  const cases = [
+    // [formula, valid]
+    ['FILTER({amounts}, ">5")', true],
+    ['FILTER({amounts})', false],
+    ['UNIQUE({owners})', true],
+    ['SORT({owners}, TRUE, 1)', false],
+    ['INDEX({owners}, 1)', true],
+    ['SUM(SORT({amounts}))', true],
+    ['ROUND(INDEX({amounts}, 1), 1)', true],
+  ];
+
+  for (const [formula, valid] of cases) {
+    console.log(`\n=== Test: validateFormula(${formula}) ===`);
+    const diagnostics = validateFormula(formula);
+    console.log('Diagnostics:', diagnostics.map(d => d.message));
+    console.log('Pass:', hasErrors(diagnostics) === !valid);
+  }
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('List Function Tests');
+  console.log('========================================');
+
+  try {
+    testListFunctions();
+    testToScalar();
+    await testEvaluationPaths();
+    testSignatures();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -3,6 +3,12 @@
  * monday.com formula logical/conditional functions.
  */
 
+import { ValueType, defineSignature } from './signatures.js';
+import { isError } from '../values.js';
+
+const B = ValueType.BOOLEAN;
+const A = ValueType.ANY;
+
 /**
  * AND - Checks if all the given logical conditions are true and if so returns true.
  * Example: AND(3>1, 4>2) => true
@@ -133,6 +139,42 @@ export function ISTEXT(value) {
   return typeof value === 'string';
 }
 
+/**
+ * ISERROR - Checks if a value is an error (#DIV/0!, #VALUE!, #REF!, #CYCLE).
+ * Example: ISERROR(1 / 0) => true
+ */
+export function ISERROR(value) {
+  return isError(value);
+}
+
+/**
+ * IFERROR - Returns the value, or the fallback if the value is an error.
+ * Example: IFERROR({Budget} / {Hours}, 0) => 0 (if Hours is 0)
+ */
+export function IFERROR(value, fallback = '') {
+  return isError(value) ? fallback : value;
+}
+
+/**
+ * Signatures for the logical functions
+ */
+export const signatures = {
+  AND: defineSignature([B], B, { variadic: true }),
+  EXACT: defineSignature([A, A], B),
+  IF: defineSignature([B, A, A], A, { optional: 1 }),
+  OR: defineSignature([B], B, { variadic: true }),
+  XOR: defineSignature([B], B, { variadic: true }),
+  SWITCH: defineSignature([A, A, A], A, { variadic: true }),
+  NOT: defineSignature([B], B),
+  TRUE: defineSignature([], B),
+  FALSE: defineSignature([], B),
+  ISBLANK: defineSignature([A], B),
+  ISNUMBER: defineSignature([A], B),
+  ISTEXT: defineSignature([A], B),
+  ISERROR: defineSignature([A], B, { acceptsErrors: true }),
+  IFERROR: defineSignature([A, A], A, { optional: 1, acceptsErrors: true }),
+};
+
 export default {
   AND,
   EXACT,
@@ -146,4 +188,6 @@ export default {
   ISBLANK,
   ISNUMBER,
   ISTEXT,
+  ISERROR,
+  IFERROR,
 };
@@ -1,8 +1,67 @@
 /**
  * Numeric Functions
  * monday.com formula numeric/mathematical functions.
+ *
+ * Aggregates (SUM, AVERAGE, MEDIAN, ...) accept numbers, numeric text, lists
+ * (e.g. mirror columns) and comma-separated text ("9.75, 3, 1.50"), all read
+ * with parseNumericValues. Conditional aggregates (COUNTIF, SUMIF, AVERAGEIF)
+ * match each item of a list against an Excel-style criterion (see criteria.js).
  */
 
+import { ValueType, defineSignature } from './signatures.js';
+import { criterionTest } from './criteria.js';
+import { ErrorCode, createError, toList } from '../values.js';
+import { parseNumericValues } from '../column-value-extractor.js';
+
+const N = ValueType.NUMBER;
+const L = ValueType.LIST;
+const A = ValueType.ANY;
+
+/**
+ * Helper: Get the numbers of the arguments. Text is read with
+ * parseNumericValues, so numeric text and comma-separated lists count;
+ * booleans count as 1 and 0; other values are skipped.
+ */
+function toNumbers(args) {
+  return args.flat(Infinity).flatMap(value => {
+    if (typeof value === 'number') return isNaN(value) ? [] : [value];
+    if (typeof value === 'boolean') return [Number(value)];
+    if (typeof value === 'string') return parseNumericValues(value);
+    return [];
+  });
+}
+
+/**
+ * Helper: Remove floating point noise, e.g. 0.30000000000000004 => 0.3
+ */
+function clean(number) {
+  return parseFloat(number.toPrecision(15));
+}
+
+/**
+ * Helper: Get the numbers of the items that match a criterion, taken from
+ * sumRange at the same positions (or from the range itself)
+ */
+function matchingNumbers(range, criterion, sumRange) {
+  const items = toList(range);
+  const amounts = sumRange === undefined ? items : toList(sumRange);
+  const matches = criterionTest(criterion);
+
+  return items.flatMap((item, index) => (matches(item) ? toNumbers([amounts[index]]) : []));
+}
+
+/**
+ * Helper: Variance of numbers around their mean
+ * @param {boolean} sample - Divide by n - 1 (sample) instead of n (population)
+ */
+function variance(numbers, sample) {
+  const count = numbers.length - (sample ? 1 : 0);
+  if (count <= 0) return createError(ErrorCode.DIV0, 'Not enough values');
+
+  const mean = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+  return numbers.reduce((sum, n) => sum + (n - mean) ** 2, 0) / count;
+}
+
 /**
  * ABS - Returns the absolute value of a given number.
  * Example: ABS(-1) => 1
@@ -16,20 +75,52 @@ export function ABS(number) {
  * Example: AVERAGE(1, 2, 3) => 2
  */
 export function AVERAGE(...args) {
-  const numbers = args.flat().map(n => Number(n)).filter(n => !isNaN(n));
+  const numbers = toNumbers(args);
   if (numbers.length === 0) return 0;
   return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
 }
 
+/**
+ * AVERAGEIF - Returns the average of the items that match a criterion.
+ * Example: AVERAGEIF("10, 20, 30", ">15") => 25
+ * Example: AVERAGEIF({status mirror}, "Done", {amount mirror}) => average amount of done items
+ * @param {any} range - Items to test (a list or comma-separated text)
+ * @param {any} criterion - Criterion (see criteria.js)
+ * @param {any} averageRange - Numbers to average, by position (optional, defaults to range)
+ */
+export function AVERAGEIF(range, criterion, averageRange) {
+  const numbers = matchingNumbers(range, criterion, averageRange);
+  if (numbers.length === 0) return createError(ErrorCode.DIV0, 'No matching values');
+  return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+}
+
+/**
+ * CEILING - Rounds a number up to the nearest multiple of significance.
+ * Example: CEILING(4.2, 0.5) => 4.5
+ */
+export function CEILING(number, significance = 1) {
+  const num = Number(number) || 0;
+  const step = Math.abs(Number(significance) || 0);
+  if (step === 0) return 0;
+  return clean(Math.ceil(clean(num / step)) * step);
+}
+
 /**
  * COUNT - Counts the number of numerical items.
  * Example: COUNT(1, 2, "a") => 2
  */
 export function COUNT(...args) {
-  return args.flat().filter(val => {
-    const num = Number(val);
-    return !isNaN(num) && val !== null && val !== '';
-  }).length;
+  return toNumbers(args).length;
+}
+
+/**
+ * COUNTIF - Counts the items that match a criterion.
+ * Example: COUNTIF({status mirror}, "Done") => number of done items
+ * Example: COUNTIF("5, 12, 30", ">10") => 2
+ */
+export function COUNTIF(range, criterion) {
+  const matches = criterionTest(criterion);
+  return toList(range).filter(matches).length;
 }
 
 /**
@@ -39,12 +130,52 @@ export function COUNT(...args) {
 export function DIVIDE(dividend, divisor) {
   const a = Number(dividend) || 0;
   const b = Number(divisor);
-  if (b === 0 || isNaN(b)) return 0; // Avoid division by zero
+  if (isNaN(b)) return 0;
+  if (b === 0) return createError(ErrorCode.DIV0, 'Division by zero');
   return a / b;
 }
 
+/**
+ * EXP - Returns e raised to a power.
+ * Example: EXP(1) => 2.718281828...
+ */
+export function EXP(number) {
+  return Math.exp(Number(number) || 0);
+}
+
+/**
+ * FLOOR - Rounds a number down to the nearest multiple of significance.
+ * Example: FLOOR(4.7, 0.5) => 4.5
+ */
+export function FLOOR(number, significance = 1) {
+  const num = Number(number) || 0;
+  const step = Math.abs(Number(significance) || 0);
+  if (step === 0) return 0;
+  return clean(Math.floor(clean(num / step)) * step);
+}
+
+/**
+ * INT - Rounds a number down to the nearest integer.
+ * Example: INT(-2.5) => -3
+ */
+export function INT(number) {
+  return Math.floor(Number(number) || 0);
+}
+
+/**
+ * LN - Gets the natural logarithm of a number.
+ * Returns #VALUE! unless the number is positive.
+ * Example: LN(EXP(2)) => 2
+ */
+export function LN(number) {
+  const num = Number(number);
+  if (!(num > 0)) return createError(ErrorCode.VALUE, 'Number must be positive');
+  return Math.log(num);
+}
+
 /**
  * LOG - Gets the logarithm of a number.
+ * Returns #VALUE! unless the number is positive.
  * Example: LOG(16, 2) => 4
  * @param {number} number - The number to get logarithm of
  * @param {number} base - The logarithm base (default: 10)
@@ -52,7 +183,7 @@ export function DIVIDE(dividend, divisor) {
 export function LOG(number, base = 10) {
   const num = Number(number);
   const b = Number(base);
-  if (num <= 0 || isNaN(num)) return 0;
+  if (!(num > 0)) return createError(ErrorCode.VALUE, 'Number must be positive');
   if (b <= 0 || b === 1 || isNaN(b)) return Math.log10(num);
   return Math.log(num) / Math.log(b);
 }
@@ -62,17 +193,29 @@ export function LOG(number, base = 10) {
  * Example: MAX(1, 3, 5, 9) => 9
  */
 export function MAX(...args) {
-  const numbers = args.flat().map(n => Number(n)).filter(n => !isNaN(n));
+  const numbers = toNumbers(args);
   if (numbers.length === 0) return 0;
   return Math.max(...numbers);
 }
 
+/**
+ * MEDIAN - Returns the middle value of the given numbers.
+ * Example: MEDIAN(3, 1, 4, 2) => 2.5
+ */
+export function MEDIAN(...args) {
+  const numbers = toNumbers(args).sort((a, b) => a - b);
+  if (numbers.length === 0) return 0;
+
+  const middle = Math.floor(numbers.length / 2);
+  return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+}
+
 /**
  * MIN - Returns the smallest value from a set of data.
  * Example: MIN(1, 3, 5, 9) => 1
  */
 export function MIN(...args) {
-  const numbers = args.flat().map(n => Number(n)).filter(n => !isNaN(n));
+  const numbers = toNumbers(args);
   if (numbers.length === 0) return 0;
   return Math.min(...numbers);
 }
@@ -92,7 +235,8 @@ export function MINUS(number1, number2) {
 export function MOD(number, divisor) {
   const a = Number(number) || 0;
   const b = Number(divisor);
-  if (b === 0 || isNaN(b)) return 0;
+  if (isNaN(b)) return 0;
+  if (b === 0) return createError(ErrorCode.DIV0, 'Division by zero');
   return a % b;
 }
 
@@ -104,6 +248,26 @@ export function MULTIPLY(number1, number2) {
   return (Number(number1) || 0) * (Number(number2) || 0);
 }
 
+/**
+ * PERCENTAGE - Returns what percentage one number is of another.
+ * Example: PERCENTAGE(25, 200) => 12.5
+ */
+export function PERCENTAGE(part, total) {
+  const whole = Number(total) || 0;
+  if (whole === 0) return createError(ErrorCode.DIV0, 'Division by zero');
+  return clean((Number(part) || 0) / whole * 100);
+}
+
+/**
+ * PERCENT_CHANGE - Returns the change from one number to another, in percent.
+ * Example: PERCENT_CHANGE(80, 100) => 25
+ */
+export function PERCENT_CHANGE(from, to) {
+  const start = Number(from) || 0;
+  if (start === 0) return createError(ErrorCode.DIV0, 'Division by zero');
+  return clean(((Number(to) || 0) - start) / Math.abs(start) * 100);
+}
+
 /**
  * POWER - A number raised to a power.
  * Example: POWER(2, 3) => 8
@@ -112,6 +276,40 @@ export function POWER(base, exponent) {
   return Math.pow(Number(base) || 0, Number(exponent) || 0);
 }
 
+/**
+ * PRODUCT - Multiplies all the given numbers.
+ * Example: PRODUCT(2, 3, 4) => 24
+ */
+export function PRODUCT(...args) {
+  const numbers = toNumbers(args);
+  if (numbers.length === 0) return 0;
+  return numbers.reduce((product, n) => product * n, 1);
+}
+
+/**
+ * RAND - Returns a random number from 0 (included) to 1 (excluded).
+ * Seeded by the evaluation context (this.seed) for reproducible results: each
+ * evaluation restarts from the seed, and the resolver adds the item ID to it.
+ * Example: RAND() => 0.4387...
+ */
+export function RAND() {
+  return this?.random ? this.random() : Math.random();
+}
+
+/**
+ * RANDBETWEEN - Returns a random integer between two integers (both included).
+ * Seeded like RAND.
+ * Example: RANDBETWEEN(1, 6) => 4
+ */
+export function RANDBETWEEN(low, high) {
+  const min = Math.ceil(Number(low) || 0);
+  const max = Math.floor(Number(high) || 0);
+  if (min > max) return createError(ErrorCode.VALUE, 'Low is greater than high');
+
+  const random = this?.random ? this.random() : Math.random();
+  return min + Math.floor(random * (max - min + 1));
+}
+
 /**
  * ROUND - Rounds a number to a specific number of digits.
  * Example: ROUND(1.123456, 2) => 1.12
@@ -145,25 +343,88 @@ export function ROUNDUP(number, numDigits = 0) {
   return Math.ceil(num * factor) / factor;
 }
 
+/**
+ * SIGN - Returns 1 for a positive number, -1 for a negative number and 0 for 0.
+ * Example: SIGN(-12) => -1
+ */
+export function SIGN(number) {
+  return Math.sign(Number(number) || 0);
+}
+
 /**
  * SQRT - Positive square root of a positive number.
+ * Returns #VALUE! for a negative number.
  * Example: SQRT(9) => 3
  */
 export function SQRT(number) {
   const num = Number(number);
-  if (num < 0 || isNaN(num)) return 0;
+  if (!(num >= 0)) return createError(ErrorCode.VALUE, 'Number must not be negative');
   return Math.sqrt(num);
 }
 
+/**
+ * STDEV - Returns the standard deviation of a sample.
+ * Example: STDEV(2, 4, 4, 4, 5, 5, 7, 9) => 2.138...
+ */
+export function STDEV(...args) {
+  const result = variance(toNumbers(args), true);
+  return typeof result === 'number' ? Math.sqrt(result) : result;
+}
+
+/**
+ * STDEVP - Returns the standard deviation of a whole population.
+ * Example: STDEVP(2, 4, 4, 4, 5, 5, 7, 9) => 2
+ */
+export function STDEVP(...args) {
+  const result = variance(toNumbers(args), false);
+  return typeof result === 'number' ? Math.sqrt(result) : result;
+}
+
 /**
  * SUM - Sums up all the given numbers.
  * Example: SUM(2, 3, 8) => 13
  */
 export function SUM(...args) {
-  return args.flat().reduce((sum, val) => {
-    const num = Number(val);
-    return sum + (isNaN(num) ? 0 : num);
-  }, 0);
+  return toNumbers(args).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * SUMIF - Sums the items that match a criterion.
+ * Example: SUMIF("100, 250, 40", ">50") => 350
+ * Example: SUMIF({status mirror}, "Done", {amount mirror}) => total amount of done items
+ * @param {any} range - Items to test (a list or comma-separated text)
+ * @param {any} criterion - Criterion (see criteria.js)
+ * @param {any} sumRange - Numbers to sum, by position (optional, defaults to range)
+ */
+export function SUMIF(range, criterion, sumRange) {
+  return matchingNumbers(range, criterion, sumRange).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * TRUNC - Truncates a number to a number of digits, towards zero.
+ * Example: TRUNC(-8.96, 1) => -8.9
+ */
+export function TRUNC(number, numDigits = 0) {
+  const num = Number(number) || 0;
+  const digits = Math.floor(Number(numDigits) || 0);
+  const factor = Math.pow(10, digits);
+  return Math.trunc(clean(num * factor)) / factor;
+}
+
+/**
+ * VAR - Returns the variance of a sample.
+ * Example: VAR(2, 4, 4, 4, 5, 5, 7, 9) => 4.571...
+ */
+export function VAR(...args) {
+  return variance(toNumbers(args), true);
+}
+
+/**
+ * VARP - Returns the variance of a whole population.
+ * Example: VARP(2, 4, 4, 4, 5, 5, 7, 9) => 4
+ */
+export function VARP(...args) {
+  return variance(toNumbers(args), false);
 }
 
 /**
@@ -174,22 +435,85 @@ export function PI() {
   return Math.PI;
 }
 
+/**
+ * Signatures for the numeric functions
+ */
+export const signatures = {
+  ABS: defineSignature([N], N),
+  AVERAGE: defineSignature([L], N, { variadic: true, elements: [N] }),
+  AVERAGEIF: defineSignature([L, A, L], N, { optional: 1 }),
+  CEILING: defineSignature([N, N], N, { optional: 1 }),
+  COUNT: defineSignature([L], N, { variadic: true }),
+  COUNTIF: defineSignature([L, A], N),
+  DIVIDE: defineSignature([N, N], N),
+  EXP: defineSignature([N], N),
+  FLOOR: defineSignature([N, N], N, { optional: 1 }),
+  INT: defineSignature([N], N),
+  LN: defineSignature([N], N),
+  LOG: defineSignature([N, N], N, { optional: 1 }),
+  MAX: defineSignature([L], N, { variadic: true, elements: [N] }),
+  MEDIAN: defineSignature([L], N, { variadic: true, elements: [N] }),
+  MIN: defineSignature([L], N, { variadic: true, elements: [N] }),
+  MINUS: defineSignature([N, N], N),
+  MOD: defineSignature([N, N], N),
+  MULTIPLY: defineSignature([N, N], N),
+  PERCENTAGE: defineSignature([N, N], N),
+  PERCENT_CHANGE: defineSignature([N, N], N),
+  POWER: defineSignature([N, N], N),
+  PRODUCT: defineSignature([L], N, { variadic: true, elements: [N] }),
+  RAND: defineSignature([], N),
+  RANDBETWEEN: defineSignature([N, N], N),
+  ROUND: defineSignature([N, N], N, { optional: 1 }),
+  ROUNDDOWN: defineSignature([N, N], N, { optional: 1 }),
+  ROUNDUP: defineSignature([N, N], N, { optional: 1 }),
+  SIGN: defineSignature([N], N),
+  SQRT: defineSignature([N], N),
+  STDEV: defineSignature([L], N, { variadic: true, elements: [N] }),
+  STDEVP: defineSignature([L], N, { variadic: true, elements: [N] }),
+  SUM: defineSignature([L], N, { variadic: true, elements: [N] }),
+  SUMIF: defineSignature([L, A, L], N, { optional: 1 }),
+  TRUNC: defineSignature([N, N], N, { optional: 1 }),
+  VAR: defineSignature([L], N, { variadic: true, elements: [N] }),
+  VARP: defineSignature([L], N, { variadic: true, elements: [N] }),
+  PI: defineSignature([], N),
+};
+
 export default {
   ABS,
   AVERAGE,
+  AVERAGEIF,
+  CEILING,
   COUNT,
+  COUNTIF,
   DIVIDE,
+  EXP,
+  FLOOR,
+  INT,
+  LN,
   LOG,
   MAX,
+  MEDIAN,
   MIN,
   MINUS,
   MOD,
   MULTIPLY,
+  PERCENTAGE,
+  PERCENT_CHANGE,
   POWER,
+  PRODUCT,
+  RAND,
+  RANDBETWEEN,
   ROUND,
   ROUNDDOWN,
   ROUNDUP,
+  SIGN,
   SQRT,
+  STDEV,
+  STDEVP,
   SUM,
+  SUMIF,
+  TRUNC,
+  VAR,
+  VARP,
   PI,
 };
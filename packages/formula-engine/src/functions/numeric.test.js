@@ -0,0 +1,189 @@
+/**
+ * Tests for the Numeric Functions
+ *
+ * Run with: node src/functions/numeric.test.js
+ *
+ * Table of formulas and their displayed results, evaluated with
+ * evaluateFormula. Mirror columns are given as comma-separated text, as the
+ * resolver returns them.
+ */
+
+import { evaluateFormula, compileFormula, createEvaluationContext } from '../index.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const columnValues = new Map([
+  ['amounts', '100, 250.50, 40, 9.5'],
+  ['statuses', 'Done, Working on it, Done, Stuck'],
+  ['owners', 'Jane Doe, John Roe, Janet Poe, Jim Moe'],
+  ['price', '19.99'],
+  ['empty', ''],
+]);
+
+const NUMERIC_CASES = [
+  // [formula, displayed result]
+
+  // Mirror lists and numeric text in aggregates
+  ['SUM({amounts})', '400'],
+  ['SUM({amounts}, {price}, 1)', '420.99'],
+  ['AVERAGE({amounts})', '100'],
+  ['MIN({amounts}, 5)', '5'],
+  ['MAX({amounts})', '250.5'],
+  ['COUNT({amounts}, {empty}, "x")', '4'],
+  ['SUM({empty})', '0'],
+
+  // MEDIAN
+  ['MEDIAN(3, 1, 4, 2)', '2.5'],
+  ['MEDIAN({amounts})', '70'],
+  ['MEDIAN(7)', '7'],
+  ['MEDIAN({empty})', '0'],
+
+  // Variance and standard deviation
+  ['VAR(2, 4, 4, 4, 5, 5, 7, 9)', '4.571429'],
+  ['VARP(2, 4, 4, 4, 5, 5, 7, 9)', '4'],
+  ['STDEV(2, 4, 4, 4, 5, 5, 7, 9)', '2.13809'],
+  ['STDEVP("2, 4, 4, 4, 5, 5, 7, 9")', '2'],
+  ['STDEV(5)', '#DIV/0!'],
+  ['VARP({empty})', '#DIV/0!'],
+
+  // PRODUCT
+  ['PRODUCT(2, 3, 4)', '24'],
+  ['PRODUCT("2, 3", 0.5)', '3'],
+  ['PRODUCT({empty})', '0'],
+
+  // Rounding
+  ['INT(2.7)', '2'],
+  ['INT(-2.5)', '-3'],
+  ['TRUNC(-8.96, 1)', '-8.9'],
+  ['TRUNC(8.96)', '8'],
+  ['TRUNC(1.005, 2)', '1'],
+  ['CEILING(4.2, 0.5)', '4.5'],
+  ['CEILING(4.2)', '5'],
+  ['CEILING(0.3, 0.1)', '0.3'],
+  ['CEILING(-4.2, 1)', '-4'],
+  ['FLOOR(4.7, 0.5)', '4.5'],
+  ['FLOOR(0.3, 0.1)', '0.3'],
+  ['FLOOR(-4.2)', '-5'],
+  ['FLOOR(12, 0)', '0'],
+
+  // SIGN, EXP, LN
+  ['SIGN(-12)', '-1'],
+  ['SIGN(0)', '0'],
+  ['SIGN({price})', '1'],
+  ['EXP(0)', '1'],
+  ['ROUND(EXP(1), 5)', '2.71828'],
+  ['LN(EXP(2))', '2'],
+  ['LN(0)', '#VALUE!'],
+  ['ISERROR(LN(0))', 'true'],
+  ['ISERROR(LN(-1))', 'true'],
+  ['IFERROR(LN(-1), "n/a")', 'n/a'],
+
+  // SQRT, LOG
+  ['SQRT(9)', '3'],
+  ['SQRT(0)', '0'],
+  ['SQRT(-4)', '#VALUE!'],
+  ['ISERROR(SQRT(-4))', 'true'],
+  ['LOG(16, 2)', '4'],
+  ['LOG(1000)', '3'],
+  ['ISERROR(LOG(0))', 'true'],
+  ['ISERROR(LOG(-10, 2))', 'true'],
+
+  // Conditional aggregates
+  ['COUNTIF({statuses}, "Done")', '2'],
+  ['COUNTIF({statuses}, "done")', '2'],
+  ['COUNTIF({statuses}, "<>Done")', '2'],
+  ['COUNTIF({statuses}, "Work*")', '1'],
+  ['COUNTIF({owners}, "J?n*")', '2'],
+  ['COUNTIF({amounts}, ">50")', '2'],
+  ['COUNTIF({amounts}, "<=40")', '2'],
+  ['COUNTIF({amounts}, 40)', '1'],
+  ['COUNTIF({empty}, "Done")', '0'],
+  ['SUMIF({amounts}, ">50")', '350.5'],
+  ['SUMIF({statuses}, "Done", {amounts})', '140'],
+  ['SUMIF({statuses}, "Stuck", {amounts})', '9.5'],
+  ['SUMIF({statuses}, "Blocked", {amounts})', '0'],
+  ['AVERAGEIF({statuses}, "Done", {amounts})', '70'],
+  ['AVERAGEIF("10, 20, 30", ">15")', '25'],
+  ['AVERAGEIF({statuses}, "Blocked", {amounts})', '#DIV/0!'],
+
+  // Percentages
+  ['PERCENTAGE(25, 200)', '12.5'],
+  ['PERCENTAGE(1, 3)', '33.333333'],
+  ['PERCENTAGE(5, 0)', '#DIV/0!'],
+  ['PERCENT_CHANGE(80, 100)', '25'],
+  ['PERCENT_CHANGE(100, 80)', '-20'],
+  ['PERCENT_CHANGE(-50, -25)', '50'],
+  ['PERCENT_CHANGE(0, 10)', '#DIV/0!'],
+  ['TEXT(PERCENTAGE(1, 8) / 100, "0.0%")', '12.5%'],
+
+  // RANDBETWEEN arguments
+  ['RANDBETWEEN(5, 5)', '5'],
+  ['RANDBETWEEN(6, 1)', '#VALUE!'],
+];
+
+function testNumericFunctions() {
+  for (const [formula, expected] of NUMERIC_CASES) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testRandom() {
+  console.log('\n=== Test: RAND is between 0 and 1 ===');
+  const values = Array.from({ length: 20 }, () => Number(evaluateFormula('RAND()', new Map())));
+  console.log('Pass:', values.every(v => v >= 0 && v < 1));
+
+  console.log('\n=== Test: Same seed, same numbers ===');
+  const formula = 'RAND() & "/" & RANDBETWEEN(1, 1000)';
+  const first = evaluateFormula(formula, new Map(), { context: { seed: 42 } });
+  const second = evaluateFormula(formula, new Map(), { context: { seed: 42 } });
+  const other = evaluateFormula(formula, new Map(), { context: { seed: 'item-1234' } });
+  console.log('Seed 42:', first, second, 'Seed item-1234:', other);
+  console.log('Pass:', first === second && first !== other);
+
+  console.log('\n=== Test: A reused seeded context gives the same numbers ===');
+  const context = createEvaluationContext({ seed: 7 });
+  const dice = Array(50).fill('RANDBETWEEN(1, 6)').join(' & ');
+  const rolls = evaluateFormula(dice, new Map(), { context });
+  const again = evaluateFormula(dice, new Map(), { context });
+  const compiled = compileFormula(dice);
+  console.log('Rolls:', rolls);
+  console.log('Pass:', rolls === again && compiled.evaluate(new Map(), context) === rolls
+    && /^[1-6]{50}$/.test(rolls) && new Set(rolls).size === 6);
+
+  console.log('\n=== Test: Each item gets its own numbers ===');
+  const item100 = evaluateFormula('RAND()', new Map(), { context: context.forItem(100) });
+  const item200 = evaluateFormula('RAND()', new Map(), { context: context.forItem(200) });
+  console.log('Item 100:', item100, 'Item 200:', item200);
+  console.log('Pass:', item100 === evaluateFormula('RAND()', new Map(), { context: context.forItem(100) })
+    && item100 !== item200 && createEvaluationContext().forItem(100) === createEvaluationContext());
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Numeric Function Tests');
+  console.log('========================================');
+
+  try {
+    testNumericFunctions();
+    testRandom();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -0,0 +1,173 @@
+/**
+ * Tests for Custom Functions
+ *
+ * Run with: node src/functions/registry.test.js
+ *
+ * These tests check registerFunction (name, collision and arity checks) and
+ * per-evaluation function overrides in the evaluation context.
+ */
+
+import {
+  evaluateFormula, evaluateAsync, compileFormula, parse, validateFormula, hasErrors,
+  registerFunction, unregisterFunction, hasFunction, getSignature, defineSignature, ValueType,
+  createEvaluationContext, createList,
+} from '../index.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const RATES = { 'USD/EUR': 0.9, 'EUR/USD': 1.1 };
+
+function fxRate(from, to) {
+  return RATES[`${from}/${to}`] ?? 0;
+}
+
+function testRegisterFunction() {
+  registerFunction('FX_RATE', fxRate, defineSignature([ValueType.TEXT, ValueType.TEXT], ValueType.NUMBER));
+  registerFunction('zone_name', function () {
+    return this.timeZone;
+  });
+  registerFunction('LAST', (list) => list[list.length - 1] ?? '', defineSignature([ValueType.LIST], ValueType.ANY));
+  registerFunction('BOOM', () => {
+    throw new Error('boom');
+  });
+
+  const columnValues = new Map([
+    ['amount', 250],
+    ['owners', createList(['Jane', 'John', 'Jim'])],
+  ]);
+
+  const cases = [
+    // [formula, expected]
+    ['ROUND({amount} * FX_RATE("USD", "EUR"), 2)', '225'],
+    ['fx_rate("EUR", "USD")', '1.1'],
+    ['ZONE_NAME()', 'UTC'],
+    ['LAST({owners})', 'Jim'],
+    ['BOOM()', '#VALUE!'],
+    ['IFERROR(BOOM(), "failed")', 'failed'],
+  ];
+
+  for (const [formula, expected] of cases) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+
+  console.log('\n=== Test: Registered functions receive the context ===');
+  const zone = evaluateFormula('ZONE_NAME()', new Map(), { context: { timeZone: 'Asia/Tokyo' } });
+  console.log('Result:', zone);
+  console.log('Pass:', zone === 'Asia/Tokyo');
+
+  console.log('\n=== Test: Registered signatures are checked by validateFormula ===');
+  const valid = validateFormula('FX_RATE("USD", "EUR")');
+  const invalid = validateFormula('FX_RATE("USD")');
+  console.log('Diagnostics:', invalid.map(d => d.message));
+  console.log('Pass:', !hasErrors(valid) && hasErrors(invalid) && getSignature('fx_rate').returns === ValueType.NUMBER);
+}
+
+function testRegistrationErrors() {
+  const cases = [
+    // [description, register]
+    ['Built-in function', () => registerFunction('SUM', () => 0)],
+    ['Special form', () => registerFunction('IF', () => 0)],
+    ['Already registered', () => registerFunction('FX_RATE', fxRate)],
+    ['Invalid name', () => registerFunction('FX-RATE', fxRate)],
+    ['Name starting with a digit', () => registerFunction('2X', fxRate)],
+    ['Implementation is not a function', () => registerFunction('RATE_TABLE', RATES)],
+    ['Invalid signature', () => registerFunction('SLA_DUE', () => 0, { params: 'date' })],
+    ['More parameters than the signature allows', () => registerFunction('SLA_DUE', (created, hours, calendar) => created, defineSignature([ValueType.DATE, ValueType.NUMBER], ValueType.DATE))],
+  ];
+
+  for (const [description, register] of cases) {
+    console.log(`\n=== Test: Registration fails - ${description} ===`);
+    let message = null;
+    try {
+      register();
+    } catch (err) {
+      message = err.message;
+    }
+    console.log('Error:', message);
+    console.log('Pass:', message !== null && !hasFunction('SLA_DUE') && !hasFunction('RATE_TABLE'));
+  }
+
+  console.log('\n=== Test: Replace a registered function ===');
+  registerFunction('FX_RATE', () => 2, null, { replace: true });
+  const result = evaluateFormula('FX_RATE("USD", "EUR")', new Map());
+  registerFunction('FX_RATE', fxRate, defineSignature([ValueType.TEXT, ValueType.TEXT], ValueType.NUMBER), { replace: true });
+  console.log('Result:', result);
+  console.log('Pass:', result === '2' && evaluateFormula('FX_RATE("USD", "EUR")', new Map()) === '0.9');
+
+  console.log('\n=== Test: Optional parameters fit the signature ===');
+  registerFunction('SLA_DUE', (created, hours = 24) => created, defineSignature([ValueType.DATE, ValueType.NUMBER], ValueType.DATE, { optional: 1 }));
+  console.log('Pass:', hasFunction('sla_due') && unregisterFunction('SLA_DUE') && !hasFunction('SLA_DUE'));
+}
+
+async function testContextOverrides() {
+  const functions = {
+    FX_RATE: () => 1.5,
+    ROUND: (number) => Math.floor(number),
+    double: (value) => value * 2,
+  };
+  const context = createEvaluationContext({ functions });
+
+  console.log('\n=== Test: Overrides replace registered and built-in functions ===');
+  const overridden = evaluateFormula('ROUND(FX_RATE("USD", "EUR") * 10.8)', new Map(), { context });
+  const plain = evaluateFormula('ROUND(FX_RATE("USD", "EUR") * 10.8)', new Map());
+  console.log('Overridden:', overridden, 'Plain:', plain);
+  console.log('Pass:', overridden === '16' && plain === '10');
+
+  console.log('\n=== Test: Overrides add functions for one evaluation ===');
+  const added = evaluateFormula('DOUBLE(21)', new Map(), { context });
+  const missing = evaluateFormula('DOUBLE(21)', new Map());
+  console.log('With override:', added, 'Without:', JSON.stringify(missing));
+  console.log('Pass:', added === '42' && missing === '' && !hasFunction('DOUBLE'));
+
+  console.log('\n=== Test: Overrides in compiled formulas and evaluateAsync ===');
+  const compiled = compileFormula('DOUBLE({amount})').evaluate(new Map([['amount', 5]]), context);
+  const asyncResult = await evaluateAsync(parse('DOUBLE({amount}) + 1'), async () => 5, { context });
+  console.log('Compiled:', compiled, 'Async:', asyncResult);
+  console.log('Pass:', compiled === 10 && asyncResult === 11);
+
+  console.log('\n=== Test: Invalid overrides are skipped ===');
+  const skipped = createEvaluationContext({
+    functions: new Map([
+      ['IF', () => 'never'],
+      ['TRIPLE', 3],
+      ['FX_RATE', (from, to, date) => 0],
+      ['HALF', (value) => value / 2],
+    ]),
+  });
+  console.log('Overrides:', [...skipped.functions.keys()]);
+  console.log('Pass:', [...skipped.functions.keys()].join(',') === 'HALF'
+    && evaluateFormula('IF(TRUE, HALF(9), 0)', new Map(), { context: skipped }) === '4.5');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Custom Function Tests');
+  console.log('========================================');
+
+  try {
+    testRegisterFunction();
+    testRegistrationErrors();
+    await testContextOverrides();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  } finally {
+    ['FX_RATE', 'ZONE_NAME', 'LAST', 'BOOM'].forEach(unregisterFunction);
+  }
+}
+
+// Run if executed directly
+runTests();
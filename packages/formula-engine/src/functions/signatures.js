@@ -0,0 +1,81 @@
+/**
+ * Function Signatures
+ * Describes the arguments and return type of formula functions.
+ */
+
+/**
+ * Value types used in signatures.
+ * Only LIST parameters receive list values (e.g. mirror columns) as lists;
+ * other parameters receive them as single values (see toScalar in values.js).
+ */
+export const ValueType = {
+  NUMBER: 'number',
+  TEXT: 'text',
+  DATE: 'date',
+  BOOLEAN: 'boolean',
+  LIST: 'list',
+  ANY: 'any',
+};
+
+/**
+ * Creates a function signature.
+ * For variadic functions the last parameter type repeats for every extra argument.
+ *
+ * Example: defineSignature([ValueType.TEXT, ValueType.NUMBER], ValueType.TEXT)
+ *
+ * @param {string[]} params - Parameter types, in order.
+ * @param {string} returns - Return type.
+ * @param {Object} [options]
+ * @param {number} [options.optional=0] - Number of trailing optional parameters.
+ * @param {boolean} [options.variadic=false] - Whether the last parameter repeats.
+ * @param {boolean} [options.acceptsErrors=false] - Whether the function receives error
+ *   arguments; otherwise the first error argument is returned without calling it.
+ * @param {Array<string|null>} [options.elements=[]] - Item types of LIST parameters, by
+ *   position like params (null for any item). Arguments that are not lists are checked
+ *   against them, e.g. SUM("abc") with defineSignature([LIST], NUMBER, { elements: [NUMBER] }).
+ * @returns {{params: string[], returns: string, minArgs: number, maxArgs: number, variadic: boolean, acceptsErrors: boolean, elements: Array<string|null>}}
+ */
+export function defineSignature(params, returns, { optional = 0, variadic = false, acceptsErrors = false, elements = [] } = {}) {
+  return {
+    params,
+    returns,
+    minArgs: params.length - optional,
+    maxArgs: variadic ? Infinity : params.length,
+    variadic,
+    acceptsErrors,
+    elements,
+  };
+}
+
+/**
+ * Gets the expected type of the argument at the given index.
+ * @param {Object} signature - A signature created by defineSignature.
+ * @param {number} index - Zero-based argument index.
+ * @returns {string|null} The expected type, or null if the index is out of range.
+ */
+export function getParamType(signature, index) {
+  const { params, variadic } = signature;
+  if (index < params.length) return params[index];
+  if (variadic && params.length > 0) return params[params.length - 1];
+  return null;
+}
+
+/**
+ * Gets the item type of the LIST parameter at the given index.
+ * @param {Object} signature - A signature created by defineSignature.
+ * @param {number} index - Zero-based argument index.
+ * @returns {string|null} The item type, or null if any item is accepted (or the parameter is not a LIST).
+ */
+export function getElementType(signature, index) {
+  if (getParamType(signature, index) !== ValueType.LIST) return null;
+  const { params, variadic, elements = [] } = signature;
+  const position = index < params.length || !variadic ? index : params.length - 1;
+  return elements[position] ?? null;
+}
+
+export default {
+  ValueType,
+  defineSignature,
+  getParamType,
+  getElementType,
+};
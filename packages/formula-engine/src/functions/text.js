@@ -3,6 +3,127 @@
  * monday.com formula text manipulation functions.
  */
 
+import { ValueType, defineSignature } from './signatures.js';
+import { formatNumberPattern, formatDate, getSeparators } from '../locale.js';
+import { formatDatePattern } from '../date-format.js';
+import { DEFAULT_TIME_ZONE, parseZonedDate } from '../timezone.js';
+import { ErrorCode, createError, createList, isError } from '../values.js';
+
+const N = ValueType.NUMBER;
+const T = ValueType.TEXT;
+const A = ValueType.ANY;
+const B = ValueType.BOOLEAN;
+const L = ValueType.LIST;
+
+// Longest pattern and text the REGEX functions accept. Patterns are run by the
+// backtracking RegExp engine on the shared event loop, so their work is bounded
+// by these limits and by rejecting the constructs that backtrack exponentially
+// (see findUnsafeRegexConstruct).
+const MAX_REGEX_PATTERN_LENGTH = 500;
+const MAX_REGEX_TEXT_LENGTH = 10000;
+
+/**
+ * Helper: Find a construct that makes a pattern backtrack exponentially:
+ * a backreference, or a repeated group that contains a repetition or an
+ * alternation, e.g. "(a+)+" or "(a|ab)*".
+ * @returns {string|null} Description of the construct, or null if there is none.
+ */
+function findUnsafeRegexConstruct(source) {
+  const groups = [{ repeats: false, alternates: false }];
+  // A quantifier at position i: { length, repeats } or null. "?" and "{n}"
+  // do not repeat a pattern an unbounded number of times.
+  const quantifierAt = (i) => {
+    const char = source[i];
+    if (char === '*' || char === '+') return { length: source[i + 1] === '?' ? 2 : 1, repeats: true };
+    if (char === '?') return { length: 1, repeats: false };
+    const braces = char === '{' ? /^\{\d+(,\d*)?\}\??/.exec(source.slice(i)) : null;
+    return braces ? { length: braces[0].length, repeats: braces[1] !== undefined } : null;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/^(?:[1-9]|k<)/.test(source.slice(i + 1))) return 'backreferences';
+      i++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      if (source[i + 1] === '?') i++; // (?:, (?=, (?<name>, ... are not quantifiers
+    } else if (char === ')' && groups.length > 1) {
+      groups.pop();
+      const parent = groups[groups.length - 1];
+      const quantifier = quantifierAt(i + 1);
+      if (quantifier?.repeats && (group.repeats || group.alternates)) {
+        return 'nested quantifiers';
+      }
+      parent.repeats ||= group.repeats || Boolean(quantifier?.repeats);
+      if (quantifier) i += quantifier.length;
+    } else if (char === '|') {
+      group.alternates = true;
+    } else {
+      const quantifier = quantifierAt(i);
+      if (quantifier) {
+        group.repeats ||= quantifier.repeats;
+        i += quantifier.length - 1;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Compile a regular expression pattern. A leading "(?i)" makes it
+ * case-insensitive, as in Google Sheets.
+ * @returns {RegExp|FormulaError} The expression, or #VALUE! if the pattern is
+ *   invalid, too long or could backtrack exponentially.
+ */
+function compileRegex(pattern, flags = '') {
+  let source = String(pattern ?? '');
+  if (source.startsWith('(?i)')) {
+    source = source.slice(4);
+    flags += 'i';
+  }
+
+  if (source.length > MAX_REGEX_PATTERN_LENGTH) {
+    return createError(ErrorCode.VALUE, `Regular expression is longer than ${MAX_REGEX_PATTERN_LENGTH} characters`);
+  }
+  const unsafe = findUnsafeRegexConstruct(source);
+  if (unsafe) return createError(ErrorCode.VALUE, `Regular expressions with ${unsafe} are not supported`);
+
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    return createError(ErrorCode.VALUE, 'Invalid regular expression');
+  }
+}
+
+/**
+ * Helper: Text for the REGEX functions, or #VALUE! if it is too long.
+ */
+function toRegexText(text) {
+  const str = String(text ?? '');
+  if (str.length > MAX_REGEX_TEXT_LENGTH) {
+    return createError(ErrorCode.VALUE, `Text is longer than ${MAX_REGEX_TEXT_LENGTH} characters`);
+  }
+  return str;
+}
+
+/**
+ * CHAR - Returns the character of a character code (1-255).
+ * Example: CHAR(65) => "A"
+ */
+export function CHAR(code) {
+  const num = Math.floor(Number(code));
+  if (!(num >= 1 && num <= 255)) return createError(ErrorCode.VALUE, 'Character code out of range');
+  return String.fromCharCode(num);
+}
+
 /**
  * CONCATENATE - Concatenates text values into a single text value.
  * Example: CONCATENATE("I","love","monday.com") => "Ilovemonday.com"
@@ -11,6 +132,23 @@ export function CONCATENATE(...args) {
   return args.map(arg => String(arg ?? '')).join('');
 }
 
+/**
+ * FIND - Finds a string within another string (case-sensitive).
+ * Returns the position (1-based) or 0 if not found.
+ * Example: FIND("Day", "monday Day", 1) => 8
+ * @param {string} findText - Text to find
+ * @param {string} withinText - Text to search in
+ * @param {number} startPos - Starting position (1-based, optional)
+ */
+export function FIND(findText, withinText, startPos = 1) {
+  const find = String(findText ?? '');
+  const within = String(withinText ?? '');
+  const start = Math.max(0, Math.floor(Number(startPos) || 1) - 1);
+
+  const index = within.indexOf(find, start);
+  return index >= 0 ? index + 1 : 0; // Return 1-based position or 0
+}
+
 /**
  * LEFT - Extracts a given number of characters from the left side.
  * Example: LEFT("monday.com", 3) => "mon"
@@ -37,6 +175,76 @@ export function LOWER(text) {
   return String(text ?? '').toLowerCase();
 }
 
+/**
+ * MID - Extracts a given number of characters from the middle of a string.
+ * Example: MID("monday.com", 4, 3) => "day"
+ * @param {string} text - Original text
+ * @param {number} startPos - Starting position (1-based)
+ * @param {number} numChars - Number of characters to extract
+ */
+export function MID(text, startPos, numChars) {
+  const str = String(text ?? '');
+  const start = Math.max(1, Math.floor(Number(startPos) || 1)) - 1; // Convert to 0-based
+  const num = Math.max(0, Math.floor(Number(numChars) || 0));
+  return str.substring(start, start + num);
+}
+
+/**
+ * PROPER - Capitalizes the first letter of each word and lowercases the rest.
+ * A word is a run of letters, so "o'neil" => "O'Neil".
+ * Example: PROPER("hello MONDAY world") => "Hello Monday World"
+ */
+export function PROPER(text) {
+  return String(text ?? '').replace(/\p{L}+/gu, word => word[0].toUpperCase() + word.slice(1).toLowerCase());
+}
+
+/**
+ * REGEXEXTRACT - Extracts the first match of a regular expression, or its
+ * first capture group if it has one. Returns #VALUE! if nothing matches.
+ * Like REGEXMATCH and REGEXREPLACE, it rejects patterns with backreferences or
+ * nested quantifiers such as "(a+)+" with #VALUE!.
+ * Example: REGEXEXTRACT("Order #1234", "\d+") => "1234"
+ * Example: REGEXEXTRACT("jane@monday.com", "@(.+)$") => "monday.com"
+ */
+export function REGEXEXTRACT(text, pattern) {
+  const regex = compileRegex(pattern);
+  if (isError(regex)) return regex;
+  const str = toRegexText(text);
+  if (isError(str)) return str;
+
+  const match = str.match(regex);
+  if (!match) return createError(ErrorCode.VALUE, 'No match');
+  return match.length > 1 ? (match[1] ?? '') : match[0];
+}
+
+/**
+ * REGEXMATCH - Checks if text matches a regular expression.
+ * Example: REGEXMATCH("ticket-42", "^ticket-\d+$") => true
+ * Example: REGEXMATCH("Monday", "(?i)^monday") => true
+ */
+export function REGEXMATCH(text, pattern) {
+  const regex = compileRegex(pattern);
+  if (isError(regex)) return regex;
+  const str = toRegexText(text);
+  if (isError(str)) return str;
+
+  return regex.test(str);
+}
+
+/**
+ * REGEXREPLACE - Replaces every match of a regular expression.
+ * The replacement can refer to capture groups as $1, $2, ...
+ * Example: REGEXREPLACE("2024-01-15", "(\d+)-(\d+)-(\d+)", "$3/$2/$1") => "15/01/2024"
+ */
+export function REGEXREPLACE(text, pattern, replacement) {
+  const regex = compileRegex(pattern, 'g');
+  if (isError(regex)) return regex;
+  const str = toRegexText(text);
+  if (isError(str)) return str;
+
+  return str.replace(regex, String(replacement ?? ''));
+}
+
 /**
  * REPLACE - Replaces a part of a string with the new string.
  * Example: REPLACE("Goat", 1, 2, "Fl") => "Flat"
@@ -91,6 +299,29 @@ export function SEARCH(findText, withinText, startPos = 1) {
   return index >= 0 ? index + 1 : 0; // Return 1-based position or 0
 }
 
+/**
+ * SPLIT - Splits text at a delimiter.
+ * With an index, returns that part (1-based, negative counts from the end,
+ * "" if out of range); without one, returns the trimmed parts as a list,
+ * for the list functions (SUM, COUNT, SORT, ...).
+ * Example: SPLIT("a;b;c", ";", 2) => "b"
+ * Example: SPLIT("a; b;c", ";") => ["a", "b", "c"]
+ * @param {string} text - Text to split
+ * @param {string} delimiter - Delimiter ("" splits into characters)
+ * @param {number} index - Part to return (optional)
+ */
+export function SPLIT(text, delimiter, index) {
+  const parts = String(text ?? '').split(String(delimiter ?? ''));
+
+  if (index === undefined || index === null) {
+    return createList(parts.map(part => part.trim()));
+  }
+
+  const num = Math.trunc(Number(index) || 0);
+  const position = num < 0 ? parts.length + num : num - 1;
+  return parts[position] ?? '';
+}
+
 /**
  * SUBSTITUTE - Replace text in a given text string by matching.
  * Example: SUBSTITUTE("goodmorning", "morning", "night") => "goodnight"
@@ -132,61 +363,61 @@ export function SUBSTITUTE(text, oldText, newText, instance) {
   return result;
 }
 
+// ISO dates and date-times (the text of date columns and date results);
+// other text is never read as a date by TEXT
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
 /**
  * TEXT - Formats the given value based on the given text format.
  * Example: TEXT(8500.6, "$#,##0.00") => "$8,500.60"
- * Supports basic number formatting.
+ * Example: TEXT("2024-01-15", "dddd, MMMM Do") => "Monday, January 15th"
+ * Numbers support number patterns (#, 0, thousands, decimals, %, [$EUR]
+ * currency symbols); dates support date patterns (see date-format.js).
+ * Separators, symbols and names follow the evaluation locale (this.locale),
+ * so the first example is "$8.500,60" in de-DE; dates are read in this.timeZone.
+ * Only ISO date text is read as a date; other text is returned unchanged.
  */
 export function TEXT(value, formatString) {
-  const num = Number(value);
+  const locale = this?.locale ?? null;
+  const timeZone = this?.timeZone ?? DEFAULT_TIME_ZONE;
   const format = String(formatString ?? '');
 
+  if (value instanceof Date) {
+    return format ? formatDatePattern(value, format, locale, timeZone) : formatDate(value, locale, timeZone);
+  }
+
+  const num = Number(value);
   if (isNaN(num)) {
+    // Date text, e.g. the result of TODAY()
+    const isDateText = typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim());
+    const date = isDateText && format ? parseZonedDate(value, timeZone) : null;
+    if (date) {
+      return formatDatePattern(date, format, locale, timeZone);
+    }
     return String(value ?? '');
   }
 
-  // Basic format patterns
+  // Number patterns
   if (format.includes('#') || format.includes('0')) {
-    // Number formatting
-    let prefix = '';
-    let suffix = '';
-    let formatPart = format;
-
-    // Extract prefix (like $)
-    const prefixMatch = format.match(/^([^#0,.]+)/);
-    if (prefixMatch) {
-      prefix = prefixMatch[1];
-      formatPart = format.substring(prefix.length);
-    }
-
-    // Extract suffix
-    const suffixMatch = formatPart.match(/([^#0,.]+)$/);
-    if (suffixMatch) {
-      suffix = suffixMatch[1];
-      formatPart = formatPart.substring(0, formatPart.length - suffix.length);
-    }
-
-    // Determine decimal places
-    const decimalMatch = formatPart.match(/\.(0+)/);
-    const decimals = decimalMatch ? decimalMatch[1].length : 0;
-
-    // Format number
-    const useThousands = formatPart.includes(',');
-    let formatted = num.toFixed(decimals);
-
-    if (useThousands) {
-      const parts = formatted.split('.');
-      parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-      formatted = parts.join('.');
-    }
-
-    return prefix + formatted + suffix;
+    return formatNumberPattern(num, format, locale);
   }
 
-  // Date formats would go here if needed
   return String(value ?? '');
 }
 
+/**
+ * TEXTJOIN - Joins text values with a delimiter.
+ * Example: TEXTJOIN(", ", TRUE, "a", "", "b") => "a, b"
+ * Example: TEXTJOIN(" / ", TRUE, {owner mirror}) => "Jane / John"
+ * @param {string} delimiter - Text between the values
+ * @param {boolean} ignoreEmpty - Whether to skip empty values
+ * @param {...any} values - Values to join; each item of a list is a value
+ */
+export function TEXTJOIN(delimiter, ignoreEmpty, ...values) {
+  const texts = values.flat(Infinity).map(value => String(value ?? ''));
+  return (ignoreEmpty ? texts.filter(text => text !== '') : texts).join(String(delimiter ?? ''));
+}
+
 /**
  * TRIM - Removes all spaces from a string except for single spaces between words.
  * Example: TRIM(" I love MDY ") => "I love MDY"
@@ -195,6 +426,16 @@ export function TRIM(text) {
   return String(text ?? '').trim().replace(/\s+/g, ' ');
 }
 
+/**
+ * UNICHAR - Returns the Unicode character of a code point.
+ * Example: UNICHAR(9733) => "★"
+ */
+export function UNICHAR(code) {
+  const num = Math.floor(Number(code));
+  if (!(num >= 1 && num <= 0x10ffff)) return createError(ErrorCode.VALUE, 'Code point out of range');
+  return String.fromCodePoint(num);
+}
+
 /**
  * UPPER - Convert a specified string to uppercase.
  * Example: UPPER("monday.com") => "MONDAY.COM"
@@ -203,17 +444,83 @@ export function UPPER(text) {
   return String(text ?? '').toUpperCase();
 }
 
+/**
+ * VALUE - Converts text that looks like a number to a number.
+ * Accepts thousands separators, currency symbols and percentages, with the
+ * separators of the evaluation locale (this.locale).
+ * Example: VALUE("$1,250.50") => 1250.5
+ * Example: VALUE("15%") => 0.15
+ */
+export function VALUE(text) {
+  if (typeof text === 'number') return text;
+
+  const { decimal, group } = getSeparators(this?.locale ?? null);
+  let str = String(text ?? '').replace(/\s/g, '');
+  if (str === '') return 0;
+
+  const percent = str.endsWith('%');
+  if (percent) str = str.slice(0, -1);
+
+  str = str.replace(/^([+-]?)\p{Sc}/u, '$1').replace(/\p{Sc}$/u, '');
+  str = str.split(group).join('').replace(decimal, '.');
+
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(str)) {
+    return createError(ErrorCode.VALUE, 'Not a number');
+  }
+  return percent ? Number(str) / 100 : Number(str);
+}
+
+/**
+ * Signatures for the text functions
+ */
+export const signatures = {
+  CHAR: defineSignature([N], T),
+  CONCATENATE: defineSignature([A], T, { variadic: true }),
+  FIND: defineSignature([T, T, N], N, { optional: 1 }),
+  LEFT: defineSignature([T, N], T),
+  LEN: defineSignature([T], N),
+  LOWER: defineSignature([T], T),
+  MID: defineSignature([T, N, N], T),
+  PROPER: defineSignature([T], T),
+  REGEXEXTRACT: defineSignature([T, T], T),
+  REGEXMATCH: defineSignature([T, T], B),
+  REGEXREPLACE: defineSignature([T, T, T], T),
+  REPLACE: defineSignature([T, N, N, T], T),
+  REPT: defineSignature([T, N], T),
+  RIGHT: defineSignature([T, N], T),
+  SEARCH: defineSignature([T, T, N], N, { optional: 1 }),
+  SPLIT: defineSignature([T, T, N], A, { optional: 1 }), // Text with an index, else a list
+  SUBSTITUTE: defineSignature([T, T, T, N], T, { optional: 1 }),
+  TEXT: defineSignature([A, T], T),
+  TEXTJOIN: defineSignature([T, B, L], T, { variadic: true }),
+  TRIM: defineSignature([T], T),
+  UNICHAR: defineSignature([N], T),
+  UPPER: defineSignature([T], T),
+  VALUE: defineSignature([A], N),
+};
+
 export default {
+  CHAR,
   CONCATENATE,
+  FIND,
   LEFT,
   LEN,
   LOWER,
+  MID,
+  PROPER,
+  REGEXEXTRACT,
+  REGEXMATCH,
+  REGEXREPLACE,
   REPLACE,
   REPT,
   RIGHT,
   SEARCH,
+  SPLIT,
   SUBSTITUTE,
   TEXT,
+  TEXTJOIN,
   TRIM,
+  UNICHAR,
   UPPER,
+  VALUE,
 };
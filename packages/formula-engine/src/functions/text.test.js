@@ -0,0 +1,183 @@
+/**
+ * Tests for the Text Functions
+ *
+ * Run with: node src/functions/text.test.js
+ *
+ * Table of formulas and their displayed results, evaluated with
+ * evaluateFormula, plus signature checks through validateFormula.
+ */
+
+import { evaluateFormula, validateFormula, hasErrors } from '../index.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const TEXT_CASES = [
+  // [formula, displayed result]
+
+  // MID
+  ['MID("monday.com", 4, 3)', 'day'],
+  ['MID("monday.com", 8, 10)', 'com'],
+  ['MID("monday.com", 20, 2)', ''],
+  ['MID("monday.com", 1, 0)', ''],
+
+  // FIND is case-sensitive, SEARCH is not
+  ['FIND("Day", "monday Day")', '8'],
+  ['SEARCH("Day", "monday Day")', '4'],
+  ['FIND("day", "monday day", 5)', '8'],
+  ['FIND("x", "monday")', '0'],
+
+  // PROPER
+  ['PROPER("hello MONDAY world")', 'Hello Monday World'],
+  ['PROPER("o\'neil-smith 2nd")', 'O\'Neil-Smith 2Nd'],
+  ['PROPER("élan ÉCOLE")', 'Élan École'],
+
+  // VALUE
+  ['VALUE("42")', '42'],
+  ['VALUE(" -3.5 ")', '-3.5'],
+  ['VALUE("$1,250.50")', '1250.5'],
+  ['VALUE("15%")', '0.15'],
+  ['VALUE("1e3")', '1000'],
+  ['VALUE("")', '0'],
+  ['VALUE("12 apples")', '#VALUE!'],
+  ['VALUE("1.2.3")', '#VALUE!'],
+  ['VALUE({text1}) * 2', '20'],
+
+  // CHAR / UNICHAR
+  ['CHAR(65)', 'A'],
+  ['CHAR(233)', 'é'],
+  ['CHAR(0)', '#VALUE!'],
+  ['CHAR(300)', '#VALUE!'],
+  ['UNICHAR(9733)', '★'],
+  ['UNICHAR(128512)', '😀'],
+  ['UNICHAR(1114112)', '#VALUE!'],
+
+  // TEXTJOIN
+  ['TEXTJOIN(", ", TRUE, "a", "", "b")', 'a, b'],
+  ['TEXTJOIN("-", FALSE, "a", "", "b")', 'a--b'],
+  ['TEXTJOIN("/", TRUE, 2024, 1, 15)', '2024/1/15'],
+
+  // SPLIT
+  ['SPLIT("a;b;c", ";", 2)', 'b'],
+  ['SPLIT("a;b;c", ";", -1)', 'c'],
+  ['SPLIT("a;b;c", ";", 4)', ''],
+  ['SPLIT("a; b;c", ";")', 'a, b, c'],
+  ['INDEX(SPLIT("Doe, Jane;Roe, Rick", ";"), 2)', 'Roe, Rick'],
+  ['SUM(SPLIT("1;2;3", ";"))', '6'],
+  ['SORT(SPLIT("b;c;a", ";"))', 'a, b, c'],
+  ['TEXTJOIN(" | ", TRUE, SPLIT("Doe, Jane;Roe, Rick", ";"))', 'Doe, Jane | Roe, Rick'],
+  ['SPLIT("abc", "", 3)', 'c'],
+  ['SPLIT({text2}, " ", 1)', 'Jane'],
+
+  // REGEXMATCH
+  ['REGEXMATCH("ticket-42", "^ticket-\\d+$")', 'true'],
+  ['REGEXMATCH("Ticket-42", "^ticket")', 'false'],
+  ['REGEXMATCH("Ticket-42", "(?i)^ticket")', 'true'],
+  ['IF(REGEXMATCH({text2}, "Doe$"), "yes", "no")', 'yes'],
+
+  // REGEXEXTRACT
+  ['REGEXEXTRACT("Order #1234", "\\d+")', '1234'],
+  ['REGEXEXTRACT("jane@monday.com", "@(.+)$")', 'monday.com'],
+  ['REGEXEXTRACT("no digits", "\\d+")', '#VALUE!'],
+  ['IFERROR(REGEXEXTRACT("no digits", "\\d+"), "none")', 'none'],
+
+  // REGEXREPLACE
+  ['REGEXREPLACE("2024-01-15", "(\\d+)-(\\d+)-(\\d+)", "$3/$2/$1")', '15/01/2024'],
+  ['REGEXREPLACE("a  b   c", "\\s+", " ")', 'a b c'],
+  ['REGEXREPLACE("Monday MONDAY", "(?i)monday", "day")', 'day day'],
+
+  // Invalid patterns are #VALUE!
+  ['REGEXMATCH("abc", "(")', '#VALUE!'],
+  ['REGEXREPLACE("abc", "[", "x")', '#VALUE!'],
+
+  // Patterns that could backtrack exponentially, and too long text, are #VALUE!
+  ['REGEXMATCH("aaaa!", "^(a+)+$")', '#VALUE!'],
+  ['REGEXMATCH("aaaa!", "^(a|aa)*$")', '#VALUE!'],
+  ['REGEXEXTRACT("x1y", "(\\w{1,}\\d?)*")', '#VALUE!'],
+  ['REGEXREPLACE("abab", "(ab)\\1", "x")', '#VALUE!'],
+  ['REGEXMATCH(REPT("a", 10001), "a")', '#VALUE!'],
+  ['REGEXMATCH("ab", "^(ab)+$")', 'true'],
+  ['REGEXMATCH("a+b", "^[(a+)+]+b$")', 'true'],
+  ['REGEXMATCH("aaaa", "^(?:a{2})+$")', 'true'],
+];
+
+const columnValues = new Map([
+  ['text1', '10'],
+  ['text2', 'Jane Doe'],
+]);
+
+function testTextFunctions() {
+  for (const [formula, expected] of TEXT_CASES) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testUnsafeRegex() {
+  console.log('\n=== Test: Nested quantifiers are rejected without running them ===');
+  const start = Date.now();
+  const result = evaluateFormula('REGEXMATCH("aaaaaaaaaaaaaaaaaaaaaaaaaaaa!", "^(a+)+$")', new Map());
+  const elapsed = Date.now() - start;
+  console.log('Result:', result, `(${elapsed} ms)`);
+  console.log('Pass:', result === '#VALUE!' && elapsed < 1000);
+}
+
+function testLocaleValue() {
+  console.log('\n=== Test: VALUE uses the locale separators ===');
+  const context = { locale: 'de-DE' };
+  const german = evaluateFormula('VALUE("1.250,5") + VALUE("3,5 €")', new Map(), { context });
+  const english = evaluateFormula('VALUE("1,250.5")', new Map());
+  console.log('de-DE:', german, 'en-US:', english);
+  console.log('Pass:', german === '1254' && english === '1250.5');
+}
+
+function testSignatures() {
+  const cases = [
+    // [formula, valid]
+    ['MID("abc", 1, 2)', true],
+    ['MID("abc", 1)', false],
+    ['FIND("a", "abc")', true],
+    ['TEXTJOIN(",", TRUE, "a", "b", "c", "d")', true],
+    ['TEXTJOIN(",", TRUE)', false],
+    ['SPLIT("a,b", ",")', true],
+    ['REGEXREPLACE("a", "b")', false],
+    ['UNICHAR(1, 2)', false],
+  ];
+
+  for (const [formula, valid] of cases) {
+    console.log(`\n=== Test: validateFormula(${formula}) ===`);
+    const diagnostics = validateFormula(formula);
+    console.log('Diagnostics:', diagnostics.map(d => d.message));
+    console.log('Pass:', hasErrors(diagnostics) === !valid);
+  }
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Text Function Tests');
+  console.log('========================================');
+
+  try {
+    testTextFunctions();
+    testUnsafeRegex();
+    testLocaleValue();
+    testSignatures();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -5,27 +5,77 @@
 
 // Import for local use
 import { TokenType, Token, Tokenizer, tokenize } from './tokenizer.js';
-import { NodeType, AST, Parser, parse as parseFormula, extractColumnIds } from './parser.js';
-import { Evaluator, evaluate as evalAST, formatResult as format } from './evaluator.js';
-import { extractColumnValue, extractMultipleColumnValues, getColumnTypeFields, parseNumericValues, applyAggregationFunction } from './column-value-extractor.js';
-import { FUNCTIONS, getFunction, getFunctionNames, hasFunction } from './functions/index.js';
+import { NodeType, AST, Parser, parse as parseFormula, extractColumnIds, walkAST } from './parser.js';
+import { Evaluator, AsyncEvaluator, evaluate as evalAST, evaluateAsync, formatResult as format } from './evaluator.js';
+import { extractColumnValue, extractMultipleColumnValues, getColumnTypeFields, getColumnFieldType, extractColumnFields, parseNumericValues, applyAggregationFunction } from './column-value-extractor.js';
+import { FUNCTIONS, SIGNATURES, ValueType, defineSignature, getFunction, getFunctionNames, getSignature, hasFunction, registerFunction, unregisterFunction } from './functions/index.js';
+import { Severity, FormulaSyntaxError } from './diagnostics.js';
+import { validateFormula, hasErrors, formatDiagnostic } from './validator.js';
+import { checkAST } from './checker.js';
+import { getColumnValueType, inferTypes, inferType, inferFormulaType } from './type-inference.js';
+import { compileFormula, clearCompiledFormulas, createLRUCache } from './compiler.js';
+import { ErrorCode, FormulaError, createError, isError, isList, createList, toScalar, createFieldValue, isFieldValue } from './values.js';
+import { printFormula } from './printer.js';
+import { remapColumnRefs } from './column-refs.js';
+import { SpanKind, ValueSource, TraceSpan, createTrace, formatTrace } from './trace.js';
+import { DEFAULT_LOCALE, resolveLocale, getSeparators, formatNumberPattern } from './locale.js';
+import { tokenizeDateFormat, formatDatePattern } from './date-format.js';
+import { DEFAULT_TIME_ZONE, resolveTimeZone, getZonedParts, zonedTimeToDate, parseZonedDate } from './timezone.js';
+import { Weekday, EvaluationContext, createEvaluationContext } from './context.js';
+import { DEFAULT_WEEKEND, parseWeekend, parseHolidayCalendar, loadHolidayCalendar } from './work-calendar.js';
 
 // Re-export tokenizer
 export { TokenType, Token, Tokenizer, tokenize };
 
 // Re-export parser
-export { NodeType, AST, Parser, extractColumnIds };
+export { NodeType, AST, Parser, extractColumnIds, walkAST };
 export const parse = parseFormula;
 
+// Re-export printer
+export { printFormula };
+
+// Re-export column reference rewriting
+export { remapColumnRefs };
+
 // Re-export evaluator
-export { Evaluator, formatResult } from './evaluator.js';
+export { Evaluator, AsyncEvaluator, evaluateAsync, formatResult } from './evaluator.js';
 export const evaluate = evalAST;
 
+// Re-export value model
+export { ErrorCode, FormulaError, createError, isError, isList, createList, toScalar, createFieldValue, isFieldValue };
+
+// Re-export evaluation trace
+export { SpanKind, ValueSource, TraceSpan, createTrace, formatTrace };
+
+// Re-export locale formatting
+export { DEFAULT_LOCALE, resolveLocale, getSeparators, formatNumberPattern };
+
+// Re-export date formatting
+export { tokenizeDateFormat, formatDatePattern };
+
+// Re-export time zones
+export { DEFAULT_TIME_ZONE, resolveTimeZone, getZonedParts, zonedTimeToDate, parseZonedDate };
+
+// Re-export evaluation context
+export { Weekday, EvaluationContext, createEvaluationContext };
+
+// Re-export work calendars
+export { DEFAULT_WEEKEND, parseWeekend, parseHolidayCalendar, loadHolidayCalendar };
+
 // Re-export column value extractor
-export { extractColumnValue, extractMultipleColumnValues, getColumnTypeFields, parseNumericValues, applyAggregationFunction };
+export { extractColumnValue, extractMultipleColumnValues, getColumnTypeFields, getColumnFieldType, extractColumnFields, parseNumericValues, applyAggregationFunction };
 
 // Re-export functions
-export { FUNCTIONS, getFunction, getFunctionNames, hasFunction };
+export { FUNCTIONS, SIGNATURES, ValueType, defineSignature, getFunction, getFunctionNames, getSignature, hasFunction, registerFunction, unregisterFunction };
+
+// Re-export diagnostics and validation
+export { Severity, FormulaSyntaxError, validateFormula, hasErrors, formatDiagnostic, checkAST };
+
+// Re-export type inference
+export { getColumnValueType, inferTypes, inferType, inferFormulaType };
+
+// Re-export compiler
+export { compileFormula, clearCompiledFormulas, createLRUCache };
 
 // Re-export resolver (recursive column value resolution)
 export {
@@ -35,28 +85,52 @@ export {
   resolveValues,
   createSchemaCache,
   createSimpleCache,
+  inferColumnType,
+  buildDependencyGraph,
+  EdgeKind,
 } from './resolver/index.js';
 
+/**
+ * Builds the evaluation context of evaluateFormula and evaluateFormulaAsync.
+ * The locale, timeZone and clock options they took before evaluation contexts
+ * are still accepted, and replace the same settings of the context.
+ */
+function toEvaluationContext(context, { locale, timeZone, clock }) {
+  const evaluationContext = createEvaluationContext(context);
+  const legacy = Object.entries({ locale, timeZone, clock }).filter(([, value]) => value !== undefined && value !== null);
+  return legacy.length > 0 ? evaluationContext.with(Object.fromEntries(legacy)) : evaluationContext;
+}
+
 /**
  * All-in-one function to evaluate a formula string with column values.
+ * The formula is compiled once and cached, so repeated calls skip parsing.
  * @param {string} formula - The formula string to evaluate.
  * @param {Map<string, any>} columnValues - Map of columnId -> value.
+ * @param {Object} [options]
+ * @param {EvaluationContext|Object} [options.context] - Clock, time zone, locale, week start,
+ *   weekend, holidays, random seed and function overrides (see createEvaluationContext). The locale also formats
+ *   the result.
+ * @param {string} [options.locale] - Deprecated, use context.locale (replaces it when given)
+ * @param {string|Object} [options.timeZone] - Deprecated, use context.timeZone (replaces it when given)
+ * @param {Function} [options.clock] - Deprecated, use context.clock (replaces it when given)
  * @returns {string} The evaluated result as a display string.
  */
-export function evaluateFormula(formula, columnValues) {
+export function evaluateFormula(formula, columnValues, { context = null, locale, timeZone, clock } = {}) {
   if (!formula || typeof formula !== 'string') {
     return '';
   }
 
   try {
-    // Parse the formula to AST
-    const ast = parseFormula(formula);
+    const evaluationContext = toEvaluationContext(context, { locale, timeZone, clock });
+
+    // Compile (or reuse) the formula
+    const compiled = compileFormula(formula);
 
-    // Evaluate the AST
-    const result = evalAST(ast, columnValues);
+    // Evaluate the compiled formula
+    const result = compiled.evaluate(columnValues, evaluationContext);
 
     // Format the result
-    const displayValue = format(result);
+    const displayValue = format(result, evaluationContext);
 
     return displayValue;
   } catch (err) {
@@ -65,6 +139,37 @@ export function evaluateFormula(formula, columnValues) {
   }
 }
 
+/**
+ * Evaluates a formula string, resolving column values on demand.
+ * Only columns reached during evaluation are requested (e.g. only the taken IF branch).
+ * @param {string} formula - The formula string to evaluate.
+ * @param {Function} resolveColumn - async (columnId, span) => value
+ * @param {Object} [options]
+ * @param {TraceSpan} [options.trace] - Span (see createTrace) to record the evaluation under
+ * @param {EvaluationContext|Object} [options.context] - Clock, time zone, locale, week start,
+ *   weekend, holidays, random seed and function overrides (see createEvaluationContext). The locale also formats
+ *   the result.
+ * @param {string} [options.locale] - Deprecated, use context.locale (replaces it when given)
+ * @param {string|Object} [options.timeZone] - Deprecated, use context.timeZone (replaces it when given)
+ * @param {Function} [options.clock] - Deprecated, use context.clock (replaces it when given)
+ * @returns {Promise<string>} The evaluated result as a display string.
+ */
+export async function evaluateFormulaAsync(formula, resolveColumn, { trace = null, context = null, locale, timeZone, clock } = {}) {
+  if (!formula || typeof formula !== 'string') {
+    return '';
+  }
+
+  try {
+    const compiled = compileFormula(formula);
+    const evaluationContext = toEvaluationContext(context, { locale, timeZone, clock });
+    const result = await evaluateAsync(compiled.ast, resolveColumn, { trace, context: evaluationContext });
+    return format(result, evaluationContext);
+  } catch (err) {
+    console.error('Error evaluating formula:', err.message);
+    return '';
+  }
+}
+
 // Import resolver for default export
 import {
   resolveColumnValue,
@@ -73,6 +178,9 @@ import {
   resolveValues,
   createSchemaCache,
   createSimpleCache,
+  inferColumnType,
+  buildDependencyGraph,
+  EdgeKind,
 } from './resolver/index.js';
 
 export default {
@@ -88,27 +196,110 @@ export default {
   Parser,
   parse: parseFormula,
   extractColumnIds,
+  walkAST,
+
+  // Printer
+  printFormula,
+
+  // Column reference rewriting
+  remapColumnRefs,
 
   // Evaluator
   Evaluator,
+  AsyncEvaluator,
   evaluate: evalAST,
+  evaluateAsync,
   formatResult: format,
 
+  // Values
+  ErrorCode,
+  FormulaError,
+  createError,
+  isError,
+  isList,
+  createList,
+  toScalar,
+  createFieldValue,
+  isFieldValue,
+
+  // Evaluation trace
+  SpanKind,
+  ValueSource,
+  TraceSpan,
+  createTrace,
+  formatTrace,
+
+  // Locale formatting
+  DEFAULT_LOCALE,
+  resolveLocale,
+  getSeparators,
+  formatNumberPattern,
+
+  // Date formatting
+  tokenizeDateFormat,
+  formatDatePattern,
+
+  // Time zones
+  DEFAULT_TIME_ZONE,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  parseZonedDate,
+
+  // Evaluation context
+  Weekday,
+  EvaluationContext,
+  createEvaluationContext,
+
+  // Work calendars
+  DEFAULT_WEEKEND,
+  parseWeekend,
+  parseHolidayCalendar,
+  loadHolidayCalendar,
+
   // Column value extractor
   extractColumnValue,
   extractMultipleColumnValues,
   getColumnTypeFields,
+  getColumnFieldType,
+  extractColumnFields,
   parseNumericValues,
   applyAggregationFunction,
 
   // Functions
   FUNCTIONS,
+  SIGNATURES,
+  ValueType,
+  defineSignature,
   getFunction,
   getFunctionNames,
+  getSignature,
   hasFunction,
+  registerFunction,
+  unregisterFunction,
+
+  // Diagnostics
+  Severity,
+  FormulaSyntaxError,
+  validateFormula,
+  hasErrors,
+  formatDiagnostic,
+  checkAST,
+
+  // Type inference
+  getColumnValueType,
+  inferTypes,
+  inferType,
+  inferFormulaType,
+
+  // Compiler
+  compileFormula,
+  clearCompiledFormulas,
+  createLRUCache,
 
   // All-in-one formula evaluation
   evaluateFormula,
+  evaluateFormulaAsync,
 
   // Recursive resolver (NEW)
   resolveColumnValue,
@@ -117,4 +308,7 @@ export default {
   resolveValues,
   createSchemaCache,
   createSimpleCache,
+  inferColumnType,
+  buildDependencyGraph,
+  EdgeKind,
 };
@@ -0,0 +1,212 @@
+/**
+ * Tests for LET
+ *
+ * Run with: node src/let.test.js
+ *
+ * These tests check LET(name, value, ..., calculation): scoping and shadowing,
+ * that each value is computed once and only when used, in the sync evaluator,
+ * compiled formulas and the async evaluator, and how LET is validated,
+ * printed and typed.
+ */
+
+import {
+  evaluateFormula, evaluateAsync, compileFormula, parse, printFormula, validateFormula,
+  hasErrors, inferFormulaType, registerFunction, createEvaluationContext, walkAST, NodeType,
+} from './index.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const columnValues = new Map([
+  ['price', 20],
+  ['quantity', 3],
+  ['status', 'Done'],
+]);
+
+const LET_CASES = [
+  // [formula, displayed result]
+  ['LET(x, 2, x * 3)', '6'],
+  ['LET(total, {price} * {quantity}, IF(total > 50, total * 0.9, total))', '54'],
+  ['let(Total, {price}, TOTAL + total)', '40'],
+  ['LET(net, {price} * {quantity}, tax, net * 0.2, net + tax)', '72'],
+  ['LET(x, 1, y, LET(x, x + 1, x * 10), x + y)', '21'],
+  ['LET(x, 1, LET(x, "inner", x) & x)', 'inner1'],
+  ['LET(done, {status} = "Done", IF(done, "yes", "no"))', 'yes'],
+  ['LET(sum, 5, SUM(sum, 1))', '6'],
+  ['LET(pi, 3, pi + PI())', '6.141593'],
+  ['LET(x, 1 / 0, IFERROR(x, "none"))', 'none'],
+  ['LET(x, 1 / 0, 5)', '5'],
+  ['LET(x, "a", y, x & "b", z, y & "c", z)', 'abc'],
+  ['SUM(LET(x, 2, x), LET(x, 3, x))', '5'],
+];
+
+function testLet() {
+  for (const [formula, expected] of LET_CASES) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, columnValues);
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+async function testComputedOnce() {
+  let calls = 0;
+  const context = createEvaluationContext({
+    functions: {
+      SLOW_RATE: () => {
+        calls += 1;
+        return 0.5;
+      },
+    },
+  });
+  const formula = 'LET(rate, SLOW_RATE(), unused, SLOW_RATE(), {price} * rate + rate)';
+
+  console.log('\n=== Test: Values are computed once (sync) ===');
+  const result = evaluateFormula(formula, columnValues, { context });
+  console.log('Result:', result, 'Calls:', calls);
+  console.log('Pass:', result === '10.5' && calls === 1);
+
+  console.log('\n=== Test: Values are computed once (compiled) ===');
+  calls = 0;
+  const compiled = compileFormula(formula);
+  const first = compiled.evaluate(columnValues, context);
+  const second = compiled.evaluate(columnValues, context);
+  console.log('Results:', first, second, 'Calls:', calls);
+  console.log('Pass:', first === 10.5 && second === 10.5 && calls === 2);
+
+  console.log('\n=== Test: Values are computed once (async) ===');
+  calls = 0;
+  const value = await evaluateAsync(parse(formula), async (columnId) => columnValues.get(columnId), { context });
+  console.log('Result:', value, 'Calls:', calls);
+  console.log('Pass:', value === 10.5 && calls === 1);
+}
+
+async function testLazyColumns() {
+  const formula = 'LET(big, {quantity} > 1, rush, {status}, IF(big, "bulk", rush))';
+
+  console.log('\n=== Test: Unused values never resolve their columns ===');
+  const requested = [];
+  const value = await evaluateAsync(parse(formula), async (columnId) => {
+    requested.push(columnId);
+    return columnValues.get(columnId);
+  });
+  console.log('Result:', value, 'Requested:', requested);
+  console.log('Pass:', value === 'bulk' && requested.join(',') === 'quantity');
+
+  console.log('\n=== Test: Dependencies include every bound value ===');
+  const { dependencies } = compileFormula(formula);
+  console.log('Dependencies:', dependencies);
+  console.log('Pass:', dependencies.join(',') === 'quantity,status');
+}
+
+function testValidation() {
+  const cases = [
+    // [formula, valid]
+    ['LET(x, 1, x + 1)', true],
+    ['LET(net, {price}, tax, net * 0.2, ROUND(net + tax, 2))', true],
+    ['LET(x, 1, y, 2)', false],
+    ['LET(x, 1)', false],
+    ['LET(x)', false],
+    ['LET(1, 2, 3)', false],
+    ['LET(x, 1, x, 2, x)', false],
+    ['LET(x, 1, LEN(x, 2))', false],
+    ['LET(x, y, 1)', false],
+    ['LET(x, 1, x) + x', false],
+  ];
+
+  for (const [formula, valid] of cases) {
+    console.log(`\n=== Test: validateFormula(${formula}) ===`);
+    const diagnostics = validateFormula(formula);
+    console.log('Diagnostics:', diagnostics.map(d => d.message));
+    console.log('Pass:', hasErrors(diagnostics) === !valid);
+  }
+
+  console.log('\n=== Test: LET cannot be registered as a function ===');
+  let message = null;
+  try {
+    registerFunction('LET', () => 0);
+  } catch (err) {
+    message = err.message;
+  }
+  console.log('Error:', message);
+  console.log('Pass:', message !== null);
+}
+
+function testPrintAndTypes() {
+  console.log('\n=== Test: LET prints back to the same tree ===');
+  const formula = 'let(net, ({price} * {quantity}), net + (net * 0.2))';
+  const printed = printFormula(parse(formula));
+  console.log('Printed:', printed);
+  console.log('Pass:', printed === 'LET(NET, {price} * {quantity}, NET + NET * 0.2)' && printFormula(parse(printed)) === printed);
+
+  console.log('\n=== Test: Pretty-printed LET ===');
+  const pretty = printFormula(parse('LET(subtotal, {price} * {quantity}, discount, IF(subtotal > 50, 0.1, 0), subtotal * (1 - discount))'), { pretty: true });
+  console.log(pretty);
+  console.log('Pass:', pretty.split('\n').length === 7 && pretty.includes('\n  SUBTOTAL,\n'));
+
+  const cases = [
+    // [formula, type]
+    ['LET(x, {price}, x * 2)', 'number'],
+    ['LET(x, "a", x)', 'text'],
+    ['LET(x, 1, LET(x, "a", x))', 'text'],
+    ['LET(x, {price} > 1, x)', 'boolean'],
+    ['LET(x, {price}, y, x > 1, y)', 'boolean'],
+  ];
+
+  for (const [formula, type] of cases) {
+    console.log(`\n=== Test: inferFormulaType(${formula}) ===`);
+    const result = inferFormulaType(formula, { price: 'numbers' });
+    console.log('Result:', result);
+    console.log('Pass:', result === type);
+  }
+}
+
+function testWalkAST() {
+  console.log('\n=== Test: walkAST visits nodes in formula order with the names in scope ===');
+  const ast = parse('LET(x, {a}, y, x + {b}, IF(y > 0, {c#f}, -x))');
+  const entered = [];
+  const left = [];
+  const names = [];
+  walkAST(ast, {
+    enter: (node) => entered.push(node.type === NodeType.COLUMN_REF ? node.columnId : node.name ?? node.operator ?? node.value ?? node.type),
+    leave: (node, scope) => {
+      left.push(node.type);
+      if (node.type === NodeType.NAME) names.push(`${node.name}=${printFormula(scope.get(node.name))}`);
+    },
+  });
+  console.log('Entered:', entered.join(' '));
+  console.log('Names:', names.join(', '));
+  console.log('Pass:', entered.join(' ') === 'LET a + X b IF > Y 0 c - X'
+    && names.join(', ') === 'X={a}, Y=X + {b}, X={a}'
+    && left[left.length - 1] === NodeType.LET && left.length === entered.length);
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('LET Tests');
+  console.log('========================================');
+
+  try {
+    testLet();
+    await testComputedOnce();
+    await testLazyColumns();
+    testValidation();
+    testPrintAndTypes();
+    testWalkAST();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
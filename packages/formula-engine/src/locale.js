@@ -0,0 +1,195 @@
+/**
+ * Locale Formatting
+ * Locale-aware number and date formatting built on Intl, used by formatResult
+ * and the TEXT function.
+ *
+ * Formats are cached per locale and options, since creating Intl formatters
+ * is much slower than using them.
+ */
+
+import logger from './logger.js';
+import { DEFAULT_TIME_ZONE, getZonedParts } from './timezone.js';
+
+const TAG = 'formula_locale';
+
+/**
+ * Locale used when none is given
+ */
+export const DEFAULT_LOCALE = 'en-US';
+
+const resolvedLocales = new Map(); // requested locale -> locale to use
+const numberFormats = new Map(); // `${locale}|${options}` -> Intl.NumberFormat
+const dateFormats = new Map();   // `${locale}|${options}` -> Intl.DateTimeFormat
+
+/**
+ * Returns a supported, canonical locale tag, falling back to DEFAULT_LOCALE.
+ * @param {string|null} [locale] - BCP 47 locale tag, e.g. 'de-DE' or 'he-IL'.
+ * @returns {string} The locale to use.
+ */
+export function resolveLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+
+  if (!resolvedLocales.has(locale)) {
+    let resolved = DEFAULT_LOCALE;
+    try {
+      resolved = Intl.getCanonicalLocales(locale)[0] || DEFAULT_LOCALE;
+    } catch (err) {
+      logger.warn('Invalid locale, using default', TAG, { locale, fallback: DEFAULT_LOCALE });
+    }
+    resolvedLocales.set(locale, resolved);
+  }
+  return resolvedLocales.get(locale);
+}
+
+/**
+ * Gets a cached Intl.NumberFormat.
+ * @param {string|null} locale - Locale tag.
+ * @param {Object} [options] - Intl.NumberFormat options.
+ * @returns {Intl.NumberFormat} The formatter.
+ */
+export function getNumberFormat(locale, options = {}) {
+  const resolved = resolveLocale(locale);
+  const key = `${resolved}|${JSON.stringify(options)}`;
+
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(resolved, options));
+  }
+  return numberFormats.get(key);
+}
+
+/**
+ * Gets a cached Intl.DateTimeFormat.
+ * @param {string|null} locale - Locale tag.
+ * @param {Object} [options] - Intl.DateTimeFormat options.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ */
+export function getDateFormat(locale, options = {}) {
+  const resolved = resolveLocale(locale);
+  const key = `${resolved}|${JSON.stringify(options)}`;
+
+  if (!dateFormats.has(key)) {
+    dateFormats.set(key, new Intl.DateTimeFormat(resolved, options));
+  }
+  return dateFormats.get(key);
+}
+
+/**
+ * Gets the decimal and thousands separators of a locale.
+ * Example: getSeparators('de-DE') => { decimal: ',', group: '.' }
+ * @param {string|null} locale - Locale tag.
+ * @returns {{decimal: string, group: string}} The separators.
+ */
+export function getSeparators(locale) {
+  const parts = getNumberFormat(locale).formatToParts(12345.6);
+  return {
+    decimal: parts.find(p => p.type === 'decimal')?.value ?? '.',
+    group: parts.find(p => p.type === 'group')?.value ?? ',',
+  };
+}
+
+/**
+ * Gets the symbol a locale uses for a currency.
+ * Example: getCurrencySymbol('EUR', 'de-DE') => '€'
+ * @param {string} currency - ISO 4217 currency code.
+ * @param {string|null} locale - Locale tag.
+ * @returns {string} The currency symbol (the code itself if unknown).
+ */
+export function getCurrencySymbol(currency, locale) {
+  try {
+    const parts = getNumberFormat(locale, { style: 'currency', currency }).formatToParts(0);
+    return parts.find(p => p.type === 'currency')?.value ?? currency;
+  } catch (err) {
+    return currency;
+  }
+}
+
+/**
+ * Formats a number for display in a locale, without thousands separators.
+ * Example: formatNumber(1234.5, 'de-DE') => '1234,5'
+ * @param {number} value - The number.
+ * @param {string|null} locale - Locale tag.
+ * @param {number} [maxDecimals=6] - Maximum number of decimals.
+ * @returns {string} The formatted number.
+ */
+export function formatNumber(value, locale, maxDecimals = 6) {
+  return getNumberFormat(locale, { maximumFractionDigits: maxDecimals, useGrouping: false }).format(value);
+}
+
+/**
+ * Formats a date (its calendar day in a time zone) for display in a locale.
+ * Without a locale the date is ISO (YYYY-MM-DD).
+ * Example: formatDate(new Date('2024-01-31'), 'de-DE') => '31.01.2024'
+ * @param {Date} date - The date.
+ * @param {string|null} locale - Locale tag.
+ * @param {string} [timeZone='UTC'] - IANA time zone.
+ * @returns {string} The formatted date.
+ */
+export function formatDate(date, locale, timeZone = DEFAULT_TIME_ZONE) {
+  if (!locale) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+  return getDateFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone }).format(date);
+}
+
+/**
+ * Formats a number with a spreadsheet-style pattern, e.g. "#,##0.00", "0.0%"
+ * or "[$EUR] #,##0". Patterns are always written with ',' for thousands and
+ * '.' for decimals; the output uses the locale's separators.
+ *
+ * - 0 / #   required / optional digits ("0.0#" shows 1 or 2 decimals)
+ * - ,       thousands separators
+ * - %       multiplies by 100 and shows the locale's percent sign
+ * - [$XXX]  the locale's symbol for currency XXX (ISO 4217 code)
+ * Any other text before or after the number is copied as-is ("$#,##0").
+ *
+ * @param {number} value - The number.
+ * @param {string} pattern - The format pattern.
+ * @param {string|null} locale - Locale tag.
+ * @returns {string} The formatted number.
+ */
+export function formatNumberPattern(value, pattern, locale) {
+  // Replace currency codes with the locale's symbol
+  const format = pattern.replace(/\[\$([A-Za-z]{3})\]/g, (_, code) => getCurrencySymbol(code.toUpperCase(), locale));
+
+  const numberMatch = format.match(/[#0][#0,]*(\.[#0]+)?/);
+  if (!numberMatch) return format;
+
+  const prefix = format.slice(0, numberMatch.index);
+  const suffix = format.slice(numberMatch.index + numberMatch[0].length);
+  const numberPart = numberMatch[0];
+
+  const decimalPart = numberMatch[1] ? numberMatch[1].slice(1) : '';
+  const minimumFractionDigits = (decimalPart.match(/0/g) || []).length;
+  const maximumFractionDigits = decimalPart.length;
+
+  const isPercent = (prefix + suffix).includes('%');
+  const formatted = getNumberFormat(locale, {
+    minimumFractionDigits,
+    maximumFractionDigits,
+    useGrouping: numberPart.includes(','),
+  }).format(isPercent ? value * 100 : value);
+
+  if (!isPercent) {
+    return prefix + formatted + suffix;
+  }
+
+  // Use the locale's percent sign (and spacing, e.g. "12,5 %" in de-DE)
+  const percentSign = getNumberFormat(locale, { style: 'percent' }).formatToParts(0)
+    .filter(p => p.type === 'percentSign' || (p.type === 'literal' && /\s/.test(p.value)))
+    .map(p => p.value)
+    .join('');
+  return prefix + formatted + suffix.replace('%', percentSign || '%');
+}
+
+export default {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  getNumberFormat,
+  getDateFormat,
+  getSeparators,
+  getCurrencySymbol,
+  formatNumber,
+  formatDate,
+  formatNumberPattern,
+};
@@ -0,0 +1,133 @@
+/**
+ * Tests for Locale Formatting
+ *
+ * Run with: node src/locale.test.js
+ *
+ * These tests check locale-aware separators, currency symbols, percent and
+ * date formats in formatResult and TEXT, and that results without a locale
+ * are unchanged.
+ */
+
+import { evaluateFormula, evaluateFormulaAsync, formatResult } from './index.js';
+import { getSeparators, getCurrencySymbol, resolveLocale, DEFAULT_LOCALE } from './locale.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const NBSP = '\u00a0';
+
+const TEXT_CASES = [
+  // [formula, locale, expected]
+  ['TEXT(8500.6, "$#,##0.00")', null, '$8,500.60'],
+  ['TEXT(8500.6, "$#,##0.00")', 'en-US', '$8,500.60'],
+  ['TEXT(8500.6, "$#,##0.00")', 'de-DE', '$8.500,60'],
+  ['TEXT(8500.6, "$#,##0.00")', 'he-IL', '$8,500.60'],
+  ['TEXT(1234567.891, "[$EUR] #,##0.00")', 'de-DE', '€ 1.234.567,89'],
+  ['TEXT(1234.5, "[$ILS]#,##0")', 'he-IL', '₪1,235'],
+  ['TEXT(1234.5, "#,##0 [$usd]")', 'en-US', '1,235 $'],
+  ['TEXT(0.125, "0.0%")', null, '12.5%'],
+  ['TEXT(0.125, "0.0%")', 'de-DE', `12,5${NBSP}%`],
+  ['TEXT(0.5, "0%")', 'he-IL', '50%'],
+  ['TEXT(2, "0.0#")', 'de-DE', '2,0'],
+  ['TEXT(2.345, "0.0#")', 'de-DE', '2,35'],
+  ['TEXT(1234.5, "0")', 'de-DE', '1235'],
+  ['TEXT("abc", "#,##0")', 'de-DE', 'abc'],
+];
+
+function testText() {
+  for (const [formula, locale, expected] of TEXT_CASES) {
+    console.log(`\n=== Test: ${formula} in ${locale ?? 'no locale'} ===`);
+    const result = evaluateFormula(formula, new Map(), { context: { locale } });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testFormatResult() {
+  const date = new Date('2024-01-31T00:00:00Z');
+  const cases = [
+    // [value, locale, expected]
+    [1234.5, null, '1234.5'],
+    [1234.5, 'en-US', '1234.5'],
+    [1234.5, 'de-DE', '1234,5'],
+    [1 / 3, 'de-DE', '0,333333'],
+    [42, 'de-DE', '42'],
+    [date, null, '2024-01-31'],
+    [date, 'en-US', '01/31/2024'],
+    [date, 'de-DE', '31.01.2024'],
+    [date, 'he-IL', '31.01.2024'],
+    [true, 'de-DE', 'true'],
+    ['1.5', 'de-DE', '1.5'],
+  ];
+
+  for (const [value, locale, expected] of cases) {
+    console.log(`\n=== Test: formatResult(${String(value)}) in ${locale ?? 'no locale'} ===`);
+    const result = formatResult(value, { locale });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+async function testEvaluateWithLocale() {
+  console.log('\n=== Test: Formula result uses the locale ===');
+  const columnValues = new Map([['numbers1', 10], ['numbers2', 4]]);
+  const result = evaluateFormula('{numbers1} / {numbers2}', columnValues, { context: { locale: 'de-DE' } });
+  const asyncResult = await evaluateFormulaAsync('TEXT({numbers1} * 1000, "#,##0.00")',
+    async (columnId) => columnValues.get(columnId), { context: { locale: 'de-DE' } });
+  console.log('Result:', result, 'Async:', asyncResult);
+  console.log('Pass:', result === '2,5' && asyncResult === '10.000,00');
+
+  console.log('\n=== Test: Compiled formula is shared across locales ===');
+  const english = evaluateFormula('{numbers1} / {numbers2}', columnValues, { context: { locale: 'en-US' } });
+  const german = evaluateFormula('{numbers1} / {numbers2}', columnValues, { context: { locale: 'de-DE' } });
+  console.log('Result:', english, german);
+  console.log('Pass:', english === '2.5' && german === '2,5');
+}
+
+function testLocaleHelpers() {
+  console.log('\n=== Test: Separators ===');
+  const german = getSeparators('de-DE');
+  const english = getSeparators('en-US');
+  console.log('de-DE:', german, 'en-US:', english);
+  console.log('Pass:', german.decimal === ',' && german.group === '.' && english.decimal === '.' && english.group === ',');
+
+  console.log('\n=== Test: Currency symbols ===');
+  const symbols = [getCurrencySymbol('EUR', 'de-DE'), getCurrencySymbol('ILS', 'he-IL'), getCurrencySymbol('XYZ1', 'en-US')];
+  console.log('Symbols:', symbols);
+  console.log('Pass:', symbols[0] === '€' && symbols[1] === '₪' && symbols[2] === 'XYZ1');
+
+  console.log('\n=== Test: Invalid locale falls back to default ===');
+  const resolved = resolveLocale('not a locale!');
+  const result = evaluateFormula('TEXT(1234.5, "#,##0.0")', new Map(), { context: { locale: 'not a locale!' } });
+  console.log('Resolved:', resolved, 'Result:', result);
+  console.log('Pass:', resolved === DEFAULT_LOCALE && result === '1,234.5');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Locale Formatting Tests');
+  console.log('========================================');
+
+  try {
+    testText();
+    testFormatResult();
+    await testEvaluateWithLocale();
+    testLocaleHelpers();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -5,6 +5,7 @@
 
 import logger from './logger.js';
 import { TokenType, tokenize } from './tokenizer.js';
+import { Severity, createDiagnostic, FormulaSyntaxError } from './diagnostics.js';
 
 const TAG = 'formula_parser_ast';
 
@@ -16,19 +17,45 @@ export const NodeType = {
   COLUMN_REF: 'COLUMN_REF',     // {column_id}
   FUNCTION_CALL: 'FUNCTION_CALL', // SUM(...), IF(...)
   BINARY_OP: 'BINARY_OP',       // a + b, a > b
-  UNARY_OP: 'UNARY_OP',         // -a
+  UNARY_OP: 'UNARY_OP',         // -a, +a, !a
+  LET: 'LET',                   // LET(name, value, ..., calculation)
+  NAME: 'NAME',                 // A name bound by LET
 };
 
 /**
- * Operator precedence (higher = binds tighter)
+ * Binary operator precedence (higher = binds tighter), as in monday formulas:
+ * comparisons < & < + - < * / % < ^. Prefix operators (-, +, !) bind tighter
+ * than all of them, so -2 ^ 2 is 4.
  */
-const PRECEDENCE = {
+export const PRECEDENCE = {
   '<': 1, '>': 1, '=': 1, '<=': 1, '>=': 1, '<>': 1,
-  '+': 2, '-': 2,
-  '*': 3, '/': 3, '%': 3,
-  '&': 4, // String concatenation
+  '&': 2, // String concatenation
+  '+': 3, '-': 3,
+  '*': 4, '/': 4, '%': 4,
+  '^': 5, // Exponent
 };
 
+/**
+ * Right-associative binary operators (2 ^ 3 ^ 2 is 2 ^ (3 ^ 2)).
+ * All other operators are left-associative, so 1 < 2 < 3 is (1 < 2) < 3.
+ */
+export const RIGHT_ASSOCIATIVE = new Set(['^']);
+
+/**
+ * Prefix (unary) operators
+ */
+const PREFIX_OPERATORS = new Set(['-', '+', '!']);
+
+/**
+ * Functions that are commonly written without parentheses (e.g. TODAY, PI)
+ */
+const PAREN_OPTIONAL = new Set(['TRUE', 'FALSE', 'PI', 'TODAY', 'NOW']);
+
+/**
+ * Names the parser reads as syntax rather than as function calls
+ */
+export const KEYWORDS = new Set(['LET']);
+
 /**
  * AST Node factory functions
  */
@@ -58,15 +85,57 @@ export const AST = {
   unaryOp(operator, operand) {
     return { type: NodeType.UNARY_OP, operator, operand };
   },
+
+  let(bindings, body) {
+    return { type: NodeType.LET, bindings, body };
+  },
+
+  name(name) {
+    return { type: NodeType.NAME, name };
+  },
 };
 
 /**
  * Parser class - converts tokens to AST
  */
 export class Parser {
-  constructor(tokens) {
+  /**
+   * @param {Token[]} tokens - Tokens produced by the tokenizer.
+   * @param {string} [formula] - Source text, used to quote offending tokens in diagnostics.
+   */
+  constructor(tokens, formula = '') {
     this.tokens = tokens || [];
+    this.formula = formula;
     this.pos = 0;
+    this.diagnostics = [];
+    this.names = [];         // Names bound by the enclosing LETs, innermost last
+    this.nameTokens = [];    // Tokens read as LET names rather than function names
+  }
+
+  /**
+   * Returns the source text of a token.
+   */
+  tokenText(token) {
+    if (!token || token.type === TokenType.EOF) return null;
+    if (this.formula) return this.formula.slice(token.position, token.end);
+    return token.value === null || token.value === undefined ? null : String(token.value);
+  }
+
+  /**
+   * Attaches a source range (start inclusive, end exclusive) to an AST node.
+   */
+  located(node, start, end) {
+    node.start = start;
+    node.end = end;
+    return node;
+  }
+
+  /**
+   * Creates a syntax error located at the given token.
+   */
+  errorAt(token, message) {
+    const start = token?.position ?? 0;
+    return new FormulaSyntaxError(message, start, token?.end ?? start, this.tokenText(token));
   }
 
   /**
@@ -96,7 +165,7 @@ export class Parser {
   expect(type, message) {
     if (!this.check(type)) {
       const token = this.peek();
-      throw new Error(`${message}. Got ${token?.type} at position ${token?.position}`);
+      throw this.errorAt(token, `${message}. Got ${token?.type} at position ${token?.position}`);
     }
     return this.advance();
   }
@@ -118,6 +187,20 @@ export class Parser {
       logger.warn('Unexpected tokens remaining after parse', TAG, {
         remaining: remaining?.toString()
       });
+
+      const message = remaining.type === TokenType.RPAREN
+        ? "Unmatched ')'"
+        : `Unexpected ${this.tokenText(remaining)} after end of expression`;
+      const last = remaining.type === TokenType.RPAREN
+        ? remaining
+        : this.tokens[this.tokens.length - 2] || remaining;
+      this.diagnostics.push(createDiagnostic(
+        Severity.ERROR,
+        message,
+        remaining.position,
+        last.end,
+        this.tokenText(remaining)
+      ));
     }
 
     return result;
@@ -127,7 +210,7 @@ export class Parser {
    * Parses an expression (handles binary operators with precedence).
    */
   parseExpression(minPrecedence = 0) {
-    let left = this.parsePrimary();
+    let left = this.parseUnary();
 
     while (this.check(TokenType.OPERATOR)) {
       const op = this.peek().value;
@@ -138,13 +221,37 @@ export class Parser {
       }
 
       this.advance(); // Consume operator
-      const right = this.parseExpression(precedence + 1);
-      left = AST.binaryOp(op, left, right);
+      const nextPrecedence = RIGHT_ASSOCIATIVE.has(op) ? precedence : precedence + 1;
+      const right = this.parseExpression(nextPrecedence);
+      left = this.located(AST.binaryOp(op, left, right), left.start, right.end);
     }
 
     return left;
   }
 
+  /**
+   * Parses a prefix operator expression: -x, +x, !x.
+   * A minus directly before a number is folded into a negative literal.
+   */
+  parseUnary() {
+    const token = this.peek();
+
+    if (token?.type !== TokenType.OPERATOR || !PREFIX_OPERATORS.has(token.value)) {
+      return this.parsePrimary();
+    }
+
+    this.advance();
+
+    const next = this.peek();
+    if (token.value === '-' && next?.type === TokenType.NUMBER) {
+      this.advance();
+      return this.located(AST.literal(-next.value, 'number'), token.position, next.end);
+    }
+
+    const operand = this.parseUnary();
+    return this.located(AST.unaryOp(token.value, operand), token.position, operand.end);
+  }
+
   /**
    * Parses a primary expression (literals, column refs, function calls).
    */
@@ -152,25 +259,36 @@ export class Parser {
     const token = this.peek();
 
     if (!token || token.type === TokenType.EOF) {
-      return AST.literal('');
+      const position = token?.position ?? 0;
+      this.diagnostics.push(createDiagnostic(
+        Severity.ERROR,
+        'Unexpected end of formula, expected an expression',
+        position,
+        position
+      ));
+      return this.located(AST.literal(''), position, position);
     }
 
     switch (token.type) {
       case TokenType.NUMBER:
         this.advance();
-        return AST.literal(token.value, 'number');
+        return this.located(AST.literal(token.value, 'number'), token.position, token.end);
 
       case TokenType.STRING:
         this.advance();
-        return AST.literal(token.value, 'string');
+        return this.located(AST.literal(token.value, 'string'), token.position, token.end);
 
       case TokenType.BOOLEAN:
         this.advance();
-        return AST.literal(token.value, 'boolean');
+        return this.located(AST.literal(token.value, 'boolean'), token.position, token.end);
 
       case TokenType.COLUMN_REF:
         this.advance();
-        return AST.columnRef(token.value.columnId, token.value.field);
+        return this.located(
+          AST.columnRef(token.value.columnId, token.value.field),
+          token.position,
+          token.end
+        );
 
       case TokenType.FUNCTION:
         return this.parseFunctionCall();
@@ -179,16 +297,10 @@ export class Parser {
         return this.parseGroupedExpression();
 
       case TokenType.OPERATOR:
-        // Unary minus
-        if (token.value === '-') {
-          this.advance();
-          const operand = this.parsePrimary();
-          return AST.unaryOp('-', operand);
-        }
-        throw new Error(`Unexpected operator: ${token.value}`);
+        throw this.errorAt(token, `Unexpected operator: ${token.value}`);
 
       default:
-        throw new Error(`Unexpected token: ${token.type} (${token.value})`);
+        throw this.errorAt(token, `Unexpected token: ${token.type} (${token.value})`);
     }
   }
 
@@ -199,20 +311,42 @@ export class Parser {
     const funcToken = this.advance(); // Function name
     const name = funcToken.value;
 
+    if (name === 'LET' && this.check(TokenType.LPAREN)) {
+      return this.parseLet(funcToken);
+    }
+
+    // A name bound by an enclosing LET
+    if (!this.check(TokenType.LPAREN) && this.names.includes(name)) {
+      this.nameTokens.push(funcToken);
+      return this.located(AST.name(name), funcToken.position, funcToken.end);
+    }
+
     // Some functions like TODAY(), PI(), TRUE(), FALSE() may have no parens
     if (!this.check(TokenType.LPAREN)) {
+      if (!PAREN_OPTIONAL.has(name)) {
+        this.diagnostics.push(createDiagnostic(
+          Severity.WARNING,
+          `Function ${name} is called without parentheses`,
+          funcToken.position,
+          funcToken.end,
+          this.tokenText(funcToken)
+        ));
+      }
+
+      const { position, end } = funcToken;
+
       // Constants that don't need parens
-      if (name === 'TRUE') return AST.literal(true, 'boolean');
-      if (name === 'FALSE') return AST.literal(false, 'boolean');
-      if (name === 'PI') return AST.literal(Math.PI, 'number');
+      if (name === 'TRUE') return this.located(AST.literal(true, 'boolean'), position, end);
+      if (name === 'FALSE') return this.located(AST.literal(false, 'boolean'), position, end);
+      if (name === 'PI') return this.located(AST.literal(Math.PI, 'number'), position, end);
       if (name === 'TODAY' || name === 'NOW') {
-        return AST.functionCall(name, []);
+        return this.located(AST.functionCall(name, []), position, end);
       }
       // Treat as zero-argument function
-      return AST.functionCall(name, []);
+      return this.located(AST.functionCall(name, []), position, end);
     }
 
-    this.expect(TokenType.LPAREN, `Expected '(' after function name ${name}`);
+    const lparen = this.expect(TokenType.LPAREN, `Expected '(' after function name ${name}`);
 
     const args = [];
 
@@ -228,20 +362,75 @@ export class Parser {
       }
     }
 
-    this.expect(TokenType.RPAREN, `Expected ')' after function arguments for ${name}`);
+    const rparen = this.expectClosingParen(lparen, `Expected ')' after function arguments for ${name}`);
+
+    return this.located(AST.functionCall(name, args), funcToken.position, rparen.end);
+  }
+
+  /**
+   * Parses LET(name1, value1, [name2, value2, ...], calculation).
+   * Each name can be used in the values after it and in the calculation;
+   * a name bound again in an inner LET shadows the outer one.
+   */
+  parseLet(letToken) {
+    const lparen = this.expect(TokenType.LPAREN, "Expected '(' after LET");
+    const depth = this.names.length;
+    const bindings = [];
+
+    try {
+      // A name is an identifier followed by a comma; anything else is the calculation
+      while (this.check(TokenType.FUNCTION) && this.peek(1)?.type === TokenType.COMMA) {
+        const nameToken = this.advance();
+        const name = nameToken.value;
+        this.nameTokens.push(nameToken);
+        if (bindings.some(binding => binding.name === name)) {
+          throw this.errorAt(nameToken, `LET binds ${name} more than once`);
+        }
+        this.advance(); // Consume comma
+
+        const value = this.parseExpression();
+        bindings.push({ name, value, start: nameToken.position, end: value.end });
+        this.names.push(name);
 
-    return AST.functionCall(name, args);
+        if (!this.check(TokenType.COMMA)) {
+          throw this.errorAt(this.peek(), 'LET needs a calculation after its last value');
+        }
+        this.advance(); // Consume comma
+      }
+
+      if (bindings.length === 0) {
+        throw this.errorAt(letToken, 'LET needs a name, a value and a calculation');
+      }
+
+      const body = this.parseExpression();
+      const rparen = this.expectClosingParen(lparen, "Expected ')' after LET calculation");
+
+      return this.located(AST.let(bindings, body), letToken.position, rparen.end);
+    } finally {
+      this.names.length = depth;
+    }
   }
 
   /**
    * Parses a grouped expression: (expression)
    */
   parseGroupedExpression() {
-    this.expect(TokenType.LPAREN, "Expected '('");
+    const lparen = this.expect(TokenType.LPAREN, "Expected '('");
     const expr = this.parseExpression();
-    this.expect(TokenType.RPAREN, "Expected ')'");
+    this.expectClosingParen(lparen, "Expected ')'");
     return expr;
   }
+
+  /**
+   * Consumes the ')' matching the given '(' token.
+   * Reports an unclosed parenthesis at the opening token when the formula ends early.
+   */
+  expectClosingParen(lparen, message) {
+    if (this.check(TokenType.EOF)) {
+      throw new FormulaSyntaxError("Unclosed '('", lparen.position, lparen.end, '(');
+    }
+    return this.expect(TokenType.RPAREN, message);
+  }
 }
 
 /**
@@ -251,7 +440,7 @@ export class Parser {
  */
 export function parse(formula) {
   const tokens = tokenize(formula);
-  const parser = new Parser(tokens);
+  const parser = new Parser(tokens, formula);
 
   try {
     const ast = parser.parse();
@@ -287,10 +476,61 @@ export function extractColumnIds(formula) {
   return Array.from(columnIds);
 }
 
+/**
+ * Walks an AST depth-first, in formula order, calling the visitor for every node.
+ * LET binding values are walked before the body, each with the names bound
+ * before it, so a visitor can look up the value a NAME stands for.
+ * Example: walkAST(ast, node => { if (node.type === NodeType.COLUMN_REF) ids.add(node.columnId); })
+ * @param {object} ast - The AST root node.
+ * @param {Function|{enter?: Function, leave?: Function}} visitor - Called as (node, names)
+ *   before the node's children (a function is the enter callback); leave is called
+ *   after them. names maps the names bound by the enclosing LETs to their value nodes.
+ */
+export function walkAST(ast, visitor) {
+  const { enter = null, leave = null } = typeof visitor === 'function' ? { enter: visitor } : visitor;
+
+  const walk = (node, names) => {
+    if (!node) return;
+    enter?.(node, names);
+
+    switch (node.type) {
+      case NodeType.FUNCTION_CALL:
+        node.args.forEach(arg => walk(arg, names));
+        break;
+      case NodeType.BINARY_OP:
+        walk(node.left, names);
+        walk(node.right, names);
+        break;
+      case NodeType.UNARY_OP:
+        walk(node.operand, names);
+        break;
+      case NodeType.LET: {
+        let inner = names;
+        for (const { name, value } of node.bindings) {
+          walk(value, inner);
+          inner = new Map(inner).set(name, value);
+        }
+        walk(node.body, inner);
+        break;
+      }
+      default:
+        break;
+    }
+
+    leave?.(node, names);
+  };
+
+  walk(ast, new Map());
+}
+
 export default {
   NodeType,
+  PRECEDENCE,
+  RIGHT_ASSOCIATIVE,
+  KEYWORDS,
   AST,
   Parser,
   parse,
   extractColumnIds,
+  walkAST,
 };
@@ -0,0 +1,204 @@
+/**
+ * Formula Printer
+ * Serializes an AST back into formula text.
+ *
+ * Parentheses are only added where PRECEDENCE requires them, so
+ * parse(printFormula(ast)) yields the same tree (ignoring source positions).
+ */
+
+import logger from './logger.js';
+import { NodeType, PRECEDENCE, RIGHT_ASSOCIATIVE, AST } from './parser.js';
+
+const TAG = 'formula_printer';
+
+/**
+ * Default printer options
+ */
+const DEFAULT_OPTIONS = {
+  pretty: false,   // Break long function calls over multiple lines
+  indent: '  ',    // Indentation for each nesting level (pretty mode)
+  maxWidth: 60,    // Function calls longer than this are broken (pretty mode)
+};
+
+/**
+ * Prints a string literal.
+ * Uses double quotes, or single quotes to avoid escaping a double quote.
+ * Note: the tokenizer has no escape for a backslash right before the closing
+ * quote, so a string ending in '\' cannot be printed exactly.
+ */
+function printString(value) {
+  if (value.includes('"') && !value.includes("'")) {
+    return `'${value}'`;
+  }
+  return `"${value.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Prints a number literal in a form the tokenizer reads back (no exponent).
+ */
+function printNumber(value) {
+  const text = String(value);
+  if (!/e/i.test(text)) return text;
+  return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+/**
+ * Prints a literal node.
+ */
+function printLiteral(node) {
+  const { value } = node;
+
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return printNumber(value);
+  return printString(String(value ?? ''));
+}
+
+/**
+ * Prints a column reference: {column_id} or {column_id#field}
+ */
+function printColumnRef(node) {
+  return node.field ? `{${node.columnId}#${node.field}}` : `{${node.columnId}}`;
+}
+
+/**
+ * Checks if a binary operand needs parentheses.
+ * An operand of equal precedence keeps its parentheses on the right-hand side
+ * of left-associative operators and on the left-hand side of right-associative ones.
+ */
+function needsParens(child, parentOperator, isRight) {
+  if (child?.type !== NodeType.BINARY_OP) return false;
+
+  const childPrecedence = PRECEDENCE[child.operator] ?? 0;
+  const parentPrecedence = PRECEDENCE[parentOperator] ?? 0;
+
+  if (childPrecedence !== parentPrecedence) {
+    return childPrecedence < parentPrecedence;
+  }
+  return isRight !== RIGHT_ASSOCIATIVE.has(parentOperator);
+}
+
+/**
+ * Printer class - converts an AST to formula text
+ */
+class Printer {
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Prints a node at the given nesting depth.
+   */
+  print(node, depth = 0) {
+    if (!node) return '';
+
+    switch (node.type) {
+      case NodeType.LITERAL:
+        return printLiteral(node);
+
+      case NodeType.COLUMN_REF:
+        return printColumnRef(node);
+
+      case NodeType.FUNCTION_CALL:
+        return this.printFunctionCall(node, depth);
+
+      case NodeType.BINARY_OP:
+        return this.printBinaryOp(node, depth);
+
+      case NodeType.UNARY_OP:
+        return this.printUnaryOp(node, depth);
+
+      case NodeType.LET:
+        return this.printLet(node, depth);
+
+      case NodeType.NAME:
+        return node.name;
+
+      default:
+        logger.warn('Unknown node type', TAG, { nodeType: node.type });
+        return '';
+    }
+  }
+
+  /**
+   * Prints a function call, breaking arguments onto separate lines in
+   * pretty mode when the call does not fit in maxWidth.
+   */
+  printFunctionCall(node, depth) {
+    const { name, args } = node;
+    const { pretty, indent, maxWidth } = this.options;
+
+    if (!pretty || args.length === 0) {
+      return `${name}(${args.map(arg => this.print(arg, depth)).join(', ')})`;
+    }
+
+    const inline = printFormula(node);
+    if (indent.length * depth + inline.length <= maxWidth) {
+      return inline;
+    }
+
+    const argIndent = indent.repeat(depth + 1);
+    const lines = args.map(arg => argIndent + this.print(arg, depth + 1));
+    return `${name}(\n${lines.join(',\n')}\n${indent.repeat(depth)})`;
+  }
+
+  /**
+   * Prints LET(name, value, ..., calculation), laid out like a function call.
+   */
+  printLet(node, depth) {
+    const args = node.bindings.flatMap(({ name, value }) => [AST.name(name), value]);
+    return this.printFunctionCall(AST.functionCall('LET', [...args, node.body]), depth);
+  }
+
+  /**
+   * Prints a binary operation, adding parentheses only where required.
+   */
+  printBinaryOp(node, depth) {
+    const { operator, left, right } = node;
+
+    let leftText = this.print(left, depth);
+    let rightText = this.print(right, depth);
+
+    if (needsParens(left, operator, false)) leftText = `(${leftText})`;
+    if (needsParens(right, operator, true)) rightText = `(${rightText})`;
+
+    return `${leftText} ${operator} ${rightText}`;
+  }
+
+  /**
+   * Prints a unary operation.
+   */
+  printUnaryOp(node, depth) {
+    const { operator, operand } = node;
+    const operandText = this.print(operand, depth);
+
+    // Prefix operators bind tighter than any binary operator, and "-5" would
+    // read back as a negative literal
+    if (operand?.type === NodeType.BINARY_OP || /^\d/.test(operandText)) {
+      return `${operator}(${operandText})`;
+    }
+
+    return `${operator}${operandText}`;
+  }
+}
+
+/**
+ * Serializes an AST (as returned by parse) into formula text.
+ *
+ * Example:
+ *   printFormula(parse('((1 + 2)) * {numbers1}')); // '(1 + 2) * {numbers1}'
+ *
+ * @param {object} ast - The AST root node.
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty=false] - Break long function calls over multiple lines.
+ * @param {string} [options.indent='  '] - Indentation per nesting level (pretty mode).
+ * @param {number} [options.maxWidth=60] - Line width before breaking a call (pretty mode).
+ * @returns {string} The formula text.
+ */
+export function printFormula(ast, options = {}) {
+  const printer = new Printer({ ...DEFAULT_OPTIONS, ...options });
+  return printer.print(ast);
+}
+
+export default {
+  printFormula,
+};
@@ -0,0 +1,148 @@
+/**
+ * Tests for the Formula Printer
+ *
+ * Run with: node src/printer.test.js
+ *
+ * These tests check that printed formulas parse back to the same AST and
+ * that parentheses are only kept where precedence requires them.
+ */
+
+import { parse, AST } from './parser.js';
+import { printFormula } from './printer.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Serializes an AST without source positions, for structural comparison.
+ */
+function shape(ast) {
+  return JSON.stringify(ast, (key, value) => (key === 'start' || key === 'end' ? undefined : value));
+}
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const ROUND_TRIP_FORMULAS = [
+  '5 + 3',
+  '{numbers1} * 2 - 1',
+  '-{numbers1} / 4',
+  '-(1 + 2) * 3',
+  '1 - (2 - 3)',
+  '(1 + 2) * (3 + 4)',
+  '{a} > {b} = TRUE',
+  '{text1} & " " & {numbers1}',
+  '({a} + {b}) & "x"',
+  '{date1#from}',
+  'IF({numbers1} > 10, "big", "small")',
+  'IF(AND({status} = "Done", {numbers1} >= 100), CONCATENATE("Big ", {name}), "")',
+  'SWITCH({priority}, "High", 3, "Medium", 2, 1)',
+  'ROUND(DIVIDE({budget}, {hours}), 2)',
+  'TODAY',
+  'TODAY()',
+  'FORMAT_DATE(ADD_DAYS(TODAY(), 7), "YYYY-MM-DD")',
+  '"say \\"hi\\""',
+  '\'it\\\'s "quoted"\'',
+  '-5 + -2.5',
+  '-2 ^ 2 ^ -1',
+  '+{a} - -{b}',
+  '!{done} = FALSE',
+  '0.1 * 3',
+  '',
+];
+
+function testRoundTrip() {
+  for (const formula of ROUND_TRIP_FORMULAS) {
+    console.log(`\n=== Test: Round trip - ${formula} ===`);
+    const ast = parse(formula);
+    const printed = printFormula(ast);
+    const pretty = printFormula(ast, { pretty: true, maxWidth: 20 });
+    console.log('Printed:', printed);
+    console.log('Pass:', shape(parse(printed)) === shape(ast) && shape(parse(pretty)) === shape(ast));
+  }
+}
+
+function testMinimalParens() {
+  const cases = [
+    ['((1 + 2)) * {numbers1}', '(1 + 2) * {numbers1}'],
+    ['1 + (2 * 3)', '1 + 2 * 3'],
+    ['(1 - 2) - 3', '1 - 2 - 3'],
+    ['1 - (2 - 3)', '1 - (2 - 3)'],
+    ['({a} > 1) = ({b} > 2)', '{a} > 1 = ({b} > 2)'],
+    ['IF(({a}), ({b} + 1), (("c")))', 'IF({a}, {b} + 1, "c")'],
+    ['-({a})', '-{a}'],
+    ['2 ^ (3 ^ 2)', '2 ^ 3 ^ 2'],
+    ['(2 ^ 3) ^ 2', '(2 ^ 3) ^ 2'],
+    ['({a} + 1) & "x"', '{a} + 1 & "x"'],
+    ['{a} & ({b} = 1)', '{a} & ({b} = 1)'],
+    ['-({a} ^ 2)', '-({a} ^ 2)'],
+    ['!({a} > 1)', '!({a} > 1)'],
+  ];
+
+  for (const [formula, expected] of cases) {
+    console.log(`\n=== Test: Minimal parentheses - ${formula} ===`);
+    const result = printFormula(parse(formula));
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testBuiltAST() {
+  console.log('\n=== Test: Print AST built with factories ===');
+  const ast = AST.binaryOp('*',
+    AST.binaryOp('+', AST.columnRef('numbers1'), AST.literal(1)),
+    AST.unaryOp('-', AST.literal(2)));
+  const result = printFormula(ast);
+  console.log('Result:', result);
+  console.log('Expected: ({numbers1} + 1) * -(2)');
+  console.log('Pass:', result === '({numbers1} + 1) * -(2)' && shape(parse(result)) === shape(ast));
+}
+
+function testPrettyMode() {
+  console.log('\n=== Test: Pretty mode breaks long calls ===');
+  const formula = 'IF(AND({status} = "Done", {numbers1} > 100), CONCATENATE("Big ", {name}, " project"), SWITCH({priority}, "High", 1, "Low", 2, 0))';
+  const result = printFormula(parse(formula), { pretty: true });
+  const expected = [
+    'IF(',
+    '  AND({status} = "Done", {numbers1} > 100),',
+    '  CONCATENATE("Big ", {name}, " project"),',
+    '  SWITCH({priority}, "High", 1, "Low", 2, 0)',
+    ')',
+  ].join('\n');
+  console.log(result);
+  console.log('Pass:', result === expected);
+
+  console.log('\n=== Test: Pretty mode keeps short calls inline ===');
+  const short = printFormula(parse('IF({a} > 1, "x", "y")'), { pretty: true });
+  console.log('Result:', short);
+  console.log('Pass:', short === 'IF({a} > 1, "x", "y")');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Formula Printer Tests');
+  console.log('========================================');
+
+  try {
+    testRoundTrip();
+    testMinimalParens();
+    testBuiltAST();
+    testPrettyMode();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
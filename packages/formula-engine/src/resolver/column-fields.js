@@ -0,0 +1,76 @@
+/**
+ * Column Fields
+ * Resolves sub-fields of column values, referenced as {column#field}:
+ * {date4#hour}, {timeline#from}, {people#emails}, {location#lat}, ...
+ *
+ * The fields each column type supports are defined in column-value-extractor.js
+ * (see getColumnTypeFields). They are read from the raw column value JSON,
+ * fetched for all items in one request; people names and emails need one more
+ * request for the users.
+ */
+
+import { fetchRawColumnValues, fetchUsers } from './graphql-queries.js';
+import { extractColumnFields, getColumnTypeFields } from '../column-value-extractor.js';
+import { ErrorCode, createError } from '../values.js';
+
+// People fields read from the users rather than the column value
+const USER_FIELDS = new Set(['names', 'emails']);
+
+/**
+ * Collects the IDs of the people in people column values.
+ */
+function collectPersonIds(rawValues) {
+  const ids = new Set();
+  for (const colValue of rawValues.values()) {
+    const people = extractColumnFields(colValue, 'people', ['ids']).ids ?? [];
+    people.forEach(id => ids.add(id));
+  }
+  return Array.from(ids);
+}
+
+/**
+ * Resolves sub-fields of a column for multiple items.
+ *
+ * @param {Object} options
+ * @param {Object} options.column - Column definition (id and type)
+ * @param {number[]} options.itemIds - Array of item IDs
+ * @param {string[]} options.fields - Referenced fields
+ * @param {Object} options.apiClient - Monday API client
+ * @param {EvaluationContext} [options.context] - Evaluation context; its time zone is used for date times
+ * @returns {Promise<Map<number, Object>>} Map of itemId -> { field: value }; fields the column
+ *   type does not support are #REF! errors
+ */
+export async function resolveColumnFieldsBatch({ column, itemIds, fields, apiClient, context = null }) {
+  const supported = new Set(getColumnTypeFields(column.type));
+  const known = fields.filter(field => supported.has(field.toLowerCase()));
+
+  let rawValues = new Map();
+  let users = new Map();
+  if (known.length > 0 && itemIds.length > 0) {
+    rawValues = await fetchRawColumnValues(apiClient, column.id, itemIds);
+
+    if (column.type === 'people' && known.some(field => USER_FIELDS.has(field.toLowerCase()))) {
+      const userIds = collectPersonIds(rawValues);
+      users = userIds.length > 0 ? await fetchUsers(apiClient, userIds) : users;
+    }
+  }
+
+  const result = new Map();
+  for (const itemId of itemIds) {
+    const values = extractColumnFields(rawValues.get(itemId) ?? null, column.type, known, {
+      timeZone: context?.timeZone,
+      users,
+    });
+
+    for (const field of fields) {
+      if (!supported.has(field.toLowerCase())) {
+        values[field] = createError(ErrorCode.REF, `Column ${column.id} (${column.type}) has no field ${field}`);
+      }
+    }
+    result.set(itemId, values);
+  }
+
+  return result;
+}
+
+export default { resolveColumnFieldsBatch };
@@ -0,0 +1,163 @@
+/**
+ * Dependency Graph
+ * Builds the graph of columns a Formula/Mirror column depends on, across
+ * boards, from the schema only (no item data).
+ *
+ * Edges:
+ * - formula:  formula column -> each {column} it references (same board)
+ * - relation: mirror column -> its board_relation column (same board)
+ * - mirror:   mirror column -> each displayed linked column (linked board)
+ *
+ * Useful to explain and pre-plan expensive resolutions before fetching values.
+ */
+
+import { extractColumnIds } from '../parser.js';
+import { extractRelationColumnId } from './handle-mirror.js';
+import { getItemMetadataField, describeItemField } from './item-metadata.js';
+
+/**
+ * Edge kinds
+ */
+export const EdgeKind = {
+  FORMULA: 'formula',
+  RELATION: 'relation',
+  MIRROR: 'mirror',
+};
+
+// Node type of item metadata pseudo-columns
+const ITEM_METADATA_TYPE = 'item_metadata';
+
+/**
+ * Builds the node key for a board column.
+ */
+function nodeKey(boardId, columnId) {
+  return `${boardId}:${columnId}`;
+}
+
+/**
+ * Lists the direct dependencies of a column as { boardId, columnId, kind }.
+ */
+function getDirectDependencies(boardId, column) {
+  const dependencies = [];
+
+  if (column.type === 'formula') {
+    const formula = column.settings?.formula;
+    if (formula) {
+      for (const columnId of extractColumnIds(formula)) {
+        dependencies.push({ boardId, columnId, kind: EdgeKind.FORMULA });
+      }
+    }
+  }
+
+  if (column.type === 'mirror') {
+    const settings = column.settings || {};
+
+    const relationColumnId = extractRelationColumnId(settings);
+    if (relationColumnId) {
+      dependencies.push({ boardId, columnId: relationColumnId, kind: EdgeKind.RELATION });
+    }
+
+    for (const linked of settings.displayed_linked_columns || []) {
+      if (!linked?.board_id) continue;
+      for (const columnId of linked.column_ids || []) {
+        dependencies.push({ boardId: String(linked.board_id), columnId, kind: EdgeKind.MIRROR });
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Builds the dependency graph of a column.
+ *
+ * Example:
+ *   const graph = await buildDependencyGraph('123', 'formula_total', schemaCache);
+ *   graph.order;    // ['123:connect1', '456:numbers2', '456:formula_hours', '123:mirror_1', '123:numbers1', '123:formula_total']
+ *   graph.cycles;   // [] or e.g. [['123:formula_a', '123:formula_b']]
+ *
+ * @param {string} boardId - Board ID of the root column
+ * @param {string} columnId - Root column ID
+ * @param {Object} schemaCache - Schema cache instance ({ getColumn })
+ * @returns {Promise<{
+ *   root: string,
+ *   nodes: Array<{id: string, boardId: string, columnId: string, type: string|null, title: string|null, missing: boolean}>,
+ *   edges: Array<{from: string, to: string, kind: string}>,
+ *   cycles: string[][],
+ *   maxDepth: number,
+ *   order: string[]
+ * }>} The graph. Node ids are "boardId:columnId"; item metadata pseudo-columns
+ *   ({name}, {group}, ...) have type 'item_metadata'. order lists dependencies before
+ *   the columns that use them (edges closing a cycle are ignored). maxDepth is
+ *   the length of the longest dependency chain below the root.
+ */
+export async function buildDependencyGraph(boardId, columnId, schemaCache) {
+  const root = nodeKey(String(boardId), columnId);
+  const nodes = new Map();      // id -> node
+  const edges = [];
+  const cycles = [];
+  const order = [];
+  const depths = new Map();     // id -> longest dependency chain below the node
+  const stack = [];             // ids on the current DFS path
+  const onStack = new Set();
+
+  const visit = async (currentBoardId, currentColumnId) => {
+    const id = nodeKey(currentBoardId, currentColumnId);
+
+    if (onStack.has(id)) {
+      cycles.push(stack.slice(stack.indexOf(id)));
+      return;
+    }
+    if (nodes.has(id)) return;
+
+    const column = await schemaCache.getColumn(currentBoardId, currentColumnId);
+    // Item metadata pseudo-columns ({name}, {group}, ...) are not board columns but not missing either
+    const metadataField = column ? null : getItemMetadataField(currentColumnId, null);
+    nodes.set(id, {
+      id,
+      boardId: currentBoardId,
+      columnId: currentColumnId,
+      type: column?.type ?? (metadataField ? ITEM_METADATA_TYPE : null),
+      title: column?.title ?? (metadataField ? describeItemField(metadataField).title : null),
+      missing: !column && !metadataField,
+    });
+
+    stack.push(id);
+    onStack.add(id);
+
+    let depth = 0;
+    for (const dependency of column ? getDirectDependencies(currentBoardId, column) : []) {
+      const dependencyId = nodeKey(dependency.boardId, dependency.columnId);
+      edges.push({ from: id, to: dependencyId, kind: dependency.kind });
+
+      await visit(dependency.boardId, dependency.columnId);
+
+      // Edges back into the current path close a cycle and don't add depth
+      if (depths.has(dependencyId)) {
+        depth = Math.max(depth, depths.get(dependencyId) + 1);
+      }
+    }
+
+    stack.pop();
+    onStack.delete(id);
+
+    depths.set(id, depth);
+    order.push(id);
+  };
+
+  await visit(String(boardId), columnId);
+
+  return {
+    root,
+    nodes: Array.from(nodes.values()),
+    edges,
+    cycles,
+    maxDepth: depths.get(root) ?? 0,
+    order,
+  };
+}
+
+export default {
+  EdgeKind,
+  buildDependencyGraph,
+};
@@ -0,0 +1,126 @@
+/**
+ * Tests for the Dependency Graph
+ *
+ * Run with: node src/resolver/dependency-graph.test.js
+ *
+ * These tests use a mock schema cache to verify the graph is built from
+ * column settings only, without making actual API calls.
+ */
+
+import { buildDependencyGraph, EdgeKind } from './dependency-graph.js';
+
+// ============================================================================
+// Mock Schema Cache
+// ============================================================================
+
+function createMockSchemaCache(boards) {
+  return {
+    async getColumn(boardId, columnId) {
+      return boards[boardId]?.find(col => col.id === columnId) || null;
+    }
+  };
+}
+
+const schemaCache = createMockSchemaCache({
+  '123': [
+    { id: 'numbers1', title: 'Budget', type: 'numbers', settings: {} },
+    { id: 'connect1', title: 'Tasks', type: 'board_relation', settings: {} },
+    {
+      id: 'mirror_1',
+      title: 'Task Hours',
+      type: 'mirror',
+      settings: {
+        function: 'sum',
+        relation_column: { connect1: true },
+        displayed_linked_columns: [{ board_id: 456, column_ids: ['formula_hours'] }]
+      }
+    },
+    { id: 'formula_total', title: 'Total', type: 'formula', settings: { formula: 'IF({mirror_1} > 0, {numbers1} / {mirror_1}, 0)' } },
+    { id: 'formula_a', title: 'A', type: 'formula', settings: { formula: '{formula_b} + 1' } },
+    { id: 'formula_b', title: 'B', type: 'formula', settings: { formula: '{formula_a} * {numbers1}' } },
+    { id: 'formula_broken', title: 'Broken', type: 'formula', settings: { formula: '{deleted_col} + 1' } },
+    { id: 'formula_label', title: 'Label', type: 'formula', settings: { formula: '{name} & " in " & {group}' } },
+  ],
+  '456': [
+    { id: 'numbers2', title: 'Hours', type: 'numbers', settings: {} },
+    { id: 'formula_hours', title: 'Hours x2', type: 'formula', settings: { formula: '{numbers2} * 2' } },
+  ],
+});
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+async function testCrossBoardGraph() {
+  console.log('\n=== Test: Formula over mirror of a formula on another board ===');
+  const graph = await buildDependencyGraph('123', 'formula_total', schemaCache);
+
+  const ids = graph.nodes.map(n => n.id).sort();
+  const expectedIds = ['123:connect1', '123:formula_total', '123:mirror_1', '123:numbers1', '456:formula_hours', '456:numbers2'];
+  console.log('Nodes:', ids);
+  console.log('Pass:', ids.join(',') === expectedIds.join(','));
+
+  console.log('\n=== Test: Edge kinds ===');
+  const edgeList = graph.edges.map(e => `${e.from}->${e.to}:${e.kind}`);
+  console.log('Edges:', edgeList);
+  console.log('Pass:', edgeList.includes(`123:mirror_1->123:connect1:${EdgeKind.RELATION}`)
+    && edgeList.includes(`123:mirror_1->456:formula_hours:${EdgeKind.MIRROR}`)
+    && edgeList.includes(`456:formula_hours->456:numbers2:${EdgeKind.FORMULA}`));
+
+  console.log('\n=== Test: Topological order and depth ===');
+  const position = (id) => graph.order.indexOf(id);
+  const ordered = graph.edges.every(e => position(e.to) < position(e.from));
+  console.log('Order:', graph.order, 'Max depth:', graph.maxDepth);
+  console.log('Expected: dependencies first, max depth 3');
+  console.log('Pass:', ordered && graph.order[graph.order.length - 1] === graph.root && graph.maxDepth === 3 && graph.cycles.length === 0);
+}
+
+async function testCycles() {
+  console.log('\n=== Test: Cycle detection ===');
+  const graph = await buildDependencyGraph('123', 'formula_a', schemaCache);
+  console.log('Cycles:', graph.cycles);
+  console.log('Expected: [[123:formula_a, 123:formula_b]]');
+  console.log('Pass:', graph.cycles.length === 1 && graph.cycles[0].join(',') === '123:formula_a,123:formula_b');
+}
+
+async function testMissingColumns() {
+  console.log('\n=== Test: Missing columns are marked ===');
+  const graph = await buildDependencyGraph('123', 'formula_broken', schemaCache);
+  const missing = graph.nodes.filter(n => n.missing).map(n => n.id);
+  console.log('Missing:', missing);
+  console.log('Pass:', missing.join(',') === '123:deleted_col' && graph.maxDepth === 1);
+}
+
+async function testItemMetadataNodes() {
+  console.log('\n=== Test: Item metadata pseudo-columns are not missing ===');
+  const graph = await buildDependencyGraph('123', 'formula_label', schemaCache);
+  const nodes = graph.nodes.filter(n => n.id !== graph.root).map(n => `${n.columnId}:${n.type}:${n.title}:${n.missing}`);
+  console.log('Nodes:', nodes);
+  console.log('Pass:', nodes.join(',') === 'name:item_metadata:Name:false,group:item_metadata:Group:false');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Dependency Graph Tests');
+  console.log('========================================');
+
+  try {
+    await testCrossBoardGraph();
+    await testCycles();
+    await testMissingColumns();
+    await testItemMetadataNodes();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
@@ -271,6 +271,80 @@ const GET_COLUMN_VALUES = `
   }
 `;
 
+/**
+ * Query to get item metadata (name, group, dates, creator) for multiple items.
+ * Used for formulas that reference {name}, {group}, {creator}, ...
+ */
+const GET_ITEMS_METADATA = `
+  query GetItemsMetadata($itemIds: [ID!]!) {
+    items(ids: $itemIds) {
+      id
+      name
+      created_at
+      updated_at
+      group {
+        id
+        title
+      }
+      creator {
+        id
+        name
+      }
+    }
+  }
+`;
+
+/**
+ * Query to get the subitems of multiple items.
+ * Used for subitems (subtasks) columns and rollups of subitem columns.
+ */
+const GET_SUBITEMS = `
+  query GetSubitems($itemIds: [ID!]!) {
+    items(ids: $itemIds) {
+      id
+      subitems {
+        id
+        name
+        board {
+          id
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Query to get the raw JSON value of a column for multiple items.
+ * Used for column sub-fields ({date4#hour}, {location#lat}, ...).
+ */
+const GET_RAW_COLUMN_VALUES = `
+  query GetRawColumnValues($itemIds: [ID!]!, $columnId: String!) {
+    items(ids: $itemIds) {
+      id
+      column_values(ids: [$columnId]) {
+        id
+        type
+        value
+        text
+      }
+    }
+  }
+`;
+
+/**
+ * Query to get the names and emails of users.
+ * Used for the names and emails of people columns.
+ */
+const GET_USERS = `
+  query GetUsers($userIds: [ID!]!) {
+    users(ids: $userIds) {
+      id
+      name
+      email
+    }
+  }
+`;
+
 // ============================================================================
 // Query Functions
 // ============================================================================
@@ -539,6 +613,122 @@ export async function fetchColumnValues(apiClient, itemId, columnIds) {
   return result;
 }
 
+/**
+ * Fetches item metadata for multiple items.
+ * @param {Object} apiClient - Monday API client
+ * @param {number[]} itemIds - Array of item IDs
+ * @returns {Promise<Map<number, Object>>} Map of itemId -> { id, name, created_at, updated_at, group, creator }
+ *   (items that were not found are missing)
+ */
+export async function fetchItemMetadata(apiClient, itemIds) {
+  const result = new Map();
+
+  // Process in chunks of 100 (Monday API limit)
+  const chunkSize = 100;
+  for (let i = 0; i < itemIds.length; i += chunkSize) {
+    const chunk = itemIds.slice(i, i + chunkSize);
+
+    const response = await apiClient.query(GET_ITEMS_METADATA, {
+      itemIds: chunk.map(String),
+    });
+
+    for (const item of response.items || []) {
+      result.set(parseInt(item.id, 10), item);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetches the subitems of multiple items.
+ * @param {Object} apiClient - Monday API client
+ * @param {number[]} itemIds - Array of item IDs
+ * @returns {Promise<Map<number, Array<{id: number, name: string, boardId: string|null}>>>}
+ *   Map of itemId -> subitems, in board order (items that were not found are missing)
+ */
+export async function fetchSubitems(apiClient, itemIds) {
+  const result = new Map();
+
+  // Process in chunks of 100 (Monday API limit)
+  const chunkSize = 100;
+  for (let i = 0; i < itemIds.length; i += chunkSize) {
+    const chunk = itemIds.slice(i, i + chunkSize);
+
+    const response = await apiClient.query(GET_SUBITEMS, {
+      itemIds: chunk.map(String),
+    });
+
+    for (const item of response.items || []) {
+      result.set(parseInt(item.id, 10), (item.subitems || []).map((subitem) => ({
+        id: parseInt(subitem.id, 10),
+        name: subitem.name ?? '',
+        boardId: subitem.board?.id ? String(subitem.board.id) : null,
+      })));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetches the raw column value (value JSON and text) of a column for multiple items.
+ * @param {Object} apiClient - Monday API client
+ * @param {string} columnId - Column ID
+ * @param {number[]} itemIds - Array of item IDs
+ * @returns {Promise<Map<number, {id: string, type: string, value: string|null, text: string}>>}
+ *   Map of itemId -> column value (items that were not found are missing)
+ */
+export async function fetchRawColumnValues(apiClient, columnId, itemIds) {
+  const result = new Map();
+
+  // Process in chunks of 100 (Monday API limit)
+  const chunkSize = 100;
+  for (let i = 0; i < itemIds.length; i += chunkSize) {
+    const chunk = itemIds.slice(i, i + chunkSize);
+
+    const response = await apiClient.query(GET_RAW_COLUMN_VALUES, {
+      itemIds: chunk.map(String),
+      columnId,
+    });
+
+    for (const item of response.items || []) {
+      const colValue = item.column_values?.[0];
+      if (colValue) {
+        result.set(parseInt(item.id, 10), colValue);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetches the names and emails of users.
+ * @param {Object} apiClient - Monday API client
+ * @param {number[]} userIds - Array of user IDs
+ * @returns {Promise<Map<number, {name: string, email: string}>>} Map of userId -> user
+ */
+export async function fetchUsers(apiClient, userIds) {
+  const result = new Map();
+
+  // Process in chunks of 100 (Monday API limit)
+  const chunkSize = 100;
+  for (let i = 0; i < userIds.length; i += chunkSize) {
+    const chunk = userIds.slice(i, i + chunkSize);
+
+    const response = await apiClient.query(GET_USERS, {
+      userIds: chunk.map(String),
+    });
+
+    for (const user of response.users || []) {
+      result.set(parseInt(user.id, 10), { name: user.name ?? '', email: user.email ?? '' });
+    }
+  }
+
+  return result;
+}
+
 // ============================================================================
 // OPTIMIZED FETCH FUNCTIONS
 // ============================================================================
@@ -660,6 +850,10 @@ export default {
   fetchLinkedItemIdsBatch,
   fetchNumericValue,
   fetchColumnValues,
+  fetchItemMetadata,
+  fetchSubitems,
+  fetchRawColumnValues,
+  fetchUsers,
   // Optimized functions
   fetchMirrorDeep,
   fetchMultiColumnsDeep,
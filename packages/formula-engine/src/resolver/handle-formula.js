@@ -7,8 +7,14 @@
  * - Uses coordinator only when simple columns might have valid display_values
  */
 
-import { extractColumnIds, evaluateFormula } from '../index.js';
+import { extractColumnIds } from '../parser.js';
+import { compileFormula } from '../compiler.js';
+import { evaluateAsync, formatResult } from '../evaluator.js';
 import { analyzeFormulaDependencies, Strategy, isComplexColumnId } from './strategy-selector.js';
+import { isItemMetadataColumnId } from './item-metadata.js';
+import { parseError, isList, createList } from '../values.js';
+import { SpanKind, ValueSource } from '../trace.js';
+import { createEvaluationContext } from '../context.js';
 
 /**
  * Checks if a display value is nullish (requires deeper resolution).
@@ -27,22 +33,50 @@ function parseDisplayValue(displayValue) {
 }
 
 /**
- * Checks if a value is numeric or a numeric list (comma separated).
+ * Converts a formatted formula result to a resolved value.
+ * Numbers are parsed and error codes become error values, so they keep
+ * propagating through formulas that reference this one.
+ * Strict typing: only pure number strings are converted ("10 < 20" stays text).
+ */
+function toResolvedValue(displayValue) {
+  const error = parseError(displayValue);
+  if (error) return error;
+  return /^-?\d+(\.\d+)?$/.test(displayValue) ? parseFloat(displayValue) : displayValue;
+}
+
+/**
+ * Converts a raw formula result to a resolved value.
+ * The result is formatted without the context's locale because resolved values
+ * are parsed back as numbers; the locale still applies inside the formula (TEXT).
+ * List results (e.g. FILTER) stay lists of resolved values.
+ */
+function toResolvedResult(result, context) {
+  if (isList(result)) {
+    const items = result.flat(Infinity).map(item => toResolvedResult(item, context));
+    return createList(items, { aggregate: result.aggregate });
+  }
+  return toResolvedValue(formatResult(result, { timeZone: context.timeZone }));
+}
+
+/**
+ * Checks if a value is a single number. Lists of numbers ("10, 20") are not:
+ * mirrors are resolved to read their individual values.
  */
 function isNumericValue(value) {
   if (typeof value === 'number') return true;
   if (typeof value === 'string') {
-    return /^-?\d+(\.\d+)?(,\s*-?\d+(\.\d+)?)*$/.test(value.trim());
+    return /^-?\d+(\.\d+)?$/.test(value.trim());
   }
   return false;
 }
 
 /**
  * Handles a formula column when display_value is null.
- * Parses the formula, resolves all dependencies recursively, and evaluates.
+ * Evaluates the formula with an async evaluator that resolves each dependency
+ * recursively only when evaluation reaches it.
  * 
- * OPTIMIZATION: Uses coordinator to batch-fetch display values for all
- * dependencies in a single API call, then only recurses for nullish values.
+ * OPTIMIZATION: Uses coordinator to batch-fetch display values for
+ * dependencies requested together, then only recurses for nullish values.
  *
  * @param {Object} options
  * @param {string} options.boardId - Board ID
@@ -52,7 +86,9 @@ function isNumericValue(value) {
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
  * @param {Function} options.resolveColumnValue - Reference to resolveColumnValue for recursion
- * @returns {Promise<number>} Resolved numeric value
+ * @param {TraceSpan} [options.trace] - Span to record the evaluation and dependency resolutions under
+ * @param {EvaluationContext} [options.context] - Evaluation context (clock, time zone, ...)
+ * @returns {Promise<number|string|any[]|FormulaError>} Resolved value (errors such as #DIV/0! as error values)
  */
 export async function handleFormula({
   boardId,
@@ -62,6 +98,8 @@ export async function handleFormula({
   schemaCache,
   visitedPaths,
   resolveColumnValue,
+  trace = null,
+  context = createEvaluationContext(),
 }) {
   const formula = column.settings?.formula;
 
@@ -70,6 +108,14 @@ export async function handleFormula({
     return 0;
   }
 
+  let compiled;
+  try {
+    compiled = compileFormula(formula);
+  } catch (error) {
+    console.error(`Error compiling formula: ${formula}`, error);
+    return '';
+  }
+
   // Extract column dependencies from formula
   const dependencyColumnIds = extractColumnIds(formula);
 
@@ -77,112 +123,71 @@ export async function handleFormula({
     // Formula has no column references - evaluate directly
     // This handles formulas like "5 + 3" or "TODAY()"
     try {
-      const result = evaluateFormula(formula, new Map());
-      const numResult = parseFloat(result);
-      return isNaN(numResult) ? result : numResult;
+      return toResolvedResult(compiled.evaluate(new Map(), context.forItem(itemId)), context);
     } catch (error) {
       console.error(`Error evaluating formula without dependencies: ${formula}`, error);
       return 0;
     }
   }
 
-  const columnValues = new Map();
-
   // SMART STRATEGY: Analyze dependencies to decide approach
   const depAnalysis = analyzeFormulaDependencies(dependencyColumnIds);
-  
+
   // If ALL dependencies are complex (mirrors/formulas), skip coordinator entirely
   // because their display_value will always be empty
-  const useCoordinator = schemaCache.coordinatorRequest 
-    && dependencyColumnIds.length > 1 
+  const useCoordinator = schemaCache.coordinatorRequest
+    && dependencyColumnIds.length > 1
     && depAnalysis.simpleCount > 0; // Only use coordinator if there are simple columns
 
-  if (useCoordinator) {
-    // Use coordinator only for potentially simple columns
-    const displayValuePromises = dependencyColumnIds.map(depColumnId =>
-      schemaCache.coordinatorRequest(itemId, depColumnId)
-        .then(value => ({ depColumnId, value }))
-        .catch(() => ({ depColumnId, value: null }))
-    );
-    
-    const displayValues = await Promise.all(displayValuePromises);
-    const needsRecursion = [];
-    
-    for (const { depColumnId, value } of displayValues) {
+  /**
+   * Resolves a single dependency when the evaluator reaches it.
+   * Requests made in the same tick are still batched by the coordinator.
+   * span is the trace span of the column reference (null when not tracing).
+   */
+  const resolveDependency = async (depColumnId, span) => {
+    const fields = compiled.fields.get(depColumnId) ?? [];
+
+    // Item metadata pseudo-columns ({name}, {group}, ...) have no column value to batch,
+    // and a display value has no fields ({subitems#hours})
+    if (useCoordinator && !isItemMetadataColumnId(depColumnId) && fields.length === 0) {
+      const value = await schemaCache.coordinatorRequest(itemId, depColumnId).catch(() => null);
       const isComplex = isComplexColumnId(depColumnId);
       const isNullish = isNullishDisplayValue(value);
 
       // For complex columns (mirror/lookup/formula), only use coordinator value
       // if it's a valid number. Otherwise, recurse to get the real value.
-      if (!isNullish && !isComplex) {
-        // Simple column with valid value - use directly
-        columnValues.set(depColumnId, parseDisplayValue(value));
-      } else if (!isNullish && isComplex && isNumericValue(value)) {
-        // Complex column with numeric value - use it
-        columnValues.set(depColumnId, parseDisplayValue(value));
-      } else {
-        // Needs recursion
-        needsRecursion.push(depColumnId);
-      }
-    }
-    
-    // Resolve remaining columns through full recursion (in parallel)
-    if (needsRecursion.length > 0) {
-      const recursiveResults = await Promise.all(
-        needsRecursion.map(async (depColumnId) => {
-          try {
-            const value = await resolveColumnValue({
-              boardId,
-              columnId: depColumnId,
-              itemId,
-              apiClient,
-              schemaCache,
-              visitedPaths,
-            });
-            return { depColumnId, value };
-          } catch (error) {
-            console.error(`Error resolving dependency ${depColumnId} for formula:`, error);
-            return { depColumnId, value: 0 };
-          }
-        })
-      );
-      
-      for (const { depColumnId, value } of recursiveResults) {
-        columnValues.set(depColumnId, value);
+      if (!isNullish && (!isComplex || isNumericValue(value))) {
+        const result = parseDisplayValue(value);
+        span?.child(SpanKind.COLUMN, `${boardId}:${depColumnId}:${itemId}`, { source: ValueSource.COORDINATOR }).finish(result);
+        return result;
       }
     }
-  } else {
-    // All dependencies are complex OR only 1 dependency - go straight to parallel resolve
-    // This skips the coordinator call which would return empty values anyway
-    const results = await Promise.all(
-      dependencyColumnIds.map(async (depColumnId) => {
-        try {
-          const value = await resolveColumnValue({
-            boardId,
-            columnId: depColumnId,
-            itemId,
-            apiClient,
-            schemaCache,
-            visitedPaths,
-          });
-          return { depColumnId, value };
-        } catch (error) {
-          console.error(`Error resolving dependency ${depColumnId} for formula:`, error);
-          return { depColumnId, value: 0 };
-        }
-      })
-    );
 
-    for (const { depColumnId, value } of results) {
-      columnValues.set(depColumnId, value);
+    // Full recursion (visitedPaths keeps cycle detection across the recursion);
+    // mirrors come back as lists for list functions such as SUM and FILTER
+    try {
+      return await resolveColumnValue({
+        boardId,
+        columnId: depColumnId,
+        itemId,
+        apiClient,
+        schemaCache,
+        visitedPaths,
+        trace: span,
+        context,
+        asList: true,
+        fields,
+      });
+    } catch (error) {
+      console.error(`Error resolving dependency ${depColumnId} for formula:`, error);
+      return 0;
     }
-  }
+  };
 
-  // Evaluate formula with resolved values
+  // Evaluate formula, resolving only the dependencies actually reached
+  // (e.g. a mirror in an IF branch that is not taken is never fetched)
   try {
-    const result = evaluateFormula(formula, columnValues);
-    const numResult = parseFloat(result);
-    return isNaN(numResult) ? result : numResult;
+    return toResolvedResult(await evaluateAsync(compiled.ast, resolveDependency, { trace, context: context.forItem(itemId) }), context);
   } catch (error) {
     console.error(`Error evaluating formula: ${formula}`, error);
     return 0;
@@ -200,6 +205,7 @@ export async function handleFormula({
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
  * @param {Function} options.resolveColumnValueBatch - Reference to batch resolver for recursion
+ * @param {EvaluationContext} [options.context] - Evaluation context (clock, time zone, ...)
  * @returns {Promise<Map<number, number>>} Map of itemId -> resolved value
  */
 export async function handleFormulaBatch({
@@ -210,6 +216,7 @@ export async function handleFormulaBatch({
   schemaCache,
   visitedPaths,
   resolveColumnValueBatch,
+  context = createEvaluationContext(),
 }) {
   const result = new Map();
   const formula = column.settings?.formula;
@@ -226,13 +233,11 @@ export async function handleFormulaBatch({
   const dependencyColumnIds = extractColumnIds(formula);
 
   if (dependencyColumnIds.length === 0) {
-    // No dependencies - same result for all items
+    // No dependencies - evaluated per item, as RAND() still differs between items
     try {
-      const value = evaluateFormula(formula, new Map());
-      const numValue = parseFloat(value);
-      const finalValue = isNaN(numValue) ? value : numValue;
+      const compiled = compileFormula(formula);
       for (const itemId of itemIds) {
-        result.set(itemId, finalValue);
+        result.set(itemId, toResolvedResult(compiled.evaluate(new Map(), context.forItem(itemId)), context));
       }
     } catch (error) {
       console.error(`Error evaluating formula without dependencies: ${formula}`, error);
@@ -243,6 +248,18 @@ export async function handleFormulaBatch({
     return result;
   }
 
+  // Compile once and evaluate for each item
+  let compiled;
+  try {
+    compiled = compileFormula(formula);
+  } catch (error) {
+    console.error(`Error compiling formula: ${formula}`, error);
+    for (const itemId of itemIds) {
+      result.set(itemId, '');
+    }
+    return result;
+  }
+
   // Resolve all dependency columns in PARALLEL (Optimization 1)
   const dependencyValues = new Map(); // columnId -> Map<itemId, value>
 
@@ -256,6 +273,9 @@ export async function handleFormulaBatch({
           apiClient,
           schemaCache,
           visitedPaths,
+          context,
+          asList: true,
+          fields: compiled.fields.get(depColumnId) ?? [],
         });
         return { depColumnId, values };
       } catch (error) {
@@ -273,7 +293,6 @@ export async function handleFormulaBatch({
     dependencyValues.set(depColumnId, values);
   }
 
-  // Evaluate formula for each item
   for (const itemId of itemIds) {
     const columnValuesForItem = new Map();
 
@@ -282,9 +301,7 @@ export async function handleFormulaBatch({
     }
 
     try {
-      const evalResult = evaluateFormula(formula, columnValuesForItem);
-      const numResult = parseFloat(evalResult);
-      result.set(itemId, isNaN(numResult) ? evalResult : numResult);
+      result.set(itemId, toResolvedResult(compiled.evaluate(columnValuesForItem, context.forItem(itemId)), context));
     } catch (error) {
       console.error(`Error evaluating formula for item ${itemId}: ${formula}`, error);
       result.set(itemId, 0);
@@ -5,6 +5,10 @@
  * OPTIMIZATION (2026-01):
  * Uses mirrored_items field to fetch all data in a single query instead of
  * multiple queries (display_value + linked_items + each item's values).
+ *
+ * Mirrors resolve to a list of the linked values (see createList), which
+ * remembers the mirror's aggregation function (settings.function, sum by
+ * default) for where the mirror is used as a single value.
  */
 
 import { 
@@ -14,6 +18,8 @@ import {
   fetchItemsMirrorDeep,
 } from './graphql-queries.js';
 import { parseNumericValues, applyAggregationFunction } from '../column-value-extractor.js';
+import { createList, toList } from '../values.js';
+import { ValueSource } from '../trace.js';
 
 /**
  * Extracts the board_relation column ID from mirror settings.
@@ -50,7 +56,10 @@ export function extractRelationColumnId(mirrorSettings) {
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
  * @param {Function} options.resolveColumnValue - Reference to resolveColumnValue for recursion
- * @returns {Promise<number|string>} Resolved value
+ * @param {TraceSpan} [options.trace] - Span of the mirror column; annotated with the value
+ *   source and used to record linked item resolutions
+ * @param {EvaluationContext} [options.context] - Evaluation context, passed to linked formulas
+ * @returns {Promise<any[]>} The linked values, as a list with the mirror's aggregation function
  */
 export async function handleMirror({
   boardId,
@@ -60,6 +69,8 @@ export async function handleMirror({
   schemaCache,
   visitedPaths,
   resolveColumnValue,
+  trace = null,
+  context = null,
 }) {
   const settings = column.settings || {};
   const aggFunc = settings.function || 'sum';
@@ -68,26 +79,18 @@ export async function handleMirror({
   const mirrorData = await fetchMirrorDeep(apiClient, itemId, column.id);
   const displayValue = mirrorData.display_value;
   const mirroredItems = mirrorData.mirrored_items || [];
+  trace?.annotate({ source: ValueSource.MIRROR_DEEP });
 
   // 2. Try to use display_value directly (Fast Path)
-  // This works for simple numeric mirrors or computed text strings
+  // This works for numeric mirrors ("10, 20") or computed text strings ("Project A, Project B")
   if (displayValue && displayValue !== 'null' && displayValue !== '') {
-    // Check if it's a list of numbers "10, 20"
-    if (typeof displayValue === 'string' && /^-?\d+(\.\d+)?(,\s*-?\d+(\.\d+)?)*$/.test(displayValue)) {
-       const values = parseNumericValues(displayValue);
-       return applyAggregationFunction(values, aggFunc);
-    }
-    // If it's a single number
-    const num = Number(displayValue);
-    if (!isNaN(num) && displayValue !== '' && !Array.isArray(displayValue)) return num;
-    
-    // If it's text (e.g. "Project A, Project B")
-    return displayValue;
+    return parseMirrorDisplayValue(displayValue, aggFunc);
   }
 
   // 3. Fallback: Recursion
   // If display_value is empty (complex mirror/formula), resolve via linked items
-  if (mirroredItems.length === 0) return (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '';
+  const empty = createList([], { aggregate: aggFunc });
+  if (mirroredItems.length === 0) return empty;
 
   const itemsNeedingRecursion = [];
   
@@ -102,14 +105,15 @@ export async function handleMirror({
     }
   }
 
-  if (itemsNeedingRecursion.length === 0) return (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '';
+  if (itemsNeedingRecursion.length === 0) return empty;
 
   // 4. Resolve Recursively
   const displayedLinkedColumns = settings.displayed_linked_columns;
   if (!displayedLinkedColumns || displayedLinkedColumns.length === 0) {
-    return (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '';
+    return empty;
   }
   const targetColumnId = displayedLinkedColumns[0].column_ids?.[0];
+  trace?.annotate({ source: ValueSource.RECURSION });
 
   const recursionResults = await Promise.all(
     itemsNeedingRecursion.map(async ({ boardId: targetBoardId, itemId: targetItemId }) => {
@@ -121,6 +125,8 @@ export async function handleMirror({
           apiClient,
           schemaCache,
           visitedPaths,
+          trace,
+          context,
         });
       } catch (e) {
         return null;
@@ -128,21 +134,11 @@ export async function handleMirror({
     })
   );
 
-  // 5. Aggregate Results
+  // 5. Collect Results
   // Filter valid results
   const validResults = recursionResults.filter(v => v !== null && v !== '' && v !== undefined);
-  
-  if (validResults.length === 0) return (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '';
 
-  // Check if we have numbers or text
-  const allNumbers = validResults.every(v => typeof v === 'number');
-  
-  if (allNumbers) {
-    return applyAggregationFunction(validResults, aggFunc);
-  } else {
-    // Text aggregation (join with comma)
-    return validResults.join(', ');
-  }
+  return createList(validResults, { aggregate: aggFunc });
 }
 
 /**
@@ -156,7 +152,8 @@ export async function handleMirror({
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
  * @param {Function} options.resolveColumnValueBatch - Reference to batch resolver for recursion
- * @returns {Promise<Map<number, number|string>>} Map of itemId -> resolved value
+ * @param {EvaluationContext} [options.context] - Evaluation context, passed to linked formulas
+ * @returns {Promise<Map<number, any[]>>} Map of itemId -> list of linked values (see handleMirror)
  */
 export async function handleMirrorBatch({
   boardId,
@@ -166,6 +163,7 @@ export async function handleMirrorBatch({
   schemaCache,
   visitedPaths,
   resolveColumnValueBatch,
+  context = null,
 }) {
   const result = new Map();
   const settings = column.settings || {};
@@ -181,14 +179,7 @@ export async function handleMirrorBatch({
     const dv = data?.display_value;
     
     if (dv && dv !== 'null' && dv !== '') {
-       // Try numeric parse
-       if (typeof dv === 'string' && /^-?\d+(\.\d+)?(,\s*-?\d+(\.\d+)?)*$/.test(dv)) {
-          const vals = parseNumericValues(dv);
-          result.set(itemId, applyAggregationFunction(vals, aggFunc));
-       } else {
-          const num = Number(dv);
-          result.set(itemId, (!isNaN(num) && dv !== '' && !Array.isArray(dv)) ? num : dv);
-       }
+       result.set(itemId, parseMirrorDisplayValue(dv, aggFunc));
     } else {
        // Needs recursion
        const items = data?.mirrored_items || [];
@@ -198,7 +189,7 @@ export async function handleMirrorBatch({
              itemId: parseInt(i.linked_item?.id, 10)
           })));
        } else {
-          result.set(itemId, (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '');
+          result.set(itemId, createList([], { aggregate: aggFunc }));
        }
     }
   }
@@ -226,7 +217,8 @@ export async function handleMirrorBatch({
              itemIds: Array.from(ids),
              apiClient,
              schemaCache,
-             visitedPaths
+             visitedPaths,
+             context
           });
           for (const [id, val] of vals) resolvedCache.set(id, val);
         } catch (e) {
@@ -234,34 +226,41 @@ export async function handleMirrorBatch({
         }
      }));
 
-     // Aggregate per item
+     // Collect per item
      for (const [itemId, targets] of recursionQueue) {
         const values = [];
         for (const t of targets) {
            const val = resolvedCache.get(t.itemId);
            if (val !== null && val !== undefined && val !== '') values.push(val);
         }
-        
-        if (values.length === 0) {
-           result.set(itemId, (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '');
-        } else if (values.every(v => typeof v === 'number')) {
-           result.set(itemId, applyAggregationFunction(values, aggFunc));
-        } else {
-           result.set(itemId, values.join(', '));
-        }
+        result.set(itemId, createList(values, { aggregate: aggFunc }));
      }
   }
 
   // Final check for any missing items in result
   for (const itemId of itemIds) {
     if (!result.has(itemId)) {
-      result.set(itemId, (aggFunc === 'sum' || aggFunc === 'avg' || aggFunc === 'count') ? 0 : '');
+      result.set(itemId, createList([], { aggregate: aggFunc }));
     }
   }
 
   return result;
 }
 
+/**
+ * Reads a mirror display_value as a list of the linked values.
+ * Numeric items are numbers.
+ * Example: parseMirrorDisplayValue("10, 20, 30", "sum") => [10, 20, 30], displayed as 60
+ *
+ * @param {string} displayValue - Display value like "10, 20, 30" or "Project A, Project B"
+ * @param {string} aggFunc - Aggregation function (sum, avg, min, max, count)
+ * @returns {any[]} The list (see createList)
+ */
+export function parseMirrorDisplayValue(displayValue, aggFunc = 'sum') {
+  const items = toList(displayValue).map(item => (item !== '' && !isNaN(Number(item)) ? Number(item) : item));
+  return createList(items, { aggregate: aggFunc });
+}
+
 /**
  * Processes a mirror display_value that contains comma-separated numeric values.
  * Used when API returns display_value but aggregation is needed.
@@ -284,4 +283,4 @@ export function processMirrorDisplayValue(displayValue, aggFunc = 'sum') {
   return applyAggregationFunction(values, aggFunc);
 }
 
-export default { handleMirror, handleMirrorBatch, extractRelationColumnId, processMirrorDisplayValue };
+export default { handleMirror, handleMirrorBatch, extractRelationColumnId, parseMirrorDisplayValue, processMirrorDisplayValue };
@@ -0,0 +1,159 @@
+/**
+ * Handle Subitems Column
+ * Resolves subitems (subtasks) columns: the item's subitems and the values of
+ * their columns on the subitem board, for rollups.
+ *
+ * {subitems} is the list of subitem names. {subitems#numbers1} is the list of
+ * the subitems' numbers1 values, one per subitem in board order, resolved on
+ * the subitem board like any other column (formulas and mirrors included), so
+ * formulas roll them up with SUM, AVERAGE, MIN, MAX or COUNT, or SUMIF over
+ * another subitem column. Used as a single value, such a list is summed.
+ */
+
+import { fetchSubitems } from './graphql-queries.js';
+import { createList, createFieldValue } from '../values.js';
+import { ValueSource } from '../trace.js';
+
+/**
+ * Gets the subitem board ID of a subitem, falling back to the board in the
+ * subitems column settings ({ boardIds: [...] }).
+ */
+function subitemBoardId(subitem, settings) {
+  if (subitem.boardId) return subitem.boardId;
+  const boardId = settings?.boardIds?.[0];
+  return boardId ? String(boardId) : null;
+}
+
+/**
+ * Handles a subitems column.
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID (parent board)
+ * @param {Object} options.column - Column definition with settings
+ * @param {number} options.itemId - Item ID
+ * @param {string[]} [options.fields] - Subitem board columns to resolve ({column#field} references)
+ * @param {Object} options.apiClient - Monday API client
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
+ * @param {Function} options.resolveColumnValueBatch - Reference to batch resolver for the subitem columns
+ * @param {TraceSpan} [options.trace] - Span of the subitems column; annotated with the value source
+ * @param {EvaluationContext} [options.context] - Evaluation context, passed to subitem formulas
+ * @returns {Promise<any[]|FieldValue>} The list of subitem names; with fields, a field value
+ *   holding the list of values of each field
+ */
+export async function handleSubitems({
+  boardId,
+  column,
+  itemId,
+  fields = [],
+  apiClient,
+  schemaCache,
+  visitedPaths,
+  resolveColumnValueBatch,
+  trace = null,
+  context = null,
+}) {
+  trace?.annotate({ source: ValueSource.SUBITEMS });
+
+  const result = await handleSubitemsBatch({
+    boardId,
+    column,
+    itemIds: [itemId],
+    fields,
+    apiClient,
+    schemaCache,
+    visitedPaths,
+    resolveColumnValueBatch,
+    context,
+  });
+  return result.get(itemId);
+}
+
+/**
+ * Handles a subitems column for multiple items (batch).
+ * The subitems of all items are fetched in one query, and each field is
+ * resolved for all subitems of a subitem board at once.
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID (parent board)
+ * @param {Object} options.column - Column definition with settings
+ * @param {number[]} options.itemIds - Array of item IDs
+ * @param {string[]} [options.fields] - Subitem board columns to resolve ({column#field} references)
+ * @param {Object} options.apiClient - Monday API client
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @param {Set<string>} options.visitedPaths - Set of visited paths for cycle detection
+ * @param {Function} options.resolveColumnValueBatch - Reference to batch resolver for the subitem columns
+ * @param {EvaluationContext} [options.context] - Evaluation context, passed to subitem formulas
+ * @returns {Promise<Map<number, any[]|FieldValue>>} Map of itemId -> subitems value (see handleSubitems)
+ */
+export async function handleSubitemsBatch({
+  boardId,
+  column,
+  itemIds,
+  fields = [],
+  apiClient,
+  schemaCache,
+  visitedPaths,
+  resolveColumnValueBatch,
+  context = null,
+}) {
+  const settings = column.settings || {};
+  const subitemsByItem = await fetchSubitems(apiClient, itemIds);
+
+  // 1. Group the subitems of all items by subitem board
+  const idsByBoard = new Map(); // subitem board ID -> Set of subitem IDs
+  for (const subitems of subitemsByItem.values()) {
+    for (const subitem of subitems) {
+      const subitemBoard = subitemBoardId(subitem, settings);
+      if (!subitemBoard) continue;
+      if (!idsByBoard.has(subitemBoard)) idsByBoard.set(subitemBoard, new Set());
+      idsByBoard.get(subitemBoard).add(subitem.id);
+    }
+  }
+
+  // 2. Resolve each field on each subitem board (each with its own copy of the
+  //    visited paths, since the batch resolver marks them while it runs)
+  const fieldValues = new Map(); // "boardId:field" -> Map<subitemId, value>
+  await Promise.all(fields.flatMap(field => Array.from(idsByBoard.entries()).map(async ([subitemBoard, ids]) => {
+    try {
+      const values = await resolveColumnValueBatch({
+        boardId: subitemBoard,
+        columnId: field,
+        itemIds: Array.from(ids),
+        apiClient,
+        schemaCache,
+        visitedPaths: new Set(visitedPaths),
+        context,
+      });
+      fieldValues.set(`${subitemBoard}:${field}`, values);
+    } catch (error) {
+      console.error(`Error resolving subitem column ${field} on board ${subitemBoard}:`, error);
+    }
+  })));
+
+  // 3. Collect per item
+  const result = new Map();
+  for (const itemId of itemIds) {
+    const subitems = subitemsByItem.get(itemId) || [];
+    const names = createList(subitems.map(subitem => subitem.name));
+
+    if (fields.length === 0) {
+      result.set(itemId, names);
+      continue;
+    }
+
+    const values = {};
+    for (const field of fields) {
+      const items = subitems.map((subitem) => {
+        const value = fieldValues.get(`${subitemBoardId(subitem, settings)}:${field}`)?.get(subitem.id);
+        return value ?? '';
+      });
+      values[field] = createList(items, { aggregate: 'sum' });
+    }
+    result.set(itemId, createFieldValue(names, values));
+  }
+
+  return result;
+}
+
+export default { handleSubitems, handleSubitemsBatch };
@@ -5,11 +5,15 @@
  * Main exports:
  * - resolveColumnValue: Resolve a single item's column value
  * - resolveColumnValueBatch: Resolve multiple items' column values (batch)
+ * - resolveSubitemRollup: Aggregate a subitem column for an item
  * - createSchemaCache: Create a schema cache for column definitions
  */
 
+import { formatResult } from '../evaluator.js';
+import { createEvaluationContext } from '../context.js';
+
 // Main resolver functions
-export { resolveColumnValue, resolveColumnValueBatch } from './resolve-column-value.js';
+export { resolveColumnValue, resolveColumnValueBatch, resolveSubitemRollup } from './resolve-column-value.js';
 
 // Schema cache (with value caching for optimization)
 export { createSchemaCache, createSimpleCache, createOptimizedCache } from './schema-cache.js';
@@ -23,15 +27,40 @@ export {
   fetchLinkedItemIdsBatch,
   fetchNumericValue,
   fetchColumnValues,
+  fetchItemMetadata,
+  fetchSubitems,
+  fetchRawColumnValues,
+  fetchUsers,
   // Optimized queries
   fetchMirrorDeep,
   fetchMultiColumnsDeep,
   fetchItemsMirrorDeep,
 } from './graphql-queries.js';
 
+// Item metadata pseudo-columns ({name}, {group}, {creator}, ...)
+export {
+  ItemField,
+  getItemMetadataField,
+  isItemMetadataColumnId,
+  describeItemField,
+  readItemField,
+  resolveItemField,
+  resolveItemFieldBatch,
+} from './item-metadata.js';
+
+// Column sub-fields ({date4#hour}, {people#emails}, ...)
+export { resolveColumnFieldsBatch } from './column-fields.js';
+
+// Column type inference (schema only, no item data)
+export { inferColumnType } from './infer-column-type.js';
+
+// Dependency graph (schema only, no item data)
+export { buildDependencyGraph, EdgeKind } from './dependency-graph.js';
+
 // Handlers (for advanced usage)
 export { handleFormula, handleFormulaBatch } from './handle-formula.js';
-export { handleMirror, handleMirrorBatch, extractRelationColumnId, processMirrorDisplayValue } from './handle-mirror.js';
+export { handleMirror, handleMirrorBatch, extractRelationColumnId, parseMirrorDisplayValue, processMirrorDisplayValue } from './handle-mirror.js';
+export { handleSubitems, handleSubitemsBatch } from './handle-subitems.js';
 
 // Request coordinator (Optimization 5)
 export { createRequestCoordinator, createBatchResolver } from './request-coordinator.js';
@@ -46,6 +75,14 @@ export {
   selectStrategy,
 } from './strategy-selector.js';
 
+/**
+ * Converts a resolved value for callers outside formulas: dates (e.g. the
+ * creation date of an item) as text in the context time zone.
+ */
+function toOutputValue(value, context) {
+  return value instanceof Date ? formatResult(value, { timeZone: context.timeZone }) : value;
+}
+
 /**
  * Convenience function: Resolve column value with auto-created cache.
  * Creates a simple cache that lives for the duration of the call.
@@ -55,21 +92,25 @@ export {
  * @param {string} options.columnId - Column ID
  * @param {number} options.itemId - Item ID
  * @param {Object} options.apiClient - Monday API client { query: fn }
- * @returns {Promise<number|string>} The resolved value
+ * @param {EvaluationContext|Object} [options.context] - Evaluation context (see createEvaluationContext)
+ * @returns {Promise<number|string>} The resolved value; dates as text (YYYY-MM-DD)
  */
-export async function resolveValue({ boardId, columnId, itemId, apiClient }) {
+export async function resolveValue({ boardId, columnId, itemId, apiClient, context = null }) {
   const { createSimpleCache } = await import('./schema-cache.js');
   const { resolveColumnValue } = await import('./resolve-column-value.js');
   
   const schemaCache = createSimpleCache(apiClient);
   
-  return resolveColumnValue({
+  const evaluationContext = createEvaluationContext(context);
+  const value = await resolveColumnValue({
     boardId,
     columnId,
     itemId,
     apiClient,
     schemaCache,
+    context: evaluationContext,
   });
+  return toOutputValue(value, evaluationContext);
 }
 
 /**
@@ -80,21 +121,28 @@ export async function resolveValue({ boardId, columnId, itemId, apiClient }) {
  * @param {string} options.columnId - Column ID
  * @param {number[]} options.itemIds - Array of item IDs
  * @param {Object} options.apiClient - Monday API client { query: fn }
- * @returns {Promise<Map<number, number|string>>} Map of itemId -> value
+ * @param {EvaluationContext|Object} [options.context] - Evaluation context (see createEvaluationContext)
+ * @returns {Promise<Map<number, number|string>>} Map of itemId -> value; dates as text (YYYY-MM-DD)
  */
-export async function resolveValues({ boardId, columnId, itemIds, apiClient }) {
+export async function resolveValues({ boardId, columnId, itemIds, apiClient, context = null }) {
   const { createSimpleCache } = await import('./schema-cache.js');
   const { resolveColumnValueBatch } = await import('./resolve-column-value.js');
   
   const schemaCache = createSimpleCache(apiClient);
   
-  return resolveColumnValueBatch({
+  const evaluationContext = createEvaluationContext(context);
+  const values = await resolveColumnValueBatch({
     boardId,
     columnId,
     itemIds,
     apiClient,
     schemaCache,
+    context: evaluationContext,
   });
+  for (const [itemId, value] of values) {
+    values.set(itemId, toOutputValue(value, evaluationContext));
+  }
+  return values;
 }
 
 export default {
@@ -106,8 +154,20 @@ export default {
     const { resolveColumnValueBatch } = await import('./resolve-column-value.js');
     return resolveColumnValueBatch(options);
   },
+  resolveSubitemRollup: async (options) => {
+    const { resolveSubitemRollup } = await import('./resolve-column-value.js');
+    return resolveSubitemRollup(options);
+  },
   resolveValue,
   resolveValues,
+  inferColumnType: async (options) => {
+    const { inferColumnType } = await import('./infer-column-type.js');
+    return inferColumnType(options);
+  },
+  buildDependencyGraph: async (boardId, columnId, schemaCache) => {
+    const { buildDependencyGraph } = await import('./dependency-graph.js');
+    return buildDependencyGraph(boardId, columnId, schemaCache);
+  },
   createSchemaCache: async (apiClient, options) => {
     const { createSchemaCache } = await import('./schema-cache.js');
     return createSchemaCache(apiClient, options);
@@ -0,0 +1,103 @@
+/**
+ * Infer Column Type
+ * Determines the value type a board column produces (number, text, date, boolean),
+ * following formula dependencies and mirror targets through the schema cache.
+ */
+
+import { extractColumnIds } from '../parser.js';
+import { ValueType } from '../functions/index.js';
+import { getColumnValueType, inferFormulaType } from '../type-inference.js';
+import { getItemMetadataField, describeItemField } from './item-metadata.js';
+
+// Mirror aggregations that always produce a number
+const NUMERIC_AGGREGATIONS = new Set(['sum', 'avg', 'average', 'count', 'min', 'max']);
+
+/**
+ * Infers the value type of a column without fetching any item data.
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {string} options.columnId - Column ID
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @param {Set<string>} [options.visitedPaths] - Internal: columns visited for cycle detection
+ * @returns {Promise<string>} A ValueType (ANY when it cannot be determined)
+ */
+export async function inferColumnType({
+  boardId,
+  columnId,
+  schemaCache,
+  visitedPaths = new Set(),
+}) {
+  const pathKey = `${boardId}:${columnId}`;
+  if (visitedPaths.has(pathKey)) {
+    return ValueType.ANY;
+  }
+  visitedPaths.add(pathKey);
+
+  try {
+    const column = await schemaCache.getColumn(boardId, columnId);
+
+    if (!column) {
+      // Item metadata pseudo-columns ({name}, {group}, ...)
+      const field = getItemMetadataField(columnId, null);
+      return field ? describeItemField(field).valueType : ValueType.ANY;
+    }
+
+    if (column.type === 'formula') {
+      const formula = column.settings?.formula;
+      if (!formula) return ValueType.TEXT;
+
+      const dependencyColumnIds = extractColumnIds(formula);
+      const columnTypes = new Map();
+
+      // Each dependency gets its own copy of the visited paths: dependencies are
+      // inferred in parallel, and two of them may reference the same column
+      await Promise.all(dependencyColumnIds.map(async (depColumnId) => {
+        const type = await inferColumnType({
+          boardId,
+          columnId: depColumnId,
+          schemaCache,
+          visitedPaths: new Set(visitedPaths),
+        });
+        columnTypes.set(depColumnId, type);
+      }));
+
+      try {
+        return inferFormulaType(formula, columnTypes);
+      } catch (error) {
+        return ValueType.ANY;
+      }
+    }
+
+    if (column.type === 'mirror') {
+      const settings = column.settings || {};
+      const target = settings.displayed_linked_columns?.[0];
+      const targetColumnId = target?.column_ids?.[0];
+
+      if (!target?.board_id || !targetColumnId) {
+        return ValueType.TEXT;
+      }
+
+      const targetType = await inferColumnType({
+        boardId: String(target.board_id),
+        columnId: targetColumnId,
+        schemaCache,
+        visitedPaths,
+      });
+
+      // Numeric targets are aggregated; everything else is joined as text
+      if (targetType === ValueType.NUMBER && NUMERIC_AGGREGATIONS.has(String(settings.function || 'sum').toLowerCase())) {
+        return ValueType.NUMBER;
+      }
+      return targetType === ValueType.ANY ? ValueType.ANY : ValueType.TEXT;
+    }
+
+    return getColumnValueType(column.type);
+  } finally {
+    visitedPaths.delete(pathKey);
+  }
+}
+
+export default {
+  inferColumnType,
+};
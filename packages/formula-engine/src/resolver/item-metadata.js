@@ -0,0 +1,190 @@
+/**
+ * Item Metadata
+ * Resolves references to item-level data that is not a column value: the item
+ * name, ID, group, creation and update dates, and creator.
+ *
+ * Formulas reference them as pseudo-columns ({name}, {item_id}, {group},
+ * {created_at}, {updated_at}, {creator}) when the board has no column with
+ * that ID. Board columns of the name, item ID, creation log and last updated
+ * types are read from the same item data, since their column values are empty.
+ *
+ * One query fetches all the metadata of an item, so a formula that references
+ * several of these fields makes a single request per item.
+ */
+
+import { fetchItemMetadata } from './graphql-queries.js';
+import { ValueType } from '../functions/index.js';
+
+// Value cache column ID under which an item's metadata record is kept
+const RECORD_COLUMN_ID = '__item_metadata__';
+
+/**
+ * Item metadata fields
+ */
+export const ItemField = {
+  NAME: 'name',
+  ITEM_ID: 'item_id',
+  GROUP: 'group',
+  CREATED_AT: 'created_at',
+  UPDATED_AT: 'updated_at',
+  CREATOR: 'creator',
+};
+
+/**
+ * Field -> title, value type, and how the formula value is read from the item record
+ */
+const FIELDS = {
+  [ItemField.NAME]: { title: 'Name', valueType: ValueType.TEXT, read: item => item.name ?? '' },
+  [ItemField.ITEM_ID]: { title: 'Item ID', valueType: ValueType.NUMBER, read: item => Number(item.id) },
+  [ItemField.GROUP]: { title: 'Group', valueType: ValueType.TEXT, read: item => item.group?.title ?? '' },
+  [ItemField.CREATED_AT]: { title: 'Created at', valueType: ValueType.DATE, read: item => toDate(item.created_at) },
+  [ItemField.UPDATED_AT]: { title: 'Updated at', valueType: ValueType.DATE, read: item => toDate(item.updated_at) },
+  [ItemField.CREATOR]: { title: 'Creator', valueType: ValueType.TEXT, read: item => item.creator?.name ?? '' },
+};
+
+/**
+ * Board column types whose values are item metadata
+ */
+const COLUMN_TYPE_FIELDS = {
+  name: ItemField.NAME,
+  item_id: ItemField.ITEM_ID,
+  creation_log: ItemField.CREATED_AT,
+  last_updated: ItemField.UPDATED_AT,
+};
+
+/**
+ * Converts an API timestamp to a Date ('' when missing or invalid).
+ */
+function toDate(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? '' : date;
+}
+
+/**
+ * Gets the item metadata field a column reference reads.
+ *
+ * @param {string} columnId - Referenced column ID
+ * @param {Object|null} column - Board column with that ID (null if the board has none)
+ * @returns {string|null} An ItemField, or null for a regular column value
+ */
+export function getItemMetadataField(columnId, column) {
+  if (column) {
+    return COLUMN_TYPE_FIELDS[column.type] ?? null;
+  }
+  return Object.prototype.hasOwnProperty.call(FIELDS, columnId) ? columnId : null;
+}
+
+/**
+ * Checks if a column ID is an item metadata pseudo-column ({name}, {group}, ...).
+ * @param {string} columnId - Column ID
+ * @returns {boolean} True for pseudo-column IDs
+ */
+export function isItemMetadataColumnId(columnId) {
+  return Object.prototype.hasOwnProperty.call(FIELDS, columnId);
+}
+
+/**
+ * Describes a metadata field.
+ * @param {string} field - An ItemField
+ * @returns {{title: string, valueType: string}|null} Title and ValueType, or null if unknown
+ */
+export function describeItemField(field) {
+  const definition = FIELDS[field];
+  return definition ? { title: definition.title, valueType: definition.valueType } : null;
+}
+
+/**
+ * Reads a metadata field from an item record (as returned by fetchItemMetadata).
+ * @param {Object|null} item - Item record
+ * @param {string} field - An ItemField
+ * @returns {string|number|Date} The formula value ('' when the item was not found)
+ */
+export function readItemField(item, field) {
+  if (!item) return '';
+  return FIELDS[field]?.read(item) ?? '';
+}
+
+/**
+ * Resolves a metadata field for a single item.
+ * The item record is cached (and shared by concurrent requests) in the schema
+ * cache, so other fields of the same item need no further request.
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {number} options.itemId - Item ID
+ * @param {string} options.field - An ItemField
+ * @param {Object} options.apiClient - Monday API client
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @returns {Promise<string|number|Date>} The formula value
+ */
+export async function resolveItemField({ boardId, itemId, field, apiClient, schemaCache }) {
+  if (schemaCache.hasValue && schemaCache.hasValue(boardId, RECORD_COLUMN_ID, itemId)) {
+    return readItemField(schemaCache.getCachedValue(boardId, RECORD_COLUMN_ID, itemId), field);
+  }
+
+  if (schemaCache.hasPendingValue && schemaCache.hasPendingValue(boardId, RECORD_COLUMN_ID, itemId)) {
+    return readItemField(await schemaCache.getPendingValue(boardId, RECORD_COLUMN_ID, itemId), field);
+  }
+
+  const request = fetchItemMetadata(apiClient, [itemId]).then(records => records.get(itemId) ?? null);
+  if (schemaCache.setPendingValue) {
+    schemaCache.setPendingValue(boardId, RECORD_COLUMN_ID, itemId, request);
+  }
+
+  try {
+    const item = await request;
+    if (schemaCache.setCachedValue) {
+      schemaCache.setCachedValue(boardId, RECORD_COLUMN_ID, itemId, item);
+    }
+    return readItemField(item, field);
+  } finally {
+    if (schemaCache.removePendingValue) {
+      schemaCache.removePendingValue(boardId, RECORD_COLUMN_ID, itemId);
+    }
+  }
+}
+
+/**
+ * Resolves a metadata field for multiple items, fetching only the items whose
+ * record is not cached yet.
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {number[]} options.itemIds - Item IDs
+ * @param {string} options.field - An ItemField
+ * @param {Object} options.apiClient - Monday API client
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @returns {Promise<Map<number, string|number|Date>>} Map of itemId -> formula value
+ */
+export async function resolveItemFieldBatch({ boardId, itemIds, field, apiClient, schemaCache }) {
+  const isCached = (itemId) => Boolean(schemaCache.hasValue && schemaCache.hasValue(boardId, RECORD_COLUMN_ID, itemId));
+  const missing = itemIds.filter(itemId => !isCached(itemId));
+  const fetched = missing.length > 0 ? await fetchItemMetadata(apiClient, missing) : new Map();
+
+  for (const itemId of missing) {
+    if (schemaCache.setCachedValue) {
+      schemaCache.setCachedValue(boardId, RECORD_COLUMN_ID, itemId, fetched.get(itemId) ?? null);
+    }
+  }
+
+  const result = new Map();
+  for (const itemId of itemIds) {
+    const item = isCached(itemId)
+      ? schemaCache.getCachedValue(boardId, RECORD_COLUMN_ID, itemId)
+      : fetched.get(itemId) ?? null;
+    result.set(itemId, readItemField(item, field));
+  }
+
+  return result;
+}
+
+export default {
+  ItemField,
+  getItemMetadataField,
+  isItemMetadataColumnId,
+  describeItemField,
+  readItemField,
+  resolveItemField,
+  resolveItemFieldBatch,
+};
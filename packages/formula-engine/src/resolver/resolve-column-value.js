@@ -7,6 +7,15 @@
  * 2. Try display_value (optimization)
  * 3. If null or needs processing → recursion
  * 4. Cache result for reuse
+ *
+ * Item metadata ({name}, {group}, {creator}, ...) is read from the item
+ * itself (see item-metadata.js), subitems columns from the item's subitems
+ * (see handle-subitems.js), and column sub-fields ({date4#hour}) from the raw
+ * column value (see column-fields.js).
+ *
+ * Mirrors resolve to lists of their linked values. Callers get the mirror's
+ * displayed value (e.g. the sum) unless they ask for the list (asList), as
+ * formulas do so list functions can read the individual values.
  * 
  * OPTIMIZATIONS (2026-01):
  * - Value caching prevents repeated API calls for same item/column
@@ -15,10 +24,16 @@
 
 import { fetchDisplayValue, fetchDisplayValueBatch, fetchNumericValue } from './graphql-queries.js';
 import { handleFormula, handleFormulaBatch } from './handle-formula.js';
-import { handleMirror, handleMirrorBatch, processMirrorDisplayValue } from './handle-mirror.js';
-import { parseNumericValues, applyAggregationFunction } from '../column-value-extractor.js';
-import { extractColumnIds } from '../index.js';
+import { handleMirror, handleMirrorBatch, parseMirrorDisplayValue } from './handle-mirror.js';
+import { getItemMetadataField, resolveItemField, resolveItemFieldBatch } from './item-metadata.js';
+import { handleSubitems, handleSubitemsBatch } from './handle-subitems.js';
+import { resolveColumnFieldsBatch } from './column-fields.js';
+import { applyAggregationFunction } from '../column-value-extractor.js';
+import { extractColumnIds } from '../parser.js';
 import { analyzeFormulaDependencies, analyzeMirrorTarget } from './strategy-selector.js';
+import { ErrorCode, createError, createFieldValue, toScalar, isError, findError, toList } from '../values.js';
+import { SpanKind, ValueSource } from '../trace.js';
+import { createEvaluationContext } from '../context.js';
 
 /**
  * Resolves the actual value of a Formula/Mirror column for a single item.
@@ -31,7 +46,18 @@ import { analyzeFormulaDependencies, analyzeMirrorTarget } from './strategy-sele
  * @param {Object} options.apiClient - Monday API client { query: fn }
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} [options.visitedPaths] - Internal: paths visited for cycle detection
- * @returns {Promise<number|string>} The resolved value
+ * @param {TraceSpan} [options.trace] - Span (see createTrace) to record the resolution under,
+ *   including the source of each value and nested formula evaluations
+ * @param {EvaluationContext|Object} [options.context] - Clock, time zone, locale, week start,
+ *   weekend, holidays, random seed and function overrides for formulas evaluated during the resolution
+ *   (see createEvaluationContext)
+ * @param {boolean} [options.asList=false] - Return mirror values as lists (see createList)
+ *   instead of their displayed value
+ * @param {string[]} [options.fields] - Fields referenced as {column#field}, e.g. ['hour'] for
+ *   {date4#hour} (see getColumnTypeFields) or, for subitems columns, the subitem board columns
+ *   to resolve. The value is then a field value (see createFieldValue) when asList
+ * @returns {Promise<number|string|any[]|FieldValue|FormulaError>} The resolved value; #REF! for missing
+ *   columns and #CYCLE for circular references
  */
 export async function resolveColumnValue({
   boardId,
@@ -40,24 +66,54 @@ export async function resolveColumnValue({
   apiClient,
   schemaCache,
   visitedPaths = new Set(),
+  trace = null,
+  context = null,
+  asList = false,
+  fields = [],
 }) {
+  const pathKey = `${boardId}:${columnId}:${itemId}`;
+  const span = trace ? trace.child(SpanKind.COLUMN, pathKey, { boardId, columnId, itemId }) : null;
+
+  // Values with fields are cached apart from the plain value
+  const valueKey = fields.length > 0 ? [columnId, ...[...fields].sort()].join('#') : columnId;
+
   // 0. Check value cache first (if supported by schemaCache)
-  if (schemaCache.hasValue && schemaCache.hasValue(boardId, columnId, itemId)) {
-    return schemaCache.getCachedValue(boardId, columnId, itemId);
+  if (schemaCache.hasValue && schemaCache.hasValue(boardId, valueKey, itemId)) {
+    span?.annotate({ source: ValueSource.VALUE_CACHE });
+    return finishSpan(span, schemaCache.getCachedValue(boardId, valueKey, itemId), asList);
   }
 
-  // 0.5 Check if resolution is already pending (Optimization 2: Deduplication)
-  if (schemaCache.hasPendingValue && schemaCache.hasPendingValue(boardId, columnId, itemId)) {
-    return schemaCache.getPendingValue(boardId, columnId, itemId);
+  // 0.5 Cycle detection. Checked before pending resolutions: a column that
+  // depends on itself would otherwise wait on its own pending promise.
+  if (visitedPaths.has(pathKey)) {
+    console.warn(`Cycle detected at ${pathKey}, returning ${ErrorCode.CYCLE}`);
+    span?.annotate({ source: ValueSource.CYCLE });
+    return finishSpan(span, createError(ErrorCode.CYCLE, `Circular reference at ${pathKey}`), asList);
   }
 
-  // 1. Cycle detection
-  const pathKey = `${boardId}:${columnId}:${itemId}`;
-  if (visitedPaths.has(pathKey)) {
-    console.warn(`Cycle detected at ${pathKey}, returning 0`);
-    return 0;
+  // The resolution this one is a dependency of, if any
+  const caller = [...visitedPaths].at(-1) ?? null;
+  const waits = getResolutionWaits(schemaCache);
+
+  // 1. Check if resolution is already pending (Optimization 2: Deduplication)
+  if (schemaCache.hasPendingValue && schemaCache.hasPendingValue(boardId, valueKey, itemId)) {
+    // A pending resolution that waits on the caller is a cycle across branches
+    // resolved in parallel (e.g. {a}+{b} with a -> b -> a): waiting would hang
+    if (caller && waitsOn(waits, pathKey, caller)) {
+      console.warn(`Cycle detected at ${pathKey}, returning ${ErrorCode.CYCLE}`);
+      span?.annotate({ source: ValueSource.CYCLE });
+      return finishSpan(span, createError(ErrorCode.CYCLE, `Circular reference at ${pathKey}`), asList);
+    }
+
+    span?.annotate({ source: ValueSource.PENDING });
+    const pending = schemaCache.getPendingValue(boardId, valueKey, itemId);
+    return finishSpan(span, await waitFor(waits, caller, pathKey, pending), asList);
   }
-  visitedPaths.add(pathKey);
+
+  // Each resolution gets its own copy of the path, so dependencies resolved
+  // in parallel don't see each other's columns as cycles
+  const path = new Set(visitedPaths);
+  path.add(pathKey);
 
   // Create resolution promise and track it (Optimization 2: Deduplication)
   const resolutionPromise = resolveColumnValueInternal({
@@ -66,26 +122,82 @@ export async function resolveColumnValue({
     itemId,
     apiClient,
     schemaCache,
-    visitedPaths,
+    visitedPaths: path,
+    span,
+    context: createEvaluationContext(context),
+    fields,
+    valueKey,
   });
 
   if (schemaCache.setPendingValue) {
-    schemaCache.setPendingValue(boardId, columnId, itemId, resolutionPromise);
+    schemaCache.setPendingValue(boardId, valueKey, itemId, resolutionPromise);
   }
 
   try {
-    const result = await resolutionPromise;
-    return result;
+    const result = await waitFor(waits, caller, pathKey, resolutionPromise);
+    return finishSpan(span, result, asList);
   } finally {
-    visitedPaths.delete(pathKey);
     if (schemaCache.removePendingValue) {
-      schemaCache.removePendingValue(boardId, columnId, itemId);
+      schemaCache.removePendingValue(boardId, valueKey, itemId);
     }
   }
 }
 
+// Resolutions in flight and the resolutions they wait on, per schema cache
+// (whose pending values they wait on): path key -> Map of path key -> count
+const resolutionWaits = new WeakMap();
+
+function getResolutionWaits(schemaCache) {
+  if (!resolutionWaits.has(schemaCache)) resolutionWaits.set(schemaCache, new Map());
+  return resolutionWaits.get(schemaCache);
+}
+
+/**
+ * Checks whether the resolution of `from` waits, directly or through other
+ * resolutions, on the resolution of `to`.
+ */
+function waitsOn(waits, from, to, seen = new Set()) {
+  if (from === to) return true;
+  if (seen.has(from)) return false;
+  seen.add(from);
+  for (const next of waits.get(from)?.keys() ?? []) {
+    if (waitsOn(waits, next, to, seen)) return true;
+  }
+  return false;
+}
+
+/**
+ * Waits on a resolution, recording that the caller (if any) waits on it
+ * until it settles.
+ */
+async function waitFor(waits, caller, pathKey, promise) {
+  if (!caller) return promise;
+
+  const targets = waits.get(caller) ?? new Map();
+  waits.set(caller, targets);
+  targets.set(pathKey, (targets.get(pathKey) ?? 0) + 1);
+  try {
+    return await promise;
+  } finally {
+    const count = targets.get(pathKey) - 1;
+    if (count > 0) targets.set(pathKey, count);
+    else targets.delete(pathKey);
+    if (targets.size === 0 && waits.get(caller) === targets) waits.delete(caller);
+  }
+}
+
+/**
+ * Finishes a trace span (if tracing) and returns the value; lists as their
+ * displayed value unless asList.
+ */
+function finishSpan(span, value, asList = false) {
+  const result = asList ? value : toScalar(value);
+  return span ? span.finish(result) : result;
+}
+
 /**
  * Internal resolver (called after deduplication check).
+ * span (if tracing) is annotated with the source of the value.
  */
 async function resolveColumnValueInternal({
   boardId,
@@ -94,19 +206,45 @@ async function resolveColumnValueInternal({
   apiClient,
   schemaCache,
   visitedPaths,
+  span,
+  context,
+  fields,
+  valueKey,
 }) {
   // 2. Get column definition from cache
   const column = await schemaCache.getColumn(boardId, columnId);
+  const metadataField = getItemMetadataField(columnId, column);
 
-  if (!column) {
+  if (!column && !metadataField) {
     console.warn(`Column ${columnId} not found in board ${boardId}`);
-    return '';
+    span?.annotate({ source: ValueSource.MISSING });
+    return createError(ErrorCode.REF, `Column ${columnId} not found in board ${boardId}`);
   }
 
   let result;
 
+  // 2.5 Item metadata (name, group, creator, ...) comes from the item, not its column values
+  if (metadataField) {
+    span?.annotate({ source: ValueSource.ITEM_METADATA });
+    result = await resolveItemField({ boardId, itemId, field: metadataField, apiClient, schemaCache });
+  }
+  // 2.6 Subitems: their names, or the values of subitem board columns (fields)
+  else if (column.type === 'subtasks') {
+    result = await handleSubitems({
+      boardId,
+      column,
+      itemId,
+      fields,
+      apiClient,
+      schemaCache,
+      visitedPaths,
+      resolveColumnValueBatch,
+      trace: span,
+      context,
+    });
+  }
   // 3. For mirrors, use optimized deep fetch (skips display_value step)
-  if (column.type === 'mirror') {
+  else if (column.type === 'mirror') {
     result = await handleMirror({
       boardId,
       column,
@@ -115,6 +253,8 @@ async function resolveColumnValueInternal({
       schemaCache,
       visitedPaths,
       resolveColumnValue,
+      trace: span,
+      context,
     });
   }
   // 4. For formulas, check if we should skip display_value fetch
@@ -132,6 +272,7 @@ async function resolveColumnValueInternal({
     
     if (shouldSkipDisplayValue) {
       // Skip display_value fetch - go straight to recursive resolution
+      span?.annotate({ source: ValueSource.RECURSION });
       result = await handleFormula({
         boardId,
         column,
@@ -140,6 +281,8 @@ async function resolveColumnValueInternal({
         schemaCache,
         visitedPaths,
         resolveColumnValue,
+        trace: span,
+        context,
       });
     } else {
       // Try display_value first (might work for simple formulas)
@@ -147,6 +290,7 @@ async function resolveColumnValueInternal({
       const isNullish = displayValue === null || displayValue === undefined || displayValue === 'null' || displayValue === '';
       
       if (!isNullish) {
+        span?.annotate({ source: ValueSource.DISPLAY_VALUE });
         // Strict typing: Only convert if it's a pure number string
         if (typeof displayValue === 'string' && /^-?\d+(\.\d+)?$/.test(displayValue)) {
           result = parseFloat(displayValue);
@@ -154,6 +298,7 @@ async function resolveColumnValueInternal({
           result = typeof displayValue === 'number' ? displayValue : String(displayValue);
         }
       } else {
+        span?.annotate({ source: ValueSource.RECURSION });
         result = await handleFormula({
           boardId,
           column,
@@ -162,6 +307,8 @@ async function resolveColumnValueInternal({
           schemaCache,
           visitedPaths,
           resolveColumnValue,
+          trace: span,
+          context,
         });
       }
     }
@@ -172,6 +319,7 @@ async function resolveColumnValueInternal({
     const isNullish = displayValue === null || displayValue === undefined || displayValue === 'null' || displayValue === '';
     
     if (!isNullish) {
+      span?.annotate({ source: ValueSource.DISPLAY_VALUE });
       if (typeof displayValue === 'number') {
         result = displayValue;
       } else {
@@ -185,16 +333,23 @@ async function resolveColumnValueInternal({
     } else {
       // Smart Default: numbers returns 0, everything else returns empty string
       if (column.type === 'numbers') {
+        span?.annotate({ source: ValueSource.NUMERIC_VALUE });
         result = await fetchNumericValue(apiClient, boardId, columnId, itemId);
       } else {
+        span?.annotate({ source: ValueSource.DISPLAY_VALUE });
         result = '';
       }
     }
   }
 
+  // 5.5 Sub-fields ({date4#hour}) from the raw column value
+  if (column && !metadataField) {
+    result = (await addColumnFields(new Map([[itemId, result]]), { column, fields, apiClient, context })).get(itemId);
+  }
+
   // 6. Cache the result
   if (schemaCache.setCachedValue) {
-    schemaCache.setCachedValue(boardId, columnId, itemId, result);
+    schemaCache.setCachedValue(boardId, valueKey, itemId, result);
   }
 
   return result;
@@ -211,17 +366,37 @@ async function resolveColumnValueInternal({
  * @param {Object} options.apiClient - Monday API client
  * @param {Object} options.schemaCache - Schema cache instance
  * @param {Set<string>} [options.visitedPaths] - Internal: paths visited for cycle detection
- * @returns {Promise<Map<number, number|string>>} Map of itemId -> resolved value
+ * @param {EvaluationContext|Object} [options.context] - Evaluation context (see resolveColumnValue)
+ * @param {boolean} [options.asList=false] - Return mirror values as lists (see resolveColumnValue)
+ * @param {string[]} [options.fields] - Fields referenced as {column#field} (see resolveColumnValue)
+ * @returns {Promise<Map<number, number|string|any[]|FieldValue|FormulaError>>} Map of itemId -> resolved value
+ */
+export async function resolveColumnValueBatch({ asList = false, ...options }) {
+  const result = await resolveColumnValueBatchInternal(options);
+
+  if (!asList) {
+    for (const [itemId, value] of result) {
+      result.set(itemId, toScalar(value));
+    }
+  }
+  return result;
+}
+
+/**
+ * Internal batch resolver; mirror values are lists.
  */
-export async function resolveColumnValueBatch({
+async function resolveColumnValueBatchInternal({
   boardId,
   columnId,
   itemIds,
   apiClient,
   schemaCache,
   visitedPaths = new Set(),
+  context = null,
+  fields = [],
 }) {
   const result = new Map();
+  const evaluationContext = createEvaluationContext(context);
 
   if (!itemIds || itemIds.length === 0) {
     return result;
@@ -230,9 +405,9 @@ export async function resolveColumnValueBatch({
   // 1. Cycle detection (batch level)
   const pathKey = `${boardId}:${columnId}`;
   if (visitedPaths.has(pathKey)) {
-    console.warn(`Cycle detected at ${pathKey} (batch), returning zeros`);
+    console.warn(`Cycle detected at ${pathKey} (batch), returning ${ErrorCode.CYCLE}`);
     for (const itemId of itemIds) {
-      result.set(itemId, 0);
+      result.set(itemId, createError(ErrorCode.CYCLE, `Circular reference at ${pathKey}`));
     }
     return result;
   }
@@ -241,15 +416,36 @@ export async function resolveColumnValueBatch({
   try {
     // 2. Get column definition
     const column = await schemaCache.getColumn(boardId, columnId);
+    const metadataField = getItemMetadataField(columnId, column);
+
+    // Item metadata (name, group, creator, ...) for all items in one request
+    if (metadataField) {
+      return resolveItemFieldBatch({ boardId, itemIds, field: metadataField, apiClient, schemaCache });
+    }
 
     if (!column) {
       console.warn(`Column ${columnId} not found in board ${boardId}`);
       for (const itemId of itemIds) {
-        result.set(itemId, '');
+        result.set(itemId, createError(ErrorCode.REF, `Column ${columnId} not found in board ${boardId}`));
       }
       return result;
     }
 
+    // Subitems of all items in one request
+    if (column.type === 'subtasks') {
+      return handleSubitemsBatch({
+        boardId,
+        column,
+        itemIds,
+        fields,
+        apiClient,
+        schemaCache,
+        visitedPaths,
+        resolveColumnValueBatch,
+        context: evaluationContext,
+      });
+    }
+
     // 2.5 OPTIMIZATION: Check if we should skip display_value fetch
     let shouldSkipDisplayValue = false;
     
@@ -284,9 +480,9 @@ export async function resolveColumnValueBatch({
         // Empty string "" also means we need to recurse (e.g., mirror with linked items that have values)
         const isNullish = displayValue === null || displayValue === undefined || displayValue === 'null' || displayValue === '';
         if (!isNullish) {
-          // Mirror with comma-separated values (numeric aggregation)
-          if (column.type === 'mirror' && typeof displayValue === 'string' && /^-?\d+(\.\d+)?(,\s*-?\d+(\.\d+)?)*$/.test(displayValue)) {
-            result.set(itemId, processMirrorDisplayValue(displayValue, aggFunc));
+          // Mirror with comma-separated values
+          if (column.type === 'mirror') {
+            result.set(itemId, parseMirrorDisplayValue(displayValue, aggFunc));
           }
           // Number
           else if (typeof displayValue === 'number') {
@@ -314,7 +510,7 @@ export async function resolveColumnValueBatch({
 
     // 5. If no items need recursion, we're done
     if (itemsNeedingRecursion.length === 0) {
-      return result;
+      return addColumnFields(result, { column, fields, apiClient, context: evaluationContext });
     }
 
     // 6. Handle items that need recursion
@@ -329,6 +525,7 @@ export async function resolveColumnValueBatch({
         schemaCache,
         visitedPaths,
         resolveColumnValueBatch, // Pass self for recursion
+        context: evaluationContext,
       });
     } else if (column.type === 'mirror') {
       recursiveResults = await handleMirrorBatch({
@@ -339,6 +536,7 @@ export async function resolveColumnValueBatch({
         schemaCache,
         visitedPaths,
         resolveColumnValueBatch, // Pass self for recursion
+        context: evaluationContext,
       });
     } else {
       // Other column types - fetch one by one (fallback)
@@ -354,14 +552,92 @@ export async function resolveColumnValueBatch({
       result.set(itemId, value);
     }
 
-    return result;
+    return addColumnFields(result, { column, fields, apiClient, context: evaluationContext });
 
   } finally {
     visitedPaths.delete(pathKey);
   }
 }
 
+/**
+ * Adds the sub-fields of a column ({date4#hour}, {people#emails}) to resolved
+ * values, as field values. Subitems columns resolve their own fields, and
+ * errors are kept as they are.
+ * @returns {Promise<Map<number, any>>} The values map
+ */
+async function addColumnFields(values, { column, fields, apiClient, context }) {
+  if (fields.length === 0 || column.type === 'subtasks') {
+    return values;
+  }
+
+  const itemIds = Array.from(values.keys()).filter(itemId => !isError(values.get(itemId)));
+  const fieldValues = await resolveColumnFieldsBatch({ column, itemIds, fields, apiClient, context });
+  for (const itemId of itemIds) {
+    values.set(itemId, createFieldValue(values.get(itemId), fieldValues.get(itemId)));
+  }
+  return values;
+}
+
+/**
+ * Rolls up a subitem board column for an item, e.g. the total hours of its subitems.
+ * Subitem formulas and mirrors are resolved like any other column; values that
+ * are not numbers are left out.
+ *
+ * Example:
+ *   await resolveSubitemRollup({ boardId, columnId: 'subitems', itemId, subitemColumnId: 'numbers1',
+ *     aggregation: 'max', apiClient, schemaCache }); // 8
+ *
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID (parent board)
+ * @param {string} options.columnId - Subitems column ID
+ * @param {number} options.itemId - Item ID
+ * @param {string} options.subitemColumnId - Column ID on the subitem board
+ * @param {string} [options.aggregation='sum'] - sum, avg, count, min or max
+ * @param {Object} options.apiClient - Monday API client
+ * @param {Object} options.schemaCache - Schema cache instance
+ * @param {TraceSpan} [options.trace] - Span to record the resolution under
+ * @param {EvaluationContext|Object} [options.context] - Evaluation context (see resolveColumnValue)
+ * @returns {Promise<number|FormulaError>} The aggregated value (0 without subitems); the
+ *   first error among the subitem values, or #REF! if columnId is not a subitems column
+ */
+export async function resolveSubitemRollup({
+  boardId,
+  columnId,
+  itemId,
+  subitemColumnId,
+  aggregation = 'sum',
+  apiClient,
+  schemaCache,
+  trace = null,
+  context = null,
+}) {
+  const column = await schemaCache.getColumn(boardId, columnId);
+  if (column?.type !== 'subtasks') {
+    return createError(ErrorCode.REF, `Column ${columnId} is not a subitems column in board ${boardId}`);
+  }
+
+  const value = await resolveColumnValue({
+    boardId,
+    columnId,
+    itemId,
+    apiClient,
+    schemaCache,
+    trace,
+    context,
+    asList: true,
+    fields: [subitemColumnId],
+  });
+  if (isError(value)) return value;
+
+  const items = toList(value.fields[subitemColumnId]);
+  const error = findError(items);
+  if (error) return error;
+
+  return applyAggregationFunction(items.filter(item => typeof item === 'number'), aggregation);
+}
+
 export default {
   resolveColumnValue,
   resolveColumnValueBatch,
+  resolveSubitemRollup,
 };
@@ -7,7 +7,8 @@
  * without making actual API calls.
  */
 
-import { resolveColumnValue, resolveColumnValueBatch, createSimpleCache } from './index.js';
+import { resolveColumnValue, resolveColumnValueBatch, resolveSubitemRollup, resolveValue, resolveValues, createSimpleCache, handleFormula } from './index.js';
+import { createTrace, formatTrace, ValueSource } from '../trace.js';
 
 // ============================================================================
 // Mock API Client
@@ -32,7 +33,17 @@ function createMockApiClient(mockData) {
       }
       
       if (query.includes('GetDisplayValueBatch')) {
-        return mockData.displayValueBatch || { boards: [] };
+        // Only the requested column, as the API returns
+        return {
+          boards: (mockData.displayValueBatch?.boards || []).map(board => ({
+            items_page: {
+              items: board.items_page.items.map(item => ({
+                ...item,
+                column_values: item.column_values.filter(cv => cv.id === variables.columnId),
+              })),
+            },
+          })),
+        };
       }
       
       if (query.includes('GetNumericValue')) {
@@ -53,6 +64,32 @@ function createMockApiClient(mockData) {
         return mockData.itemsMirrorDeep || { items: [] };
       }
       
+      if (query.includes('GetItemsMetadata')) {
+        const ids = variables.itemIds.map(String);
+        return { items: (mockData.itemsMetadata || []).filter(i => ids.includes(String(i.id))) };
+      }
+      
+      if (query.includes('GetRawColumnValues')) {
+        const ids = variables.itemIds.map(String);
+        const values = mockData.rawColumnValues?.[variables.columnId] || {};
+        return {
+          items: ids.filter(id => values[id]).map(id => ({
+            id,
+            column_values: [{ id: variables.columnId, ...values[id], value: JSON.stringify(values[id].value) }],
+          })),
+        };
+      }
+      
+      if (query.includes('GetUsers')) {
+        const ids = variables.userIds.map(String);
+        return { users: (mockData.users || []).filter(u => ids.includes(String(u.id))) };
+      }
+      
+      if (query.includes('GetSubitems')) {
+        const ids = variables.itemIds.map(String);
+        return { items: (mockData.subitems || []).filter(i => ids.includes(String(i.id))) };
+      }
+      
       if (query.includes('GetMultiColumnsDeep')) {
         const item = mockData.multiColumnsDeep?.[variables.itemId] || 
                      (mockData.multiColumnsDeep?.items && mockData.multiColumnsDeep.items.find(i => String(i.id) === String(variables.itemId))) ||
@@ -457,6 +494,540 @@ async function testMirrorTextAggregation() {
   console.log('Pass:', result === 'Project A, Project B');
 }
 
+async function testFormulaOverMirrorList() {
+  console.log('\n=== Test: Formulas read the individual values of a mirror ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          {
+            id: 'mirror1',
+            title: 'Mirror',
+            type: 'mirror',
+            settings: {
+              function: 'sum',
+              displayed_linked_columns: [{ board_id: '456', column_ids: ['numbers1'] }],
+              relation_column: { 'connect1': true }
+            }
+          },
+          { id: 'formula_stats', title: 'Stats', type: 'formula', settings: { formula: 'AVERAGE({mirror1}) + COUNT({mirror1}) + {mirror1}' } },
+          { id: 'formula_sorted', title: 'Sorted', type: 'formula', settings: { formula: 'TEXTJOIN(" < ", TRUE, SORT({mirror1}))' } },
+        ]
+      }]
+    },
+    mirrorDeep: {
+      items: [{ id: '100', column_values: [{ id: 'mirror1', type: 'mirror', display_value: '30, 10, 20' }] }]
+    },
+    displayValueBatch: {
+      boards: [{
+        items_page: {
+          items: [{ id: '100', column_values: [{ id: 'mirror1', type: 'mirror', display_value: '30, 10, 20' }] }]
+        }
+      }]
+    }
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const resolve = (columnId) => resolveColumnValue({
+    boardId: '123',
+    columnId,
+    itemId: 100,
+    apiClient,
+    schemaCache: createSimpleCache(apiClient),
+  });
+  
+  const mirror = await resolve('mirror1');
+  const stats = await resolve('formula_stats');
+  const sorted = await resolve('formula_sorted');
+  const resolveBatch = (asList) => resolveColumnValueBatch({
+    boardId: '123',
+    columnId: 'mirror1',
+    itemIds: [100],
+    apiClient,
+    schemaCache: createSimpleCache(apiClient),
+    asList,
+  });
+  const batch = (await resolveBatch(false)).get(100);
+  const list = (await resolveBatch(true)).get(100);
+  
+  console.log('Result:', mirror, stats, sorted, batch, list);
+  console.log('Expected: 60 83 "10 < 20 < 30" 60 [30, 10, 20] (average 20 + count 3 + sum 60)');
+  console.log('Pass:', mirror === 60 && stats === 83 && sorted === '10 < 20 < 30'
+    && batch === 60 && JSON.stringify(list) === '[30,10,20]');
+}
+
+async function testLazyFormulaBranches() {
+  console.log('\n=== Test: Formula resolves only the taken IF branch ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'numbers1', title: 'Numbers', type: 'numbers', settings: {} },
+          {
+            id: 'mirror_1',
+            title: 'Mirror',
+            type: 'mirror',
+            settings: {
+              function: 'sum',
+              displayed_linked_columns: [{ board_id: '456', column_ids: ['formula_2'] }]
+            }
+          },
+          { id: 'formula1', title: 'Formula', type: 'formula', settings: { formula: 'IF({numbers1} = 0, 0, {mirror_1} / {numbers1})' } }
+        ]
+      }]
+    },
+    displayValue: {
+      '100': {
+        id: '100',
+        column_values: [{ id: 'numbers1', type: 'numbers', number: 0 }]
+      }
+    },
+    multiColumnsDeep: {
+      '100': {
+        id: '100',
+        column_values: [{ id: 'numbers1', type: 'numbers', number: 0 }]
+      }
+    }
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const queries = [];
+  const trackingClient = {
+    async query(query, variables) {
+      queries.push(query.match(/query (\w+)/)?.[1]);
+      return apiClient.query(query, variables);
+    }
+  };
+  const schemaCache = createSimpleCache(trackingClient);
+  const column = await schemaCache.getColumn('123', 'formula1');
+  
+  const result = await handleFormula({
+    boardId: '123',
+    column,
+    itemId: 100,
+    apiClient: trackingClient,
+    schemaCache,
+    visitedPaths: new Set(),
+    resolveColumnValue,
+  });
+  
+  const mirrorFetched = queries.includes('GetMirrorDeep');
+  console.log('Result:', result, 'Queries:', queries);
+  console.log('Expected: 0, no GetMirrorDeep query');
+  console.log('Pass:', result === 0 && !mirrorFetched);
+}
+
+async function testCycleAndMissingColumnErrors() {
+  console.log('\n=== Test: Circular and missing references resolve to errors ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'formula_a', title: 'A', type: 'formula', settings: { formula: '{formula_b} + 1' } },
+          { id: 'formula_b', title: 'B', type: 'formula', settings: { formula: '{formula_a} * 2' } },
+          { id: 'formula_c', title: 'C', type: 'formula', settings: { formula: 'IFERROR({formula_a}, -1)' } },
+        ]
+      }]
+    },
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const schemaCache = createSimpleCache(apiClient);
+  const resolve = (columnId) => resolveColumnValue({
+    boardId: '123',
+    columnId,
+    itemId: 100,
+    apiClient,
+    schemaCache: createSimpleCache(apiClient),
+  });
+  
+  const cycle = await resolve('formula_a');
+  const handled = await resolve('formula_c');
+  const missing = await resolveColumnValue({ boardId: '123', columnId: 'nope', itemId: 100, apiClient, schemaCache });
+  
+  console.log('Result:', String(cycle), handled, String(missing));
+  console.log('Expected: #CYCLE -1 #REF!');
+  console.log('Pass:', String(cycle) === '#CYCLE' && handled === -1 && String(missing) === '#REF!');
+}
+
+async function testCrossBranchCycle() {
+  console.log('\n=== Test: Cycles across parallel branches resolve to #CYCLE ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'numbers1', title: 'Numbers', type: 'numbers', settings: {} },
+          { id: 'formula_root', title: 'Root', type: 'formula', settings: { formula: '{formula_a} + {formula_b}' } },
+          { id: 'formula_a', title: 'A', type: 'formula', settings: { formula: '{formula_b} + 1' } },
+          { id: 'formula_b', title: 'B', type: 'formula', settings: { formula: '{formula_a} * 2' } },
+          // root2 -> c -> d -> e -> c, with root2 also reading e
+          { id: 'formula_root2', title: 'Root 2', type: 'formula', settings: { formula: '{formula_c} + {formula_e}' } },
+          { id: 'formula_c', title: 'C', type: 'formula', settings: { formula: '{formula_d}' } },
+          { id: 'formula_d', title: 'D', type: 'formula', settings: { formula: '{formula_e}' } },
+          { id: 'formula_e', title: 'E', type: 'formula', settings: { formula: '{formula_c}' } },
+          // A diamond is not a cycle: both branches wait on the same column
+          { id: 'formula_diamond', title: 'Diamond', type: 'formula', settings: { formula: '{formula_left} + {formula_shared}' } },
+          { id: 'formula_left', title: 'Left', type: 'formula', settings: { formula: '{formula_shared} * 2' } },
+          { id: 'formula_shared', title: 'Shared', type: 'formula', settings: { formula: '{numbers1} + 1' } },
+        ]
+      }]
+    },
+    numericValue: {
+      '100': { id: '100', column_values: [{ id: 'numbers1', number: 4 }] }
+    },
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const resolve = (columnId) => {
+    let timer;
+    const hang = new Promise(resolve => { timer = setTimeout(() => resolve('hang'), 2000); });
+    const resolution = resolveColumnValue({ boardId: '123', columnId, itemId: 100, apiClient, schemaCache: createSimpleCache(apiClient) });
+    return Promise.race([resolution, hang]).finally(() => clearTimeout(timer));
+  };
+  
+  const direct = await resolve('formula_root');
+  const indirect = await resolve('formula_root2');
+  const diamond = await resolve('formula_diamond');
+  
+  console.log('Result:', String(direct), String(indirect), diamond);
+  console.log('Expected: #CYCLE #CYCLE 15');
+  console.log('Pass:', String(direct) === '#CYCLE' && String(indirect) === '#CYCLE' && diamond === 15);
+}
+
+async function testResolutionTrace() {
+  console.log('\n=== Test: Trace records value sources and formula evaluation ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'numbers1', title: 'Numbers', type: 'numbers', settings: {} },
+          { id: 'formula_inner', title: 'Inner', type: 'formula', settings: { formula: '{numbers1} + 1' } },
+          { id: 'formula_total', title: 'Total', type: 'formula', settings: { formula: '{formula_inner} * 2' } },
+        ]
+      }]
+    },
+    // Empty display values force the recursive path
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_inner', display_value: '' }] }
+    },
+    numericValue: {
+      '100': { id: '100', column_values: [{ id: 'numbers1', number: 20 }] }
+    }
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const trace = createTrace('formula_total');
+  const result = await resolveColumnValue({
+    boardId: '123',
+    columnId: 'formula_total',
+    itemId: 100,
+    apiClient,
+    schemaCache: createSimpleCache(apiClient),
+    trace,
+  });
+  
+  const sources = [];
+  const collect = (span) => {
+    if (span.kind === 'column') sources.push(`${span.details.columnId}:${span.details.source}`);
+    span.children.forEach(collect);
+  };
+  collect(trace);
+  
+  console.log(formatTrace(trace));
+  console.log('Result:', result, 'Sources:', sources);
+  console.log('Expected: 42, formula_total/formula_inner by recursion, numbers1 by numeric value');
+  console.log('Pass:', result === 42
+    && sources.join(',') === [
+      `formula_total:${ValueSource.RECURSION}`,
+      `formula_inner:${ValueSource.RECURSION}`,
+      `numbers1:${ValueSource.NUMERIC_VALUE}`,
+    ].join(',')
+    && JSON.parse(JSON.stringify(trace)).children[0].value === 42);
+}
+
+async function testPinnedClock() {
+  console.log('\n=== Test: Evaluation context pins TODAY() in recursive formulas ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'formula_due', title: 'Due', type: 'formula', settings: { formula: 'DAYS("2024-02-01", TODAY())' } },
+        ]
+      }]
+    },
+    // Empty display values force the recursive path
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_due', display_value: '' }] }
+    }
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const result = await resolveColumnValue({
+    boardId: '123',
+    columnId: 'formula_due',
+    itemId: 100,
+    apiClient,
+    schemaCache: createSimpleCache(apiClient),
+    context: { clock: () => new Date('2024-01-15T23:30:00Z'), timeZone: 'Asia/Tokyo' },
+  });
+  
+  console.log('Result:', result);
+  console.log('Expected: 16 (already January 16th in Tokyo)');
+  console.log('Pass:', result === 16);
+}
+
+async function testSeededRandom() {
+  console.log('\n=== Test: Seeded RAND() gives each item its own numbers, in any order ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'numbers1', title: 'Numbers', type: 'numbers', settings: {} },
+          { id: 'formula_rand', title: 'Random', type: 'formula', settings: { formula: 'RAND()' } },
+          { id: 'formula_pick', title: 'Pick', type: 'formula', settings: { formula: '{numbers1} + RANDBETWEEN(1, 1000000)' } }
+        ]
+      }]
+    },
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_rand', display_value: '' }] }
+    },
+    displayValueBatch: {
+      boards: [{
+        items_page: {
+          items: [
+            { id: '100', column_values: [{ id: 'numbers1', number: 10 }] },
+            { id: '200', column_values: [{ id: 'numbers1', number: 20 }] }
+          ]
+        }
+      }]
+    }
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const context = { seed: 42 };
+  const batch = (columnId, itemIds) => resolveColumnValueBatch({ boardId: '123', columnId, itemIds, apiClient, schemaCache: createSimpleCache(apiClient), context });
+  
+  const single = await resolveColumnValue({ boardId: '123', columnId: 'formula_rand', itemId: 100, apiClient, schemaCache: createSimpleCache(apiClient), context });
+  const rand = await batch('formula_rand', [100, 200]);
+  const randReversed = await batch('formula_rand', [200, 100]);
+  const pick = await batch('formula_pick', [100, 200]);
+  const pickReversed = await batch('formula_pick', [200, 100]);
+  
+  console.log('Single:', single, 'Batch:', Object.fromEntries(rand), 'Reversed:', Object.fromEntries(randReversed));
+  console.log('Pass:', rand.get(100) === single && randReversed.get(100) === single
+    && rand.get(200) === randReversed.get(200) && rand.get(100) !== rand.get(200)
+    && pick.get(100) === pickReversed.get(100) && pick.get(200) === pickReversed.get(200));
+}
+
+async function testItemMetadata() {
+  console.log('\n=== Test: Formulas read item name, group, dates and creator ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'name', title: 'Name', type: 'name', settings: {} },
+          { id: 'formula_label', title: 'Label', type: 'formula', settings: { formula: '{name} & " (" & {group} & ", " & {creator} & ")"' } },
+          { id: 'formula_age', title: 'Age', type: 'formula', settings: { formula: 'DAYS({updated_at}, {created_at}) + {item_id} * 0' } },
+        ]
+      }]
+    },
+    // Empty display values force the recursive path
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_label', display_value: '' }] }
+    },
+    itemsMetadata: [
+      { id: '100', name: 'Launch', created_at: '2024-01-10T09:00:00Z', updated_at: '2024-01-15T18:00:00Z', group: { id: 'topics', title: 'Q1' }, creator: { id: '7', name: 'Jane Doe' } },
+      { id: '101', name: 'Review', created_at: '2024-02-01T09:00:00Z', updated_at: '2024-02-01T10:00:00Z', group: { id: 'topics', title: 'Q1' }, creator: null },
+    ],
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const queries = [];
+  const trackingClient = {
+    async query(query, variables) {
+      queries.push(query.match(/query (\w+)/)?.[1]);
+      return apiClient.query(query, variables);
+    }
+  };
+  const schemaCache = createSimpleCache(trackingClient);
+  const resolve = (columnId) => resolveColumnValue({ boardId: '123', columnId, itemId: 100, apiClient: trackingClient, schemaCache });
+  
+  const label = await resolve('formula_label');
+  const age = await resolve('formula_age');
+  const metadataQueries = queries.filter(q => q === 'GetItemsMetadata').length;
+  console.log('Result:', label, age, 'Metadata queries:', metadataQueries);
+  console.log('Expected: "Launch (Q1, Jane Doe)" 5, one metadata query');
+  console.log('Pass:', label === 'Launch (Q1, Jane Doe)' && age === 5 && metadataQueries === 1);
+  
+  console.log('\n=== Test: Batch resolution of item metadata ===');
+  const names = await resolveColumnValueBatch({ boardId: '123', columnId: 'name', itemIds: [100, 101, 102], apiClient, schemaCache: createSimpleCache(apiClient) });
+  const ids = await resolveColumnValueBatch({ boardId: '123', columnId: 'item_id', itemIds: [100, 101], apiClient, schemaCache: createSimpleCache(apiClient) });
+  console.log('Result:', [...names.values()], [...ids.values()]);
+  console.log('Expected: [Launch, Review, ""] [100, 101]');
+  console.log('Pass:', [...names.values()].join('|') === 'Launch|Review|' && [...ids.values()].join(',') === '100,101');
+  
+  console.log('\n=== Test: resolveValue returns item dates as text ===');
+  const context = { timeZone: 'Asia/Tokyo' };
+  const updated = await resolveValue({ boardId: '123', columnId: 'updated_at', itemId: 100, apiClient, context });
+  const created = await resolveValues({ boardId: '123', columnId: 'created_at', itemIds: [100, 101], apiClient });
+  console.log('Result:', updated, [...created.values()]);
+  console.log('Expected: 2024-01-16 [2024-01-10, 2024-02-01]');
+  console.log('Pass:', updated === '2024-01-16' && [...created.values()].join(',') === '2024-01-10,2024-02-01');
+}
+
+async function testSubitemRollups() {
+  console.log('\n=== Test: Formulas roll up subitem columns ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Projects',
+        columns: [
+          { id: 'subitems', title: 'Subitems', type: 'subtasks', settings: { boardIds: [456] } },
+          { id: 'formula_hours', title: 'Hours', type: 'formula', settings: { formula: 'SUM({subitems#numbers1})' } },
+          { id: 'formula_peak', title: 'Peak', type: 'formula', settings: { formula: 'MAX({subitems#formula_double}) & " of " & COUNT({subitems#numbers1})' } },
+        ]
+      }, {
+        id: '456',
+        name: 'Subitems of Projects',
+        columns: [
+          { id: 'numbers1', title: 'Hours', type: 'numbers', settings: {} },
+          { id: 'formula_double', title: 'Double', type: 'formula', settings: { formula: '{numbers1} * 2' } },
+        ]
+      }]
+    },
+    // Empty display values force the recursive path
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_hours', display_value: '' }] }
+    },
+    displayValueBatch: {
+      boards: [{
+        items_page: {
+          items: [
+            { id: '501', column_values: [{ id: 'numbers1', number: 3 }] },
+            { id: '502', column_values: [{ id: 'numbers1', number: 5 }] },
+            { id: '503', column_values: [{ id: 'numbers1', number: 8 }] }
+          ]
+        }
+      }]
+    },
+    subitems: [
+      { id: '100', subitems: [{ id: '501', name: 'Design', board: { id: '456' } }, { id: '502', name: 'Build', board: { id: '456' } }] },
+      { id: '101', subitems: [{ id: '503', name: 'Ship', board: { id: '456' } }] },
+      { id: '102', subitems: [] },
+    ],
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const resolve = (columnId) => resolveColumnValue({ boardId: '123', columnId, itemId: 100, apiClient, schemaCache: createSimpleCache(apiClient) });
+  
+  const hours = await resolve('formula_hours');
+  const peak = await resolve('formula_peak');
+  const names = await resolve('subitems');
+  console.log('Result:', hours, peak, names);
+  console.log('Expected: 8 "10 of 2" "Design, Build"');
+  console.log('Pass:', hours === 8 && peak === '10 of 2' && names === 'Design, Build');
+  
+  console.log('\n=== Test: Batch rollup of subitem columns ===');
+  const batch = await resolveColumnValueBatch({ boardId: '123', columnId: 'formula_hours', itemIds: [100, 101, 102], apiClient, schemaCache: createSimpleCache(apiClient) });
+  console.log('Result:', Object.fromEntries(batch));
+  console.log('Expected: { 100: 8, 101: 8, 102: 0 }');
+  console.log('Pass:', batch.get(100) === 8 && batch.get(101) === 8 && batch.get(102) === 0);
+  
+  console.log('\n=== Test: resolveSubitemRollup ===');
+  const rollup = (options) => resolveSubitemRollup({ boardId: '123', columnId: 'subitems', itemId: 100, apiClient, schemaCache: createSimpleCache(apiClient), ...options });
+  const max = await rollup({ subitemColumnId: 'formula_double', aggregation: 'max' });
+  const avg = await rollup({ subitemColumnId: 'numbers1', aggregation: 'avg' });
+  const none = await rollup({ itemId: 102, subitemColumnId: 'numbers1' });
+  const notSubitems = await rollup({ columnId: 'formula_hours', subitemColumnId: 'numbers1' });
+  console.log('Result:', max, avg, none, String(notSubitems));
+  console.log('Expected: 10 4 0 #REF!');
+  console.log('Pass:', max === 10 && avg === 4 && none === 0 && String(notSubitems) === '#REF!');
+}
+
+async function testColumnFields() {
+  console.log('\n=== Test: Formulas read column sub-fields ===');
+  
+  const mockData = {
+    boards: {
+      boards: [{
+        id: '123',
+        name: 'Test Board',
+        columns: [
+          { id: 'date4', title: 'Meeting', type: 'date', settings: {} },
+          { id: 'people1', title: 'Owners', type: 'people', settings: {} },
+          { id: 'location1', title: 'Office', type: 'location', settings: {} },
+          { id: 'formula_invite', title: 'Invite', type: 'formula', settings: { formula: '{date4#hour} & ":" & {date4#minute} & " " & TEXTJOIN(";", TRUE, {people1#emails})' } },
+          { id: 'formula_office', title: 'Office', type: 'formula', settings: { formula: 'ROUND({location1#lat}, 1) & " " & {location1#country_code} & " " & IFERROR({location1#zip}, "-")' } },
+        ]
+      }]
+    },
+    // Empty display values force the recursive path
+    displayValue: {
+      '100': { id: '100', column_values: [{ id: 'formula_invite', display_value: '' }] }
+    },
+    rawColumnValues: {
+      date4: {
+        '100': { type: 'date', text: '2024-01-15 09:30', value: { date: '2024-01-15', time: '14:30:00' } },
+        '101': { type: 'date', text: '2024-01-16', value: { date: '2024-01-16' } },
+      },
+      people1: {
+        '100': { type: 'people', text: 'Jane Doe, Design', value: { personsAndTeams: [{ id: 7, kind: 'person' }, { id: 3, kind: 'team' }, { id: 8, kind: 'person' }] } },
+      },
+      location1: {
+        '100': { type: 'location', text: 'Tel Aviv', value: { lat: '32.0853', lng: '34.7818', address: 'Tel Aviv', country: { long_name: 'Israel', short_name: 'IL' } } },
+      },
+    },
+    users: [
+      { id: '7', name: 'Jane Doe', email: 'jane@example.com' },
+      { id: '8', name: 'John Roe', email: 'john@example.com' },
+    ],
+  };
+  
+  const apiClient = createMockApiClient(mockData);
+  const context = { timeZone: 'America/New_York' };
+  const resolve = (columnId) => resolveColumnValue({ boardId: '123', columnId, itemId: 100, apiClient, schemaCache: createSimpleCache(apiClient), context });
+  
+  const invite = await resolve('formula_invite');
+  const office = await resolve('formula_office');
+  console.log('Result:', invite, '|', office);
+  console.log('Expected: "9:30 jane@example.com;john@example.com" | "32.1 IL -"');
+  console.log('Pass:', invite === '9:30 jane@example.com;john@example.com' && office === '32.1 IL -');
+  
+  console.log('\n=== Test: Batch resolution of column sub-fields ===');
+  const batch = await resolveColumnValueBatch({ boardId: '123', columnId: 'formula_invite', itemIds: [100, 101], apiClient, schemaCache: createSimpleCache(apiClient), context });
+  const fields = await resolveColumnValueBatch({ boardId: '123', columnId: 'date4', itemIds: [100, 101], fields: ['date', 'hour'], asList: true, apiClient, schemaCache: createSimpleCache(apiClient) });
+  const days = [...fields.values()].map(value => `${value.fields.date} ${value.fields.hour}`);
+  console.log('Result:', Object.fromEntries(batch), days);
+  console.log('Expected: { 100: "9:30 jane@example.com;john@example.com", 101: ": " } ["2024-01-15 14", "2024-01-16 "]');
+  console.log('Pass:', batch.get(100) === invite && batch.get(101) === ': ' && days.join('|') === '2024-01-15 14|2024-01-16 ');
+}
+
 // ============================================================================
 // Run Tests
 // ============================================================================
@@ -475,6 +1046,16 @@ async function runTests() {
     await testStrictTyping();
     await testSmartDefaults();
     await testMirrorTextAggregation();
+    await testFormulaOverMirrorList();
+    await testLazyFormulaBranches();
+    await testCycleAndMissingColumnErrors();
+    await testCrossBranchCycle();
+    await testResolutionTrace();
+    await testPinnedClock();
+    await testSeededRandom();
+    await testItemMetadata();
+    await testSubitemRollups();
+    await testColumnFields();
     
     console.log('\n========================================');
     console.log('All tests completed!');
@@ -0,0 +1,81 @@
+/**
+ * Formula Scopes
+ * Names bound by LET(name1, value1, [name2, value2, ...], calculation).
+ *
+ * Each binding opens a scope on top of the enclosing one, so a value can use
+ * the names bound before it and an inner LET can shadow an outer name.
+ * Values are computed on first use and then reused: a shared sub-expression
+ * is computed once, and a name that is never used never resolves its columns.
+ * The same scopes are used by the Evaluator, the AsyncEvaluator (where the
+ * reused value is a promise) and compiled formulas.
+ */
+
+import { ErrorCode, createError } from './values.js';
+
+/**
+ * Scope class - one bound name, linked to its enclosing scope
+ */
+export class Scope {
+  /**
+   * @param {Scope|null} parent - Enclosing scope (null for the empty scope).
+   * @param {string|null} name - Bound name (upper case).
+   * @param {Function|null} compute - () => value, called at most once.
+   */
+  constructor(parent = null, name = null, compute = null) {
+    this.parent = parent;
+    this.name = name;
+    this.compute = compute;
+    this.computed = false;
+    this.value = undefined;
+  }
+
+  /**
+   * Returns a new scope that binds a name on top of this one.
+   * @param {string} name - The name (upper case).
+   * @param {Function} compute - () => value, called the first time the name is read.
+   * @returns {Scope} The new scope.
+   */
+  bind(name, compute) {
+    return new Scope(this, name, compute);
+  }
+
+  /**
+   * Finds the innermost scope that binds a name.
+   * @param {string} name - The name (upper case).
+   * @returns {Scope|null} The binding scope, or null if the name is not bound.
+   */
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.compute && scope.name === name) return scope;
+    }
+    return null;
+  }
+
+  /**
+   * Reads the value of a name, computing it on first use.
+   * @param {string} name - The name (upper case).
+   * @returns {any} The value, or a #REF! error if the name is not bound.
+   */
+  read(name) {
+    const scope = this.lookup(name);
+    if (!scope) {
+      return createError(ErrorCode.REF, `Unknown name ${name}`);
+    }
+
+    if (!scope.computed) {
+      scope.value = scope.compute();
+      scope.computed = true;
+    }
+    return scope.value;
+  }
+}
+
+/**
+ * Scope with no names, used at the top of a formula
+ */
+export const EMPTY_SCOPE = new Scope();
+
+export default {
+  Scope,
+  EMPTY_SCOPE,
+};
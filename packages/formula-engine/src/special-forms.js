@@ -0,0 +1,143 @@
+/**
+ * Special Forms
+ * Functions whose arguments are evaluated lazily (IF, AND, OR, SWITCH, IFERROR), so
+ * branches that are never reached are never evaluated - and their column
+ * references never resolved.
+ *
+ * Each form is a generator that yields the index of the argument it needs
+ * next and receives that argument's value back. The same definition is
+ * driven synchronously (Evaluator, compiled formulas) and asynchronously
+ * (AsyncEvaluator).
+ *
+ * Conditions and SWITCH values use lists as single values (see toScalar).
+ */
+
+import { isError, toScalar } from './values.js';
+
+/**
+ * Special form implementations: *FORM(argCount) yields argument indexes.
+ */
+const SPECIAL_FORMS = {
+  /**
+   * IF(condition, trueValue, [falseValue]) - evaluates only the chosen branch.
+   * An error condition is the result.
+   */
+  *IF(argCount) {
+    const condition = argCount > 0 ? toScalar(yield 0) : '';
+    if (isError(condition)) return condition;
+    if (Boolean(condition)) {
+      return argCount > 1 ? yield 1 : '';
+    }
+    return argCount > 2 ? yield 2 : '';
+  },
+
+  /**
+   * AND(...conditions) - stops at the first false condition (or error).
+   */
+  *AND(argCount) {
+    for (let i = 0; i < argCount; i++) {
+      const value = toScalar(yield i);
+      if (isError(value)) return value;
+      if (!Boolean(value)) return false;
+    }
+    return true;
+  },
+
+  /**
+   * OR(...conditions) - stops at the first true condition (or error).
+   */
+  *OR(argCount) {
+    for (let i = 0; i < argCount; i++) {
+      const value = toScalar(yield i);
+      if (isError(value)) return value;
+      if (Boolean(value)) return true;
+    }
+    return false;
+  },
+
+  /**
+   * SWITCH(expression, value1, result1, ..., [default]) - evaluates case values
+   * in order and only the matching result.
+   */
+  *SWITCH(argCount) {
+    if (argCount < 2) return '';
+
+    const expression = toScalar(yield 0);
+    if (isError(expression)) return expression;
+
+    const exprStr = String(expression ?? '');
+    const caseCount = argCount - 1;
+
+    for (let i = 1; i < caseCount; i += 2) {
+      const caseValue = toScalar(yield i);
+      if (isError(caseValue)) return caseValue;
+      if (exprStr === String(caseValue ?? '')) {
+        return yield i + 1;
+      }
+    }
+
+    // If odd number of cases, last one is default
+    if (caseCount % 2 === 1) {
+      return yield argCount - 1;
+    }
+
+    return '';
+  },
+
+  /**
+   * IFERROR(value, [fallback]) - evaluates the fallback only if value is an error
+   * (or a list with an error).
+   */
+  *IFERROR(argCount) {
+    const value = argCount > 0 ? yield 0 : '';
+    if (!isError(toScalar(value))) return value;
+    return argCount > 1 ? yield 1 : '';
+  },
+};
+
+/**
+ * Checks if a function name is a special (lazily evaluated) form.
+ * @param {string} name - Function name.
+ * @returns {boolean} True for IF, AND, OR, SWITCH, IFERROR.
+ */
+export function isSpecialForm(name) {
+  return Object.prototype.hasOwnProperty.call(SPECIAL_FORMS, String(name).toUpperCase());
+}
+
+/**
+ * Runs a special form, evaluating arguments synchronously on demand.
+ * @param {string} name - Special form name.
+ * @param {number} argCount - Number of arguments in the call.
+ * @param {Function} evaluateArg - (index) => value
+ * @returns {any} The result.
+ */
+export function runSpecialForm(name, argCount, evaluateArg) {
+  const form = SPECIAL_FORMS[String(name).toUpperCase()](argCount);
+  let step = form.next();
+  while (!step.done) {
+    step = form.next(evaluateArg(step.value));
+  }
+  return step.value;
+}
+
+/**
+ * Runs a special form, awaiting each argument on demand.
+ * @param {string} name - Special form name.
+ * @param {number} argCount - Number of arguments in the call.
+ * @param {Function} evaluateArg - async (index) => value
+ * @returns {Promise<any>} The result.
+ */
+export async function runSpecialFormAsync(name, argCount, evaluateArg) {
+  const form = SPECIAL_FORMS[String(name).toUpperCase()](argCount);
+  let step = form.next();
+  while (!step.done) {
+    step = form.next(await evaluateArg(step.value));
+  }
+  return step.value;
+}
+
+export default {
+  isSpecialForm,
+  runSpecialForm,
+  runSpecialFormAsync,
+};
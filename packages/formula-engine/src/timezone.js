@@ -0,0 +1,215 @@
+/**
+ * Time Zones
+ * Reads and builds dates in an IANA time zone (e.g. 'America/New_York'), so
+ * date functions give the same result wherever the server runs.
+ *
+ * Date values are parsed as follows:
+ * - "2024-01-15"            the calendar day, from midnight in the time zone
+ * - "2024-01-15 13:05:00"   UTC, as monday stores date column times
+ * - "2024-01-15T13:05:00Z"  the given instant (any ISO offset)
+ * - "01/15/2024", "Jan 15, 2024 9:00"  the calendar day and time in the time zone
+ *   (other formats the JavaScript engine reads, unless they name an offset)
+ */
+
+import logger from './logger.js';
+import { getDateFormat } from './locale.js';
+
+const TAG = 'formula_timezone';
+
+/**
+ * Time zone used when none is given
+ */
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const resolvedTimeZones = new Map(); // requested time zone -> time zone to use
+
+// Text ending in an offset or zone name ("... GMT+0200", "... UTC") names an instant
+const OFFSET_PATTERN = /(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Returns a valid IANA time zone, falling back to DEFAULT_TIME_ZONE.
+ * Accepts a time zone name or a World Clock column value ({ timezone }),
+ * as an object or JSON text.
+ * @param {string|Object|null} [timeZone] - Time zone name or World Clock value.
+ * @returns {string} The time zone to use.
+ */
+export function resolveTimeZone(timeZone) {
+  let name = timeZone;
+
+  if (typeof name === 'string' && name.trim().startsWith('{')) {
+    try {
+      name = JSON.parse(name);
+    } catch (err) {
+      // Not a World Clock value; validated as a name below
+    }
+  }
+  if (name && typeof name === 'object') {
+    name = name.timezone;
+  }
+  if (!name || typeof name !== 'string') return DEFAULT_TIME_ZONE;
+
+  if (!resolvedTimeZones.has(name)) {
+    let resolved = DEFAULT_TIME_ZONE;
+    try {
+      resolved = new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch (err) {
+      logger.warn('Invalid time zone, using default', TAG, { timeZone: name, fallback: DEFAULT_TIME_ZONE });
+    }
+    resolvedTimeZones.set(name, resolved);
+  }
+  return resolvedTimeZones.get(name);
+}
+
+/**
+ * Reads the calendar and clock fields of a date in a time zone.
+ * Example: getZonedParts(new Date('2024-01-15T23:30:00Z'), 'Asia/Tokyo')
+ *   => { year: 2024, month: 1, day: 16, hour: 8, minute: 30, second: 0, weekday: 2 }
+ * @param {Date} date - The date.
+ * @param {string} [timeZone] - IANA time zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   The fields. month is 1-12, weekday is 0 (Sunday) to 6.
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const format = getDateFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+  });
+
+  const parts = {};
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a given instant.
+ * Example: getTimeZoneOffset(new Date('2024-07-01T00:00:00Z'), 'America/New_York') => -240
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - IANA time zone.
+ * @returns {number} The offset in minutes (positive east of UTC).
+ */
+export function getTimeZoneOffset(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUTC - instant) / 60000);
+}
+
+/**
+ * Builds the instant of a wall-clock time in a time zone.
+ * Times skipped by a DST change move forward by the gap (02:30 -> 03:30);
+ * times repeated by a DST change use the earlier instant.
+ * Example: zonedTimeToDate({ year: 2024, month: 1, day: 15 }, 'Asia/Tokyo') => 2024-01-14T15:00:00Z
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second }.
+ * @param {string} [timeZone] - IANA time zone.
+ * @returns {Date} The instant.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIME_ZONE) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(new Date(asUTC), timeZone);
+  const guess = asUTC - offset * 60000;
+
+  // Near a DST change the offset at the result may differ from the first guess
+  const actualOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  if (actualOffset !== offset) {
+    const adjusted = asUTC - actualOffset * 60000;
+    if (getTimeZoneOffset(new Date(adjusted), timeZone) === actualOffset) {
+      return new Date(adjusted);
+    }
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parses a date value (see the rules above).
+ * @param {Date|string|number} value - The value.
+ * @param {string} [timeZone] - IANA time zone for date-only values.
+ * @returns {Date|null} The date, or null if the value is not a date.
+ */
+export function parseZonedDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (!value) return null;
+
+  const text = String(value).trim();
+
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return zonedTimeToDate({ year, month, day }, timeZone);
+  }
+
+  // Date-times without an offset are UTC
+  const dateTime = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)$/);
+  if (dateTime) {
+    return new Date(`${dateTime[1]}T${dateTime[2]}Z`);
+  }
+
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text) || OFFSET_PATTERN.test(text)) return date;
+
+  // Other formats are read in the server's time zone: keep the calendar day
+  // and time they name, in the requested time zone
+  return zonedTimeToDate({
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+  }, timeZone);
+}
+
+/**
+ * Gets the calendar day of a date in a time zone, as midnight UTC of that day.
+ * Calendar arithmetic (adding days, weekdays) is then done with UTC methods.
+ * @param {Date} date - The date.
+ * @param {string} [timeZone] - IANA time zone.
+ * @returns {Date} Midnight UTC of the calendar day.
+ */
+export function toCalendarDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Counts calendar days from one calendar day to another.
+ * @param {Date} start - Start day (from toCalendarDay).
+ * @param {Date} end - End day (from toCalendarDay).
+ * @returns {number} Number of days (negative if end is before start).
+ */
+export function daysBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / DAY_MS);
+}
+
+export default {
+  DEFAULT_TIME_ZONE,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  parseZonedDate,
+  toCalendarDay,
+  daysBetween,
+};
@@ -0,0 +1,208 @@
+/**
+ * Tests for Time Zones
+ *
+ * Run with: node src/timezone.test.js
+ *
+ * These tests pin "now" with an injected clock and check that date functions
+ * follow the account time zone, so results are the same wherever (and in
+ * whatever TZ) the tests run.
+ */
+
+import { evaluateFormula, evaluateFormulaAsync } from './index.js';
+import { resolveTimeZone, getZonedParts, zonedTimeToDate, parseZonedDate, DEFAULT_TIME_ZONE } from './timezone.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+// 2024-01-15 23:30 UTC: already Tuesday the 16th in Tokyo, still Monday in New York
+const clock = () => new Date('2024-01-15T23:30:00Z');
+
+const FORMULA_CASES = [
+  // [formula, timeZone, expected]
+  ['TODAY()', null, '2024-01-15'],
+  ['TODAY()', 'UTC', '2024-01-15'],
+  ['TODAY()', 'Asia/Tokyo', '2024-01-16'],
+  ['TODAY()', 'America/New_York', '2024-01-15'],
+  ['TODAY()', 'Pacific/Kiritimati', '2024-01-16'],
+  ['NOW()', 'Asia/Tokyo', '2024-01-16'],
+  ['FORMAT_DATE(NOW(), "dddd HH:mm")', 'Asia/Tokyo', 'Tuesday 08:30'],
+  ['FORMAT_DATE(NOW(), "dddd h:mm A")', 'America/Los_Angeles', 'Monday 3:30 PM'],
+  ['TEXT(NOW(), "YYYY-MM-DD HH:mm")', 'Asia/Kolkata', '2024-01-16 05:00'],
+  ['HOUR(NOW())', 'Asia/Tokyo', '8'],
+  ['MINUTE(NOW())', 'Asia/Kolkata', '0'],
+  ['DAYS(TODAY(), "2024-01-01")', 'Asia/Tokyo', '15'],
+  ['DATE(0, 2, 1)', 'Asia/Tokyo', '2024-02-01'],
+
+  // Date-times without an offset are UTC (as stored by monday)
+  ['HOUR("2024-01-15 13:05:00")', null, '13'],
+  ['HOUR("2024-01-15 13:05:00")', 'Asia/Tokyo', '22'],
+  ['HOUR("2024-01-15 13:05:00")', 'America/New_York', '8'],
+  ['HOUR("2024-07-15 13:05:00")', 'America/New_York', '9'],
+  ['MINUTE("2024-01-15 13:05:00")', 'Asia/Kolkata', '35'],
+  ['DAY("2024-01-31 23:00:00")', 'Asia/Tokyo', '1'],
+  ['MONTH("2024-01-31 23:00:00")', 'Asia/Tokyo', '2'],
+  ['YEAR("2023-12-31 20:00:00")', 'Asia/Tokyo', '2024'],
+  ['HOUR("2024-01-15T13:05:00+02:00")', 'UTC', '11'],
+
+  // Date-only values are calendar days in every time zone
+  ['DAY("2024-01-31")', 'America/Los_Angeles', '31'],
+  ['DAY("2024-01-31")', 'Pacific/Kiritimati', '31'],
+  ['FORMAT_DATE("2024-03-04", "dddd")', 'America/Los_Angeles', 'Monday'],
+  ['DATEVALUE("2024-03-04")', 'Asia/Tokyo', '2024-03-04'],
+  ['WEEKNUM("2024-01-08")', 'America/Los_Angeles', '2'],
+  ['ISOWEEKNUM("2024-12-30")', 'Asia/Tokyo', '1'],
+
+  // Across DST changes
+  ['DAYS("2024-03-11", "2024-03-09")', 'America/New_York', '2'],
+  ['DAYS("2024-11-04", "2024-11-02")', 'America/New_York', '2'],
+  ['ADD_DAYS("2024-03-09", 1)', 'America/New_York', '2024-03-10'],
+  ['SUBTRACT_DAYS("2024-11-04", 1)', 'America/New_York', '2024-11-03'],
+
+  // Weekends depend on the day in the time zone
+  ['WORKDAY("2024-01-18 23:00:00", 1)', 'UTC', '2024-01-19'],
+  ['WORKDAY("2024-01-18 23:00:00", 1)', 'Asia/Tokyo', '2024-01-22'],
+  ['WORKDAYS("2024-01-15 16:00:00", "2024-01-13 16:00:00")', 'UTC', '1'],
+  ['WORKDAYS("2024-01-15 16:00:00", "2024-01-13 16:00:00")', 'Asia/Tokyo', '2'],
+  ['SUBTRACT_MINUTES("2024-01-15 00:10:00", 20)', 'America/New_York', '2024-01-14'],
+];
+
+function testFormulas() {
+  for (const [formula, timeZone, expected] of FORMULA_CASES) {
+    console.log(`\n=== Test: ${formula} in ${timeZone ?? 'default time zone'} ===`);
+    const result = evaluateFormula(formula, new Map(), { context: { timeZone, clock } });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+async function testAsyncAndColumns() {
+  console.log('\n=== Test: Async evaluation uses the time zone and clock ===');
+  const result = await evaluateFormulaAsync('DAYS({date1}, TODAY())', async () => '2024-01-20', { context: { timeZone: 'Asia/Tokyo', clock } });
+  console.log('Result:', result);
+  console.log('Pass:', result === '4');
+
+  console.log('\n=== Test: Date column value with a time ===');
+  const columnValues = new Map([['date1', '2024-01-15 22:00:00']]);
+  const utc = evaluateFormula('FORMAT_DATE({date1}, "YYYY-MM-DD HH:mm")', columnValues);
+  const tokyo = evaluateFormula('FORMAT_DATE({date1}, "YYYY-MM-DD HH:mm")', columnValues, { context: { timeZone: 'Asia/Tokyo' } });
+  console.log('UTC:', utc, 'Tokyo:', tokyo);
+  console.log('Pass:', utc === '2024-01-15 22:00' && tokyo === '2024-01-16 07:00');
+
+  console.log('\n=== Test: Clock can return a timestamp ===');
+  const fromTimestamp = evaluateFormula('TODAY()', new Map(), { context: { clock: () => Date.UTC(2030, 5, 1, 12) } });
+  console.log('Result:', fromTimestamp);
+  console.log('Pass:', fromTimestamp === '2030-06-01');
+}
+
+function testResolveTimeZone() {
+  const cases = [
+    // [input, expected]
+    ['Europe/London', 'Europe/London'],
+    [{ timezone: 'Asia/Tokyo' }, 'Asia/Tokyo'],
+    ['{"timezone":"America/New_York"}', 'America/New_York'],
+    ['Not/AZone', DEFAULT_TIME_ZONE],
+    ['{"timezone":', DEFAULT_TIME_ZONE],
+    [null, DEFAULT_TIME_ZONE],
+  ];
+
+  for (const [input, expected] of cases) {
+    console.log(`\n=== Test: resolveTimeZone(${JSON.stringify(input)}) ===`);
+    const result = resolveTimeZone(input);
+    console.log('Result:', result);
+    console.log('Pass:', result === expected);
+  }
+
+  console.log('\n=== Test: World Clock value as the time zone option ===');
+  const result = evaluateFormula('TODAY()', new Map(), { context: { timeZone: { timezone: 'Asia/Tokyo' }, clock } });
+  console.log('Result:', result);
+  console.log('Pass:', result === '2024-01-16');
+}
+
+function testHelpers() {
+  console.log('\n=== Test: Zoned parts ===');
+  const parts = getZonedParts(clock(), 'Asia/Tokyo');
+  console.log('Parts:', parts);
+  console.log('Pass:', JSON.stringify(parts) === JSON.stringify({ year: 2024, month: 1, day: 16, hour: 8, minute: 30, second: 0, weekday: 2 }));
+
+  const cases = [
+    // [fields, timeZone, expected ISO]
+    [{ year: 2024, month: 1, day: 15 }, 'Asia/Tokyo', '2024-01-14T15:00:00.000Z'],
+    [{ year: 2024, month: 3, day: 10, hour: 1, minute: 30 }, 'America/New_York', '2024-03-10T06:30:00.000Z'],
+    [{ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York', '2024-03-10T07:30:00.000Z'],
+    [{ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, 'America/New_York', '2024-11-03T05:30:00.000Z'],
+  ];
+
+  for (const [fields, timeZone, expected] of cases) {
+    console.log(`\n=== Test: zonedTimeToDate(${JSON.stringify(fields)}, ${timeZone}) ===`);
+    const result = zonedTimeToDate(fields, timeZone).toISOString();
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+
+  console.log('\n=== Test: Parse rules ===');
+  const dateOnly = parseZonedDate('2024-01-15', 'Asia/Tokyo').toISOString();
+  const dateTime = parseZonedDate('2024-01-15 13:05', 'Asia/Tokyo').toISOString();
+  const invalid = parseZonedDate('soon', 'Asia/Tokyo');
+  console.log('Date only:', dateOnly, 'Date-time:', dateTime, 'Invalid:', invalid);
+  console.log('Pass:', dateOnly === '2024-01-14T15:00:00.000Z' && dateTime === '2024-01-15T13:05:00.000Z' && invalid === null);
+}
+
+function testServerTimeZone() {
+  const serverTimeZone = process.env.TZ;
+  process.env.TZ = 'Asia/Tokyo';
+
+  try {
+    const cases = [
+      // [formula, timeZone, expected]
+      ['DAY("01/15/2024")', null, '15'],
+      ['FORMAT_DATE("Jan 15, 2024", "YYYY-MM-DD")', null, '2024-01-15'],
+      ['FORMAT_DATE("Jan 15, 2024 9:30", "YYYY-MM-DD HH:mm")', 'America/New_York', '2024-01-15 09:30'],
+      ['FORMAT_DATE("Mon, 15 Jan 2024 22:00:00 GMT", "YYYY-MM-DD HH:mm")', 'Asia/Kolkata', '2024-01-16 03:30'],
+      ['DAY("2024-01-15")', null, '15'],
+    ];
+
+    for (const [formula, timeZone, expected] of cases) {
+      console.log(`\n=== Test: ${formula} on a Tokyo server (${timeZone ?? 'default'}) ===`);
+      const result = evaluateFormula(formula, new Map(), { context: { timeZone, clock } });
+      console.log('Result:', result);
+      console.log('Expected:', expected);
+      console.log('Pass:', result === expected);
+    }
+  } finally {
+    if (serverTimeZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = serverTimeZone;
+    }
+  }
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Time Zone Tests');
+  console.log('========================================');
+
+  try {
+    testFormulas();
+    await testAsyncAndColumns();
+    testResolveTimeZone();
+    testHelpers();
+    testServerTimeZone();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();
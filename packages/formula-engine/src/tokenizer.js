@@ -4,6 +4,7 @@
  */
 
 import logger from './logger.js';
+import { Severity, createDiagnostic } from './diagnostics.js';
 
 const TAG = 'formula_tokenizer';
 
@@ -28,30 +29,40 @@ export const TokenType = {
  */
 const FUNCTION_NAMES = new Set([
   // Text functions
-  'CONCATENATE', 'LEFT', 'LEN', 'LOWER', 'REPLACE', 'REPT', 'RIGHT',
-  'SEARCH', 'SUBSTITUTE', 'TEXT', 'TRIM', 'UPPER',
+  'CHAR', 'CONCATENATE', 'FIND', 'LEFT', 'LEN', 'LOWER', 'MID', 'PROPER',
+  'REGEXEXTRACT', 'REGEXMATCH', 'REGEXREPLACE', 'REPLACE', 'REPT', 'RIGHT',
+  'SEARCH', 'SPLIT', 'SUBSTITUTE', 'TEXT', 'TEXTJOIN', 'TRIM', 'UNICHAR',
+  'UPPER', 'VALUE',
   // Logical functions
-  'AND', 'EXACT', 'IF', 'OR', 'XOR', 'SWITCH',
+  'AND', 'EXACT', 'IF', 'OR', 'XOR', 'SWITCH', 'ISERROR', 'IFERROR',
   // Numeric functions
-  'ABS', 'AVERAGE', 'DIVIDE', 'COUNT', 'LOG', 'MAX', 'MIN',
-  'MINUS', 'MULTIPLY', 'MOD', 'ROUND', 'ROUNDUP', 'ROUNDDOWN',
-  'SQRT', 'SUM', 'POWER',
+  'ABS', 'AVERAGE', 'AVERAGEIF', 'CEILING', 'DIVIDE', 'COUNT', 'COUNTIF',
+  'EXP', 'FLOOR', 'INT', 'LN', 'LOG', 'MAX', 'MEDIAN', 'MIN',
+  'MINUS', 'MULTIPLY', 'MOD', 'PERCENTAGE', 'PERCENT_CHANGE', 'PRODUCT',
+  'RAND', 'RANDBETWEEN', 'ROUND', 'ROUNDUP', 'ROUNDDOWN', 'SIGN',
+  'SQRT', 'STDEV', 'STDEVP', 'SUM', 'SUMIF', 'TRUNC', 'VAR', 'VARP', 'POWER',
   // Date functions
   'ADD_DAYS', 'DATE', 'DAY', 'DAYS', 'FORMAT_DATE', 'HOUR',
-  'HOURS_DIFF', 'WORKDAYS', 'WORKDAY', 'MINUTE', 'MONTH',
+  'HOURS_DIFF', 'WORKDAYS', 'WORKDAY', 'NETWORKDAYS_INTL', 'WORKDAY_INTL',
+  'MINUTE', 'MONTH',
   'SECOND', 'SUBTRACT_DAYS', 'TODAY', 'WEEKNUM', 'ISOWEEKNUM',
   'YEAR', 'SUBTRACT_MINUTES', 'DATEVALUE', 'NOW',
+  // List functions
+  'FILTER', 'INDEX', 'SORT', 'UNIQUE',
+  // Named values
+  'LET',
   // Constants
   'PI', 'TRUE', 'FALSE',
 ]);
 
 /**
- * Operators in order of precedence (for later use in parser)
+ * Operators (precedence and associativity are defined in the parser)
  */
 const OPERATORS = new Set([
-  '+', '-', '*', '/', '%',
+  '+', '-', '*', '/', '%', '^',
   '>', '<', '=', '>=', '<=', '<>',
   '&', // String concatenation
+  '!', // Logical NOT (prefix)
 ]);
 
 /**
@@ -63,10 +74,11 @@ const TWO_CHAR_OPERATORS = new Set(['>=', '<=', '<>']);
  * Token class
  */
 export class Token {
-  constructor(type, value, position) {
+  constructor(type, value, position, end = position) {
     this.type = type;
     this.value = value;
     this.position = position;
+    this.end = end; // Exclusive end offset in the formula string
   }
 
   toString() {
@@ -82,6 +94,14 @@ export class Tokenizer {
     this.formula = formula || '';
     this.pos = 0;
     this.tokens = [];
+    this.diagnostics = [];
+  }
+
+  /**
+   * Records a diagnostic for the given source range.
+   */
+  report(message, start, end, token = null) {
+    this.diagnostics.push(createDiagnostic(Severity.ERROR, message, start, end, token));
   }
 
   /**
@@ -116,16 +136,12 @@ export class Tokenizer {
 
   /**
    * Reads a number (integer or decimal).
+   * A leading minus is always an operator token; the parser applies it.
    */
   readNumber() {
     const start = this.pos;
     let hasDecimal = false;
 
-    // Handle negative numbers
-    if (this.peek() === '-') {
-      this.advance();
-    }
-
     while (!this.isEOF()) {
       const char = this.peek();
       if (/\d/.test(char)) {
@@ -169,6 +185,7 @@ export class Tokenizer {
 
     // Unterminated string
     logger.warn('Unterminated string literal', TAG, { start, value });
+    this.report('Unterminated string literal', start, this.pos, this.formula.slice(start, this.pos));
     return new Token(TokenType.STRING, value, start);
   }
 
@@ -204,6 +221,7 @@ export class Tokenizer {
 
     // Unterminated column reference
     logger.warn('Unterminated column reference', TAG, { start, columnId });
+    this.report('Unterminated column reference', start, this.pos, this.formula.slice(start, this.pos));
     return new Token(TokenType.COLUMN_REF, { columnId: columnId.trim(), field }, start);
   }
 
@@ -235,7 +253,7 @@ export class Tokenizer {
       return new Token(TokenType.FUNCTION, upperValue, start);
     }
 
-    // Unknown identifier - treat as function anyway (might be custom)
+    // Unknown identifier - treat as function anyway (might be custom, see registerFunction, or a LET name)
     logger.debug('Unknown identifier treated as function', TAG, { value });
     return new Token(TokenType.FUNCTION, upperValue, start);
   }
@@ -263,6 +281,7 @@ export class Tokenizer {
 
     // Unknown character
     logger.warn('Unknown character', TAG, { char, position: start });
+    this.report(`Unknown character '${char}'`, start, start + 1, char);
     this.advance();
     return null;
   }
@@ -279,8 +298,8 @@ export class Tokenizer {
 
     const char = this.peek();
 
-    // Number (including negative)
-    if (/\d/.test(char) || (char === '-' && /\d/.test(this.peek(1)))) {
+    // Number
+    if (/\d/.test(char)) {
       return this.readNumber();
     }
 
@@ -326,12 +345,16 @@ export class Tokenizer {
    */
   tokenize() {
     this.tokens = [];
+    this.diagnostics = [];
     this.pos = 0;
 
     while (true) {
       const token = this.nextToken();
 
       if (token) {
+        if (token.type !== TokenType.EOF) {
+          token.end = this.pos;
+        }
         this.tokens.push(token);
       }
 
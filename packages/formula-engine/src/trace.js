@@ -0,0 +1,166 @@
+/**
+ * Evaluation Trace
+ * Records how a formula result was produced: every evaluated AST node and
+ * every resolved column value, with its source and timing.
+ *
+ * A trace is a tree of spans. Children are added explicitly to a parent span,
+ * so tracing also works when branches are evaluated concurrently.
+ *
+ * Usage:
+ *   const trace = createTrace('formula1');
+ *   evaluate(ast, columnValues, { trace });
+ *   console.log(formatTrace(trace));   // indented text
+ *   JSON.stringify(trace);             // JSON tree
+ */
+
+import { isError, isList, isFieldValue } from './values.js';
+
+/**
+ * Span kinds
+ */
+export const SpanKind = {
+  ROOT: 'root',
+  NODE: 'node',       // An evaluated AST node
+  COLUMN: 'column',   // A resolved column value
+};
+
+/**
+ * Sources of a resolved column value
+ */
+export const ValueSource = {
+  COLUMN_VALUES: 'column_values',   // Provided by the caller
+  VALUE_CACHE: 'value_cache',       // Resolved earlier in this request
+  PENDING: 'pending',               // Joined an in-flight resolution
+  DISPLAY_VALUE: 'display_value',   // display_value fast path
+  COORDINATOR: 'coordinator',       // Batched display_value request
+  NUMERIC_VALUE: 'numeric_value',   // Raw numbers column value
+  ITEM_METADATA: 'item_metadata',   // Item name, group, dates or creator
+  SUBITEMS: 'subitems',             // Subitems and their column values
+  MIRROR_DEEP: 'mirror_deep',       // Deep mirror fetch (mirrored_items)
+  RECURSION: 'recursion',           // Formula/mirror resolved recursively
+  CYCLE: 'cycle',                   // Circular reference
+  MISSING: 'missing',               // Column not found
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * A trace span
+ */
+export class TraceSpan {
+  /**
+   * @param {string} kind - One of SpanKind.
+   * @param {string} label - What was evaluated (formula text, column key, ...).
+   * @param {Object} [details] - Extra fields (e.g. { source }).
+   */
+  constructor(kind, label, details = {}) {
+    this.kind = kind;
+    this.label = label;
+    this.details = { ...details };
+    this.value = undefined;
+    this.durationMs = null;
+    this.children = [];
+    this.startedAt = now();
+  }
+
+  /**
+   * Starts a child span.
+   * @returns {TraceSpan} The child span.
+   */
+  child(kind, label, details = {}) {
+    const span = new TraceSpan(kind, label, details);
+    this.children.push(span);
+    return span;
+  }
+
+  /**
+   * Adds details to the span (e.g. the value source once it is known).
+   * @returns {TraceSpan} This span.
+   */
+  annotate(details) {
+    Object.assign(this.details, details);
+    return this;
+  }
+
+  /**
+   * Finishes the span with its result.
+   * @param {any} value - The evaluated or resolved value.
+   * @returns {any} The value, so calls can be chained through.
+   */
+  finish(value) {
+    this.value = value;
+    this.durationMs = Math.round((now() - this.startedAt) * 100) / 100;
+    return value;
+  }
+
+  toJSON() {
+    return {
+      kind: this.kind,
+      label: this.label,
+      ...this.details,
+      value: serializeValue(this.value),
+      durationMs: this.durationMs,
+      children: this.children,
+    };
+  }
+}
+
+/**
+ * Converts a traced value to something readable in JSON and text output.
+ */
+function serializeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (isError(value)) return value.code;
+  if (isList(value)) return value.map(serializeValue);
+  if (isFieldValue(value)) {
+    const fields = Object.entries(value.fields).map(([field, fieldValue]) => [field, serializeValue(fieldValue)]);
+    return { value: serializeValue(value.value), fields: Object.fromEntries(fields) };
+  }
+  return value;
+}
+
+/**
+ * Creates the root span of a trace.
+ * @param {string} [label='trace'] - Label for the root.
+ * @returns {TraceSpan} The root span; pass it as the trace option.
+ */
+export function createTrace(label = 'trace') {
+  return new TraceSpan(SpanKind.ROOT, label);
+}
+
+/**
+ * Renders a trace as indented text, one span per line.
+ *
+ * Example:
+ *   {numbers1} * 2 => 42 (0.05ms)
+ *     {numbers1} => 21 (0.01ms)
+ *     2 => 2 (0ms)
+ *
+ * @param {TraceSpan} span - The span to render (usually the root).
+ * @returns {string} The rendered trace.
+ */
+export function formatTrace(span) {
+  const lines = [];
+
+  const render = (current, depth) => {
+    const { source } = current.details;
+    const finished = current.durationMs !== null;
+    const value = finished ? ` => ${JSON.stringify(serializeValue(current.value)) ?? 'undefined'}` : '';
+    const via = source ? ` [${source}]` : '';
+    const timing = finished ? ` (${current.durationMs}ms)` : '';
+
+    lines.push(`${'  '.repeat(depth)}${current.label}${value}${via}${timing}`);
+    current.children.forEach(child => render(child, depth + 1));
+  };
+
+  render(span, 0);
+  return lines.join('\n');
+}
+
+export default {
+  SpanKind,
+  ValueSource,
+  TraceSpan,
+  createTrace,
+  formatTrace,
+};
@@ -0,0 +1,222 @@
+/**
+ * Formula Type Inference
+ * Infers the value type (number, text, date, boolean) of formula AST nodes
+ * from literals, column types and function return types.
+ */
+
+import { NodeType, parse, walkAST } from './parser.js';
+import { getSignature, ValueType } from './functions/index.js';
+import { getColumnFieldType } from './column-value-extractor.js';
+
+/**
+ * monday.com column type -> value type it produces in a formula
+ */
+const COLUMN_VALUE_TYPES = {
+  numbers: ValueType.NUMBER,
+  rating: ValueType.NUMBER,
+  vote: ValueType.NUMBER,
+  auto_number: ValueType.NUMBER,
+  item_id: ValueType.NUMBER,
+  date: ValueType.DATE,
+  creation_log: ValueType.DATE,
+  last_updated: ValueType.DATE,
+  checkbox: ValueType.BOOLEAN,
+  text: ValueType.TEXT,
+  long_text: ValueType.TEXT,
+  name: ValueType.TEXT,
+  status: ValueType.TEXT,
+  dropdown: ValueType.TEXT,
+  people: ValueType.TEXT,
+  email: ValueType.TEXT,
+  link: ValueType.TEXT,
+  phone: ValueType.TEXT,
+  country: ValueType.TEXT,
+  location: ValueType.TEXT,
+  hour: ValueType.TEXT,
+  timeline: ValueType.TEXT,
+  week: ValueType.TEXT,
+  world_clock: ValueType.TEXT,
+  time_tracking: ValueType.TEXT,
+  board_relation: ValueType.TEXT,
+  dependency: ValueType.TEXT,
+  tags: ValueType.TEXT,
+};
+
+const VALUE_TYPES = new Set(Object.values(ValueType));
+
+const ARITHMETIC_OPERATORS = new Set(['+', '-', '*', '/', '%', '^']);
+const COMPARISON_OPERATORS = new Set(['<', '>', '=', '<=', '>=', '<>']);
+
+/**
+ * Gets the value type a column produces in a formula.
+ * Accepts either a monday column type ('numbers', 'date', ...) or a value type
+ * that is already known (e.g. the inferred type of a formula column).
+ *
+ * @param {string} columnType - Column type or value type.
+ * @returns {string} A ValueType (ANY when unknown, e.g. formula or mirror columns).
+ */
+export function getColumnValueType(columnType) {
+  if (!columnType) return ValueType.ANY;
+  const type = String(columnType).toLowerCase();
+  if (VALUE_TYPES.has(type)) return type;
+  return COLUMN_VALUE_TYPES[type] ?? ValueType.ANY;
+}
+
+/**
+ * Looks up a column type in a Map or plain object.
+ * @param {Map<string, string>|Object} [columnTypes] - columnId -> column type.
+ * @param {string} columnId - Column ID.
+ * @returns {string|undefined} The column type, if known.
+ */
+export function lookupColumnType(columnTypes, columnId) {
+  if (!columnTypes) return undefined;
+  if (columnTypes instanceof Map) return columnTypes.get(columnId);
+  return columnTypes[columnId];
+}
+
+/**
+ * Checks if a node is the blank text literal "" (compatible with any branch type).
+ */
+function isBlankLiteral(node) {
+  return node?.type === NodeType.LITERAL && node.value === '';
+}
+
+/**
+ * Combines the types of alternative branches (IF / SWITCH / IFERROR results).
+ * Blank literals are ignored so IF({x} > 0, {x}, "") stays a number.
+ */
+function unifyBranches(branches, types) {
+  let result = null;
+
+  for (const branch of branches) {
+    if (isBlankLiteral(branch)) continue;
+    const type = types.get(branch);
+    if (result === null) result = type;
+    else if (result !== type) return ValueType.ANY;
+  }
+
+  return result ?? ValueType.TEXT;
+}
+
+/**
+ * Infers the type of every node in an AST.
+ *
+ * @param {object} ast - The AST root node (from parse).
+ * @param {Map<string, string>|Object} [columnTypes] - columnId -> column type (or value type).
+ * @returns {Map<object, string>} Map of AST node -> ValueType.
+ */
+export function inferTypes(ast, columnTypes = null) {
+  const types = new Map();
+
+  // Nodes are typed after their children, so a node can use the types of its
+  // children and a name the type of its value (names: name -> value node)
+  walkAST(ast, {
+    leave: (node, names) => types.set(node, inferNodeType(node, names, types, columnTypes)),
+  });
+
+  return types;
+}
+
+/**
+ * Infers the type of a node whose children are already typed.
+ */
+function inferNodeType(node, names, types, columnTypes) {
+  switch (node.type) {
+    case NodeType.LITERAL:
+      return node.dataType === 'string' ? ValueType.TEXT : node.dataType;
+
+    case NodeType.COLUMN_REF:
+      // Sub-fields ({col#field}) have the type of the field (any when unknown)
+      return node.field
+        ? getColumnFieldType(lookupColumnType(columnTypes, node.columnId), node.field) ?? ValueType.ANY
+        : getColumnValueType(lookupColumnType(columnTypes, node.columnId));
+
+    case NodeType.FUNCTION_CALL:
+      return inferFunctionType(node, types);
+
+    case NodeType.BINARY_OP:
+      return inferBinaryType(node.operator);
+
+    case NodeType.UNARY_OP:
+      return node.operator === '!' ? ValueType.BOOLEAN : ValueType.NUMBER;
+
+    case NodeType.LET:
+      return types.get(node.body) ?? ValueType.ANY;
+
+    case NodeType.NAME:
+      // A name has the type of its value
+      return types.get(names.get(node.name)) ?? ValueType.ANY;
+
+    default:
+      return ValueType.ANY;
+  }
+}
+
+/**
+ * Infers the result type of a function call from its signature.
+ * IF, SWITCH and IFERROR return the common type of their result branches.
+ */
+function inferFunctionType(node, types) {
+  const { name, args } = node;
+
+  if (name === 'IF') {
+    return unifyBranches(args.slice(1, 3), types);
+  }
+
+  if (name === 'IFERROR') {
+    return unifyBranches(args.slice(0, 2), types);
+  }
+
+  if (name === 'SWITCH') {
+    // SWITCH(expr, case1, result1, ..., [default])
+    const results = args.filter((_, i) => i >= 2 && i % 2 === 0);
+    if (args.length > 1 && args.length % 2 === 0) results.push(args[args.length - 1]);
+    return unifyBranches(results, types);
+  }
+
+  return getSignature(name)?.returns ?? ValueType.ANY;
+}
+
+/**
+ * Infers the result type of a binary operation.
+ */
+function inferBinaryType(operator) {
+  if (operator === '&') return ValueType.TEXT;
+  if (COMPARISON_OPERATORS.has(operator)) return ValueType.BOOLEAN;
+  if (ARITHMETIC_OPERATORS.has(operator)) return ValueType.NUMBER;
+  return ValueType.ANY;
+}
+
+/**
+ * Infers the type of a single node.
+ * @param {object} node - An AST node.
+ * @param {Map<string, string>|Object} [columnTypes] - columnId -> column type.
+ * @returns {string} A ValueType.
+ */
+export function inferType(node, columnTypes = null) {
+  return inferTypes(node, columnTypes).get(node) ?? ValueType.ANY;
+}
+
+/**
+ * Infers the result type of a formula string.
+ *
+ * Example: inferFormulaType('{numbers1} * 2', { numbers1: 'numbers' }) => 'number'
+ *
+ * @param {string} formula - The formula string.
+ * @param {Map<string, string>|Object} [columnTypes] - columnId -> column type (or value type).
+ * @returns {string} A ValueType (ANY when the type depends on unknown columns).
+ */
+export function inferFormulaType(formula, columnTypes = null) {
+  if (!formula || typeof formula !== 'string') {
+    return ValueType.TEXT;
+  }
+  return inferType(parse(formula), columnTypes);
+}
+
+export default {
+  getColumnValueType,
+  lookupColumnType,
+  inferTypes,
+  inferType,
+  inferFormulaType,
+};
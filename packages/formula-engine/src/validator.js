@@ -0,0 +1,102 @@
+/**
+ * Formula Validator
+ * Checks a formula for syntax problems without evaluating it.
+ */
+
+import { Tokenizer, TokenType } from './tokenizer.js';
+import { Parser, KEYWORDS } from './parser.js';
+import { checkAST } from './checker.js';
+import { createEvaluationContext } from './context.js';
+import { Severity, createDiagnostic, FormulaSyntaxError } from './diagnostics.js';
+
+/**
+ * Validates a formula and returns all diagnostics found.
+ * Covers unterminated strings and column references, unknown characters,
+ * unbalanced parentheses, trailing tokens, unknown functions, and function
+ * arity/argument types and column sub-fields (checked only when the formula parses).
+ *
+ * @param {string} formula - The formula string to validate.
+ * @param {Object} [options]
+ * @param {Map<string, string>|Object} [options.columnTypes] - columnId -> column type, for argument
+ *   types and {col#field} references (columns of unknown type are not checked)
+ * @param {EvaluationContext|Object} [options.context] - Evaluation context the formula will run
+ *   with; its function overrides are known functions, checked like the functions they replace
+ *   (see createEvaluationContext)
+ * @returns {Array<{severity: string, message: string, start: number, end: number, token: string|null}>}
+ *   Diagnostics sorted by position (empty when the formula is valid).
+ */
+export function validateFormula(formula, { columnTypes = null, context = null } = {}) {
+  if (typeof formula !== 'string') {
+    return [createDiagnostic(Severity.ERROR, 'Formula must be a string', 0, 0)];
+  }
+
+  const tokenizer = new Tokenizer(formula);
+  const tokens = tokenizer.tokenize();
+  const diagnostics = [...tokenizer.diagnostics];
+
+  const parser = new Parser(tokens, formula);
+
+  try {
+    const ast = parser.parse();
+
+    for (const diagnostic of checkAST(ast, columnTypes)) {
+      diagnostic.token = formula.slice(diagnostic.start, diagnostic.end);
+      diagnostics.push(diagnostic);
+    }
+  } catch (err) {
+    if (err instanceof FormulaSyntaxError) {
+      diagnostics.push(err.toDiagnostic());
+    } else {
+      diagnostics.push(createDiagnostic(Severity.ERROR, err.message, 0, formula.length));
+    }
+  }
+
+  diagnostics.push(...parser.diagnostics);
+
+  // Unknown functions (the tokenizer accepts any identifier as a function name),
+  // looked up like the evaluator does. LET and the names it binds are not functions.
+  const evaluationContext = createEvaluationContext(context);
+  const names = new Set(parser.nameTokens);
+  for (const token of tokens) {
+    if (token.type === TokenType.FUNCTION && !evaluationContext.getFunction(token.value)
+        && !KEYWORDS.has(token.value) && !names.has(token)) {
+      diagnostics.push(createDiagnostic(
+        Severity.ERROR,
+        `Unknown function ${token.value}`,
+        token.position,
+        token.end,
+        formula.slice(token.position, token.end)
+      ));
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Checks whether a list of diagnostics contains at least one error.
+ * @param {Array<{severity: string}>} diagnostics - Diagnostics from validateFormula.
+ * @returns {boolean} True if any diagnostic is an error.
+ */
+export function hasErrors(diagnostics) {
+  return diagnostics.some(d => d.severity === Severity.ERROR);
+}
+
+/**
+ * Formats a diagnostic as a single-line message, e.g.
+ * "error at 4-5: Unknown character '$' ($)".
+ * @param {object} diagnostic - A diagnostic from validateFormula.
+ * @returns {string} The formatted message.
+ */
+export function formatDiagnostic(diagnostic) {
+  const { severity, message, start, end, token } = diagnostic;
+  const range = end > start ? `${start}-${end}` : String(start);
+  const suffix = token ? ` (${token})` : '';
+  return `${severity} at ${range}: ${message}${suffix}`;
+}
+
+export default {
+  validateFormula,
+  hasErrors,
+  formatDiagnostic,
+};
@@ -0,0 +1,156 @@
+/**
+ * Tests for the Formula Validator
+ *
+ * Run with: node src/validator.test.js
+ *
+ * These tests check the diagnostics (message and position) reported
+ * for broken formulas.
+ */
+
+import { validateFormula, hasErrors, formatDiagnostic } from './validator.js';
+import { createEvaluationContext } from './context.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function check(name, formula, expected, options = {}) {
+  console.log(`\n=== Test: ${name} ===`);
+
+  const diagnostics = validateFormula(formula, options);
+
+  console.log('Formula:', formula);
+  console.log('Diagnostics:', diagnostics.map(formatDiagnostic));
+
+  if (expected === null) {
+    console.log('Expected: no errors');
+    console.log('Pass:', !hasErrors(diagnostics));
+    return;
+  }
+
+  console.log('Expected:', expected);
+  console.log('Pass:', diagnostics.some(d =>
+    d.severity === expected.severity &&
+    d.message.startsWith(expected.message) &&
+    d.start === expected.start &&
+    d.end === expected.end));
+}
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+function runTests() {
+  console.log('========================================');
+  console.log('Formula Validator Tests');
+  console.log('========================================');
+
+  check('Valid formula', 'IF({numbers1} > 10, "big", "small")', null);
+
+  check('Empty formula', '', null);
+
+  check('Unterminated string', 'CONCATENATE("abc', {
+    severity: 'error', message: 'Unterminated string literal', start: 12, end: 16
+  });
+
+  check('Unterminated column reference', '{numbers1 + 2', {
+    severity: 'error', message: 'Unterminated column reference', start: 0, end: 13
+  });
+
+  check('Unknown character', '{a} $ 2', {
+    severity: 'error', message: "Unknown character '$'", start: 4, end: 5
+  });
+
+  check('Trailing tokens', '1 + 2 3 4', {
+    severity: 'error', message: 'Unexpected 3 after end of expression', start: 6, end: 9
+  });
+
+  check('Unclosed parenthesis', 'SUM(1, 2', {
+    severity: 'error', message: "Unclosed '('", start: 3, end: 4
+  });
+
+  check('Unmatched closing parenthesis', '(1 + 2))', {
+    severity: 'error', message: "Unmatched ')'", start: 7, end: 8
+  });
+
+  check('Unknown function', 'FOO(1) + 2', {
+    severity: 'error', message: 'Unknown function FOO', start: 0, end: 3
+  });
+
+  check('Missing operand', '1 +', {
+    severity: 'error', message: 'Unexpected end of formula', start: 3, end: 3
+  });
+
+  check('Function without parentheses', 'LEN + 1', {
+    severity: 'warning', message: 'Function LEN is called without parentheses', start: 0, end: 3
+  });
+
+  check('Missing arguments', 'LEFT()', {
+    severity: 'error', message: 'LEFT expects 2 arguments, got 0', start: 0, end: 6
+  });
+
+  check('Too many arguments', 'UPPER("a", "b")', {
+    severity: 'error', message: 'UPPER expects 1 argument, got 2', start: 0, end: 15
+  });
+
+  check('Variadic minimum', 'SUM()', {
+    severity: 'error', message: 'SUM expects at least 1 argument, got 0', start: 0, end: 5
+  });
+
+  check('Argument type', 'DATE("x", 1, 1)', {
+    severity: 'error', message: 'Argument 1 of DATE must be a number, got text', start: 5, end: 8
+  });
+
+  check('Nested return type', 'ADD_DAYS(TODAY(), LEN("abc") > 2)', null);
+
+  check('Date argument', 'YEAR(UPPER("a") = "A")', {
+    severity: 'error', message: 'Argument 1 of YEAR must be a date, got boolean', start: 5, end: 21
+  });
+
+  check('Numeric text literal', 'ROUND("3.14159", 2)', null);
+
+  check('Aggregate of text', 'SUM("abc")', {
+    severity: 'error', message: 'Argument 1 of SUM must be a number, got text', start: 4, end: 9
+  });
+
+  check('Aggregate with a text argument', 'MAX("x", 2)', {
+    severity: 'error', message: 'Argument 1 of MAX must be a number, got text', start: 4, end: 7
+  });
+
+  check('Aggregate of a date', 'AVERAGE(TODAY())', {
+    severity: 'error', message: 'Argument 1 of AVERAGE must be a number, got date', start: 8, end: 15
+  });
+
+  check('Aggregate of lists', 'SUM(FILTER({amounts}, ">10"), {numbers1}, "2")', null);
+
+  const columnTypes = { date4: 'date', numbers1: 'numbers', subitems: 'subtasks' };
+
+  check('Column fields', '{date4#hour} + SUM({subitems#numbers1}) + {other#x}', null, { columnTypes });
+
+  check('Unknown column field', 'ROUND({date4#hours}, 0)', {
+    severity: 'error', message: 'Column date4 has no field hours (fields: date, time,', start: 6, end: 19
+  }, { columnTypes });
+
+  check('Column without fields', '{numbers1#lat} * 2', {
+    severity: 'error', message: 'Column numbers1 has no fields', start: 0, end: 14
+  }, { columnTypes });
+
+  const context = createEvaluationContext({ functions: { FX_RATE: (from, to) => 1.1 } });
+
+  check('Function of the context', 'FX_RATE("EUR", "USD") * {numbers1}', null, { context });
+
+  check('Function of the context, without it', 'FX_RATE("EUR", "USD") * {numbers1}', {
+    severity: 'error', message: 'Unknown function FX_RATE', start: 0, end: 7
+  });
+
+  check('Override keeps the signature', 'ROUND("x", 2)', {
+    severity: 'error', message: 'Argument 1 of ROUND must be a number, got text', start: 6, end: 9
+  }, { context: { functions: { ROUND: (number) => Math.round(number) } } });
+
+  console.log('\n========================================');
+  console.log('All tests completed!');
+  console.log('========================================');
+}
+
+// Run if executed directly
+runTests();
@@ -0,0 +1,234 @@
+/**
+ * Formula Values
+ * Formula values are plain JS numbers, strings, booleans and Dates, plus
+ * FormulaError values for results monday shows as errors (#DIV/0!, #VALUE!, ...).
+ *
+ * Errors are values, not exceptions: they flow through operators and functions
+ * until ISERROR / IFERROR handle them or formatResult renders them.
+ *
+ * Lists are plain JS arrays, e.g. the linked values of a mirror column. Functions
+ * with list parameters (SUM, TEXTJOIN, FILTER, ...) receive them as-is; everywhere
+ * else a list is used as a single value (see toScalar).
+ *
+ * Field values are column values with sub-fields, read by {column#field}
+ * references, e.g. the subitems of an item with the values of their columns.
+ */
+
+import { applyAggregationFunction } from './column-value-extractor.js';
+
+/**
+ * Error codes, as displayed in the monday UI
+ */
+export const ErrorCode = {
+  DIV0: '#DIV/0!',
+  VALUE: '#VALUE!',
+  REF: '#REF!',
+  CYCLE: '#CYCLE',
+};
+
+/**
+ * A formula error value
+ */
+export class FormulaError {
+  /**
+   * @param {string} code - One of ErrorCode.
+   * @param {string} [message] - Optional details (not displayed).
+   */
+  constructor(code, message = '') {
+    this.code = code;
+    this.message = message;
+  }
+
+  toString() {
+    return this.code;
+  }
+}
+
+/**
+ * Creates a formula error value.
+ * @param {string} code - One of ErrorCode.
+ * @param {string} [message] - Optional details.
+ * @returns {FormulaError} The error value.
+ */
+export function createError(code, message = '') {
+  return new FormulaError(code, message);
+}
+
+/**
+ * Checks if a value is a formula error.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True for FormulaError values.
+ */
+export function isError(value) {
+  return value instanceof FormulaError;
+}
+
+/**
+ * Finds the first error in a list of values.
+ * @param {any[]} values - Values to check.
+ * @returns {FormulaError|null} The first error, or null if there is none.
+ */
+export function findError(values) {
+  return values.find(isError) ?? null;
+}
+
+/**
+ * Parses a displayed error code (e.g. "#DIV/0!") back into an error value.
+ * @param {any} text - A display value.
+ * @returns {FormulaError|null} The error, or null if text is not an error code.
+ */
+export function parseError(text) {
+  if (typeof text !== 'string') return null;
+  const code = Object.values(ErrorCode).find(c => c === text.trim());
+  return code ? createError(code) : null;
+}
+
+/**
+ * Converts a value to a number for arithmetic.
+ * Blank values are 0 and booleans are 0/1; text that is not a number is #VALUE!.
+ * @param {any} value - The value to convert.
+ * @returns {number|FormulaError} The number, or an error value.
+ */
+export function toNumber(value) {
+  if (isError(value)) return value;
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'string' && value.trim() === '') return 0;
+
+  const num = Number(value);
+  if (isNaN(num)) {
+    return createError(ErrorCode.VALUE, `Cannot convert "${value}" to a number`);
+  }
+  return num;
+}
+
+/**
+ * Aggregations whose result over no values is 0 (otherwise it is blank)
+ */
+const ZERO_WHEN_EMPTY = new Set(['sum', 'avg', 'count']);
+
+/**
+ * Checks if a value is a list.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True for arrays.
+ */
+export function isList(value) {
+  return Array.isArray(value);
+}
+
+/**
+ * Creates a list value.
+ * Example: createList([10, 20], { aggregate: 'sum' }) => [10, 20], used as 30 in {mirror} * 2
+ * @param {any[]} items - The items.
+ * @param {Object} [options]
+ * @param {string} [options.aggregate] - Aggregation function (sum, avg, count, min, max)
+ *   used when the list is read as a single number, e.g. a mirror column's setting.
+ * @returns {any[]} The list.
+ */
+export function createList(items, { aggregate = null } = {}) {
+  const list = [...items];
+  Object.defineProperty(list, 'aggregate', { value: aggregate, enumerable: false });
+  return list;
+}
+
+/**
+ * Gets the items of a value: a list (nested lists are flattened), comma-separated
+ * text (e.g. a mirror display value) or a single value. Blank values have no items.
+ * Example: toList("Done, Stuck") => ['Done', 'Stuck']
+ * @param {any} value - The value.
+ * @returns {any[]} The items.
+ */
+export function toList(value) {
+  if (isList(value)) return value.flat(Infinity);
+  if (value === null || value === undefined || value === '') return [];
+  if (typeof value === 'string') return value.split(',').map(item => item.trim());
+  return [value];
+}
+
+/**
+ * Converts a value to a single value; other values than lists are returned as-is
+ * (field values as their value).
+ * A list with an error is that error, a list with one item is the item, a list
+ * of numbers with an aggregate is the aggregated number (as monday shows
+ * mirror columns), and any other list is its items joined with ", ".
+ * Example: toScalar(createList([10, 20], { aggregate: 'sum' })) => 30
+ * Example: toScalar(['Done', 'Stuck']) => "Done, Stuck"
+ * @param {any} value - The value.
+ * @returns {any} The single value.
+ */
+export function toScalar(value) {
+  if (isFieldValue(value)) return toScalar(value.value);
+  if (!isList(value)) return value;
+
+  const items = value.flat(Infinity);
+  const aggregate = value.aggregate ? String(value.aggregate).toLowerCase() : null;
+
+  const error = findError(items);
+  if (error) return error;
+
+  if (items.length === 0) {
+    return ZERO_WHEN_EMPTY.has(aggregate) ? 0 : '';
+  }
+  if (aggregate && items.every(item => typeof item === 'number')) {
+    return applyAggregationFunction(items, aggregate);
+  }
+  if (items.length === 1) {
+    return items[0];
+  }
+  return items.join(', ');
+}
+
+/**
+ * A column value with sub-fields
+ */
+export class FieldValue {
+  /**
+   * @param {any} value - The value of {column}.
+   * @param {Object<string, any>} fields - field -> value of {column#field}.
+   */
+  constructor(value, fields) {
+    this.value = value;
+    this.fields = fields;
+  }
+
+  toString() {
+    return String(toScalar(this.value) ?? '');
+  }
+}
+
+/**
+ * Creates a field value.
+ * Example: createFieldValue(['Design', 'Build'], { numbers1: [3, 5] }) - {subitems} is
+ * "Design, Build" and SUM({subitems#numbers1}) is 8
+ * @param {any} value - The value of {column}.
+ * @param {Object<string, any>} fields - field -> value of {column#field}.
+ * @returns {FieldValue} The field value.
+ */
+export function createFieldValue(value, fields = {}) {
+  return new FieldValue(value, fields);
+}
+
+/**
+ * Checks if a value is a field value.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True for FieldValue values.
+ */
+export function isFieldValue(value) {
+  return value instanceof FieldValue;
+}
+
+export default {
+  ErrorCode,
+  FormulaError,
+  createError,
+  isError,
+  findError,
+  parseError,
+  toNumber,
+  isList,
+  createList,
+  toList,
+  toScalar,
+  FieldValue,
+  createFieldValue,
+  isFieldValue,
+};
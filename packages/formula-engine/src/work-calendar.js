@@ -0,0 +1,139 @@
+/**
+ * Work Calendars
+ * Weekend days and holidays for WORKDAYS, WORKDAY, NETWORKDAYS_INTL and
+ * WORKDAY_INTL.
+ *
+ * A weekend can be given as:
+ * - a list of weekdays, e.g. [Weekday.FRIDAY, Weekday.SATURDAY]
+ * - an Excel weekend number: 1 (Saturday, Sunday) to 7 (Friday, Saturday) for
+ *   two-day weekends, 11 (Sunday) to 17 (Saturday) for one-day weekends
+ * - an Excel weekend mask: seven 0/1 characters from Monday to Sunday, 1 for
+ *   a weekend day, e.g. "0000110" (Friday, Saturday)
+ *
+ * Holidays can be listed in the evaluation context (see context.js) or read
+ * from an iCalendar (.ics) file:
+ *   const holidays = await loadHolidayCalendar('./calendars/il-holidays.ics');
+ *   const context = createEvaluationContext({ weekend: 7, holidays });
+ */
+
+import { readFile } from 'fs/promises';
+
+/**
+ * Weekend used when none is given (Saturday and Sunday)
+ */
+export const DEFAULT_WEEKEND = Object.freeze([0, 6]);
+
+/**
+ * Parses a weekend (see the formats above).
+ * Example: parseWeekend(7) => [5, 6]
+ * @param {number[]|number|string} weekend - The weekend.
+ * @returns {number[]|null} The weekend days, 0 (Sunday) to 6, sorted; or null if
+ *   the weekend is invalid or has no working days.
+ */
+export function parseWeekend(weekend) {
+  let days = null;
+
+  if (Array.isArray(weekend)) {
+    days = weekend.map(Number);
+  } else if (typeof weekend === 'string' && /^[01]{7}$/.test(weekend)) {
+    days = [...weekend].flatMap((flag, index) => (flag === '1' ? [(index + 1) % 7] : []));
+  } else if (weekend !== '' && weekend !== null && weekend !== undefined) {
+    const code = Number(weekend);
+    if (code >= 1 && code <= 7) {
+      days = [(code + 5) % 7, (code + 6) % 7];
+    } else if (code >= 11 && code <= 17) {
+      days = [code - 11];
+    }
+  }
+
+  if (!days || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return null;
+  }
+
+  const unique = [...new Set(days)].sort((a, b) => a - b);
+  return unique.length < 7 ? unique : null;
+}
+
+/**
+ * Reads a date or date-time value of an iCalendar property.
+ * All-day values and local times give the calendar day (YYYY-MM-DD); UTC
+ * times give the instant, so its day follows the evaluation time zone.
+ */
+function parseICSDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (utc) {
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+  }
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses the holidays of an iCalendar (.ics) file: one entry per event, or per
+ * day of a multi-day all-day event.
+ * Recurrence rules (RRULE) are not expanded; holiday calendars usually list
+ * each year's dates.
+ * Example: parseHolidayCalendar('BEGIN:VEVENT\nDTSTART;VALUE=DATE:20241225\nEND:VEVENT') => ['2024-12-25']
+ * @param {string} text - The calendar text.
+ * @returns {string[]} The holidays, as dates (YYYY-MM-DD) or UTC date-times.
+ */
+export function parseHolidayCalendar(text) {
+  const holidays = [];
+
+  // Long lines are folded onto lines starting with a space or tab
+  const lines = String(text ?? '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  let event = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT') {
+      if (event?.start) holidays.push(...expandEvent(event));
+      event = null;
+    } else if (event) {
+      const match = line.match(/^(DTSTART|DTEND)(?:;[^:]*)?:(.*)$/);
+      if (match) {
+        event[match[1] === 'DTSTART' ? 'start' : 'end'] = parseICSDate(match[2].trim());
+      }
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Lists the days of an event. All-day events end the day before DTEND.
+ */
+function expandEvent({ start, end }) {
+  if (start.length !== 10 || !end || end.length !== 10) return [start];
+
+  const days = [];
+  const current = new Date(`${start}T00:00:00Z`);
+  const last = new Date(`${end}T00:00:00Z`);
+  do {
+    days.push(current.toISOString().slice(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  } while (current < last);
+
+  return days;
+}
+
+/**
+ * Reads the holidays of an iCalendar (.ics) file on disk.
+ * @param {string} filePath - Path of the file.
+ * @returns {Promise<string[]>} The holidays (see parseHolidayCalendar).
+ * @throws If the file cannot be read.
+ */
+export async function loadHolidayCalendar(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  return parseHolidayCalendar(text);
+}
+
+export default {
+  DEFAULT_WEEKEND,
+  parseWeekend,
+  parseHolidayCalendar,
+  loadHolidayCalendar,
+};
@@ -0,0 +1,183 @@
+/**
+ * Tests for Work Calendars
+ *
+ * Run with: node src/work-calendar.test.js
+ *
+ * These tests check weekend and holiday parsing and the working day functions
+ * (WORKDAYS, WORKDAY, NETWORKDAYS_INTL, WORKDAY_INTL) with custom calendars.
+ */
+
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { evaluateFormula, createEvaluationContext, Weekday } from './index.js';
+import { parseWeekend, parseHolidayCalendar, loadHolidayCalendar } from './work-calendar.js';
+
+// ============================================================================
+// Test Cases
+// ============================================================================
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20241002',
+  'DTEND;VALUE=DATE:20241005',
+  'SUMMARY:Rosh Hashana',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20241012',
+  'SUMMARY:Yom Kippur',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20241017T',
+  ' 090000Z',
+  'DTEND:20241017T100000Z',
+  'SUMMARY:Sukkot',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+function testParseWeekend() {
+  const cases = [
+    // [weekend, expected]
+    [[Weekday.FRIDAY, Weekday.SATURDAY], [5, 6]],
+    [1, [0, 6]],
+    [7, [5, 6]],
+    ['2', [0, 1]],
+    [11, [0]],
+    [17, [6]],
+    ['0000110', [5, 6]],
+    ['0000000', []],
+    [8, null],
+    ['1111111', null],
+    ['fri,sat', null],
+    [[7], null],
+  ];
+
+  for (const [weekend, expected] of cases) {
+    console.log(`\n=== Test: parseWeekend(${JSON.stringify(weekend)}) ===`);
+    const result = parseWeekend(weekend);
+    console.log('Result:', result);
+    console.log('Pass:', JSON.stringify(result) === JSON.stringify(expected));
+  }
+}
+
+async function testHolidayCalendar() {
+  console.log('\n=== Test: Parse an iCalendar file ===');
+  const holidays = parseHolidayCalendar(CALENDAR);
+  console.log('Holidays:', holidays);
+  console.log('Pass:', JSON.stringify(holidays) === JSON.stringify([
+    '2024-10-02', '2024-10-03', '2024-10-04', '2024-10-12', '2024-10-17T09:00:00Z',
+  ]));
+
+  console.log('\n=== Test: Load an iCalendar file from disk ===');
+  const dir = await mkdtemp(join(tmpdir(), 'work-calendar-'));
+  try {
+    const filePath = join(dir, 'holidays.ics');
+    await writeFile(filePath, CALENDAR);
+    const loaded = await loadHolidayCalendar(filePath);
+    const context = createEvaluationContext({ weekend: [Weekday.FRIDAY, Weekday.SATURDAY], holidays: loaded });
+    const result = evaluateFormula('WORKDAYS("2024-10-19", "2024-09-29")', new Map(), { context });
+    console.log('Result:', result);
+    console.log('Expected: 12 (15 Sunday-Thursday days, 3 of them holidays)');
+    console.log('Pass:', result === '12');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== Test: Missing calendar file rejects ===');
+  let rejected = false;
+  try {
+    await loadHolidayCalendar(join(tmpdir(), 'missing-calendar.ics'));
+  } catch (err) {
+    rejected = true;
+  }
+  console.log('Pass:', rejected);
+}
+
+function testContextWeekend() {
+  const cases = [
+    // [formula, weekend, expected]
+    ['WORKDAYS("2024-01-31", "2024-01-01")', undefined, '23'],
+    ['WORKDAYS("2024-01-31", "2024-01-01")', [Weekday.FRIDAY, Weekday.SATURDAY], '23'],
+    ['WORKDAYS("2024-01-07", "2024-01-04")', [Weekday.FRIDAY, Weekday.SATURDAY], '2'],
+    ['WORKDAYS("2024-01-07", "2024-01-04")', 11, '3'],
+    ['WORKDAY("2024-01-04", 1)', undefined, '2024-01-05'],
+    ['WORKDAY("2024-01-04", 1)', [Weekday.FRIDAY, Weekday.SATURDAY], '2024-01-07'],
+    ['WORKDAY("2024-01-07", -1)', '0000110', '2024-01-04'],
+    ['WORKDAYS("2024-01-07", "2024-01-04")', 'weekends', '2'],
+  ];
+
+  for (const [formula, weekend, expected] of cases) {
+    console.log(`\n=== Test: ${formula} with weekend ${JSON.stringify(weekend)} ===`);
+    const result = evaluateFormula(formula, new Map(), { context: { weekend } });
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+}
+
+function testIntlFunctions() {
+  const cases = [
+    // [formula, expected]
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31")', '23'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 7)', '23'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-07", 11)', '6'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-07", "0000000")', '7'],
+    ['NETWORKDAYS_INTL("2024-01-31", "2024-01-01")', '-23'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 1, "2024-01-01, 2024-01-15")', '21'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 1, "2024-01-06")', '23'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 8)', '#VALUE!'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", "1111111")', '#VALUE!'],
+    ['NETWORKDAYS_INTL("2024-01-01", "2024-01-31", 1, "2024-01-01, someday")', '#VALUE!'],
+    ['NETWORKDAYS_INTL("", "2024-01-31")', '0'],
+    ['WORKDAY_INTL("2024-01-04", 1)', '2024-01-05'],
+    ['WORKDAY_INTL("2024-01-04", 1, 7)', '2024-01-07'],
+    ['WORKDAY_INTL("2024-01-04", 3, "0000110", "2024-01-08")', '2024-01-10'],
+    ['WORKDAY_INTL("2024-01-10", -3, 7, "2024-01-08")', '2024-01-04'],
+    ['WORKDAY_INTL("2024-01-04", 1, "", "2024-01-05")', '2024-01-08'],
+    ['WORKDAY_INTL("2024-01-04", 1, 0)', '#VALUE!'],
+    ['IFERROR(WORKDAY_INTL("2024-01-04", 1, 99), "bad weekend")', 'bad weekend'],
+  ];
+
+  for (const [formula, expected] of cases) {
+    console.log(`\n=== Test: ${formula} ===`);
+    const result = evaluateFormula(formula, new Map());
+    console.log('Result:', result);
+    console.log('Expected:', expected);
+    console.log('Pass:', result === expected);
+  }
+
+  console.log('\n=== Test: INTL functions add to the context holidays ===');
+  const context = { holidays: ['2024-01-02'] };
+  const result = evaluateFormula('NETWORKDAYS_INTL("2024-01-01", "2024-01-05", 1, "2024-01-03")', new Map(), { context });
+  console.log('Result:', result);
+  console.log('Pass:', result === '3');
+}
+
+// ============================================================================
+// Run Tests
+// ============================================================================
+
+async function runTests() {
+  console.log('========================================');
+  console.log('Work Calendar Tests');
+  console.log('========================================');
+
+  try {
+    testParseWeekend();
+    await testHolidayCalendar();
+    testContextWeekend();
+    testIntlFunctions();
+
+    console.log('\n========================================');
+    console.log('All tests completed!');
+    console.log('========================================');
+  } catch (error) {
+    console.error('\nTest failed with error:', error);
+  }
+}
+
+// Run if executed directly
+runTests();